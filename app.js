@@ -4,19 +4,31 @@ if (!process.env.__ALREADY_BOOTSTRAPPED_ENVS) require('dotenv').config();
 
 const fs = require('fs');
 const { createServer } = require('@app-core/server');
-// const { createConnection } = require('@app-core/mongoose');
+const { createConnection } = require('@app-core/mongoose');
 // const { createQueue } = require('@app-core/queue');
 
 const canLogEndpointInformation = process.env.CAN_LOG_ENDPOINT_INFORMATION;
 
-// Database not required for payment parser assessment
-// createConnection({
-//   uri: process.env.MONGODB_URI,
-// });
+// Backs the account store; instructions that send their own accounts never touch it
+createConnection({
+  uri: process.env.MONGODB_URI,
+});
 
 // Queue not required for payment parser assessment
 // createQueue();
 
+const {
+  executePendingInstructions,
+  expireHolds,
+  generateStandingOrderOccurrences,
+} = require('@app/workers');
+
+// Each worker repeats on the schedule in its scheduler options: the day's standing order
+// occurrences after UTC midnight, due pending instructions every minute, lapsed holds hourly
+generateStandingOrderOccurrences.scheduleJob({});
+executePendingInstructions.scheduleJob({});
+expireHolds.scheduleJob({});
+
 const server = createServer({
   port: process.env.PORT,
   JSONLimit: '150mb',
@@ -30,6 +42,12 @@ const ENDPOINT_CONFIGS = [
   {
     path: './endpoints/payment-instructions/',
   },
+  {
+    path: './endpoints/accounts/',
+  },
+  {
+    path: './endpoints/standing-orders/',
+  },
 ];
 
 function logEndpointMetaData(endpointConfigs) {
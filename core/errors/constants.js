@@ -19,6 +19,9 @@ const ERROR_CODE = {
   VALIDATIONERR: 'VALIDATION_ERROR',
   INVLDDATA: 'INVALID_REQUEST_DATA',
   RTLIMERR: 'RATE_LIMIT_ERROR',
+  CONFLICTERR: 'CONFLICT_ERROR',
+  IDMPKEYREUSED: 'IDEMPOTENCY_KEY_REUSED',
+  IDMPKEYINPROGRESS: 'IDEMPOTENCY_KEY_IN_PROGRESS',
 };
 
 const ERROR_STATUS_CODE_MAPPING = {
@@ -33,6 +36,9 @@ const ERROR_STATUS_CODE_MAPPING = {
   FEE_ERROR: 403,
   RESOURCE_NOT_FOUND: 404,
   DUPLICATE_RECORD: 409,
+  CONFLICT_ERROR: 409,
+  IDEMPOTENCY_KEY_REUSED: 422,
+  IDEMPOTENCY_KEY_IN_PROGRESS: 409,
   APPLICATION_ERROR: 500,
   RATE_LIMIT_ERROR: 429,
 };
@@ -71,6 +71,8 @@
  * @typedef {Object} HandlerResult
  * @property {import('./enums').HTTPStatusCode} status - HTTP Status code.
  * @property {*} [data] - Actual data to be returned as the response to the endpoint request.
+ * @property {String} [contentType] - Content type to send the data as, e.g. 'text/csv'. When set, the data is sent as it is instead of inside the JSON response envelope.
+ * @property {Object<string, string>} [headers] - Extra response headers, e.g. Content-Disposition. Only used with contentType.
  * @property {boolean} [endHandlerChain=false] - Boolean value that defaults to false. If set to true and there are still items in the handler chain, the execution will not proceed to execute other handlers.
  * @property {boolean} [skipNextMiddlewareHandler=false] - Boolean value that defaults to false and indicates whether or not the next middleware handler in the handler chain should be executed or not.
  * @property {boolean} [skipOtherMiddlewareHandlers=false] - Boolean value that defaults to false and is similar in function to the endHandlerChain property in that if set to true, it ensures no other middlewarehandler in the handler chain is executed.
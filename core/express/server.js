@@ -222,11 +222,23 @@ function Server(serverConfig = {}) {
         }
 
         responseComponents.statusCode = result.status || 200;
-        responseComponents.body.status = 'success';
-        responseComponents.body.message = result.message;
-        responseComponents.body.data = result.data || {};
 
-        expressResponse.status(responseComponents.statusCode).json(responseComponents.body);
+        if (result.contentType) {
+          // Documents (CSV, XML, ...) go out as they are, without the JSON envelope
+          responseComponents.body = result.data;
+
+          expressResponse
+            .set(result.headers || {})
+            .status(responseComponents.statusCode)
+            .type(result.contentType)
+            .send(responseComponents.body);
+        } else {
+          responseComponents.body.status = 'success';
+          responseComponents.body.message = result.message;
+          responseComponents.body.data = result.data || {};
+
+          expressResponse.status(responseComponents.statusCode).json(responseComponents.body);
+        }
       } catch (error) {
         const statusCode = !error.isApplicationError
           ? 500
@@ -13,10 +13,16 @@ module.exports = (requestConfig, callback) => {
   });
 
   mockedResponse.on('end', () => {
-    const responseData = { responseObject: mockedResponse, statusCode: mockedResponse.statusCode };
+    const responseData = {
+      responseObject: mockedResponse,
+      statusCode: mockedResponse.statusCode,
+      headers: mockedResponse._getHeaders(),
+    };
 
     try {
-      responseData.data = mockedResponse._getJSONData();
+      responseData.data = mockedResponse._isJSON()
+        ? mockedResponse._getJSONData()
+        : mockedResponse._getData();
 
       callback(null, responseData);
     } catch (error) {
@@ -2,7 +2,8 @@
  * @typedef {Object} MockedResponseData
  * @property {import('node-mocks-http').MockResponse} responseObject - The mocked response object.
  * @property {Number} statusCode - The response status code.
- * @property {Object} data - The response payload.
+ * @property {Object<string, string>} headers - The response headers.
+ * @property {Object|String} data - The response payload; the raw body when it is not JSON.
  */
 
 /**
@@ -0,0 +1,23 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const createAccount = require('@app/services/accounts/create-account');
+
+module.exports = createHandler({
+  path: '/accounts',
+  method: 'post',
+  // Accounts open with any balance, so only authenticated callers may create them
+  middlewares: [userAuth],
+  props: {
+    requiresAuth: true,
+  },
+  async handler(rc, helpers) {
+    // The account belongs to whoever opens it
+    const payload = { ...rc.body, owner_id: rc.meta.user.user_id };
+
+    const response = await createAccount(payload);
+    return {
+      status: helpers.http_statuses.HTTP_201_CREATED,
+      data: response,
+    };
+  },
+});
@@ -0,0 +1,22 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const getAccount = require('@app/services/accounts/get-account');
+
+module.exports = createHandler({
+  path: '/accounts/:id',
+  method: 'get',
+  // Accounts are only visible to their owner
+  middlewares: [userAuth],
+  props: {
+    requiresAuth: true,
+  },
+  async handler(rc, helpers) {
+    const payload = { id: rc.params.id, user_id: rc.meta.user.user_id };
+
+    const response = await getAccount(payload);
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
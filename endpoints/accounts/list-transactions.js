@@ -0,0 +1,26 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const listAccountTransactions = require('@app/services/accounts/list-account-transactions');
+
+module.exports = createHandler({
+  path: '/accounts/:id/transactions',
+  method: 'get',
+  // Accounts are only visible to their owner
+  middlewares: [userAuth],
+  props: {
+    requiresAuth: true,
+  },
+  async handler(rc, helpers) {
+    const payload = { ...rc.query, id: rc.params.id, user_id: rc.meta.user.user_id };
+
+    if (payload.limit) {
+      payload.limit = Number(payload.limit);
+    }
+
+    const response = await listAccountTransactions(payload);
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
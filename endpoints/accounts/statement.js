@@ -0,0 +1,38 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const getAccountStatement = require('@app/services/accounts/get-account-statement');
+const exportAccountStatement = require('@app/services/accounts/export-account-statement');
+const { formatForAccept } = require('@app/services/accounts/statement-formats');
+
+module.exports = createHandler({
+  path: '/accounts/:id/statement',
+  method: 'get',
+  // Accounts are only visible to their owner
+  middlewares: [userAuth],
+  props: {
+    requiresAuth: true,
+  },
+  async handler(rc, helpers) {
+    const { format = formatForAccept(rc.headers.accept), ...query } = rc.query;
+    const payload = { ...query, id: rc.params.id, user_id: rc.meta.user.user_id };
+
+    let response;
+
+    if (!format || format === 'json') {
+      response = {
+        status: helpers.http_statuses.HTTP_200_OK,
+        data: await getAccountStatement(payload),
+      };
+    } else {
+      const exported = await exportAccountStatement({ ...payload, format });
+      response = {
+        status: helpers.http_statuses.HTTP_200_OK,
+        contentType: exported.content_type,
+        headers: { 'Content-Disposition': `attachment; filename="${exported.filename}"` },
+        data: exported.body,
+      };
+    }
+
+    return response;
+  },
+});
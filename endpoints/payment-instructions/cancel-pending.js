@@ -0,0 +1,22 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const cancelPendingInstruction = require('@app/services/payment-processor/cancel-pending-instruction');
+
+module.exports = createHandler({
+  path: '/payment-instructions/pending/:id/cancel',
+  method: 'post',
+  // Pending instructions are only visible to the user who booked them
+  middlewares: [userAuth],
+  props: {
+    requiresAuth: true,
+  },
+  async handler(rc, helpers) {
+    const payload = { id: rc.params.id, user_id: rc.meta.user.user_id };
+
+    const response = await cancelPendingInstruction(payload);
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
@@ -0,0 +1,23 @@
+/**
+ * Instruction Formatter Endpoint
+ * Renders structured instruction fields as canonical instruction text
+ */
+const { createHandler } = require('@app-core/server');
+const formatInstruction = require('@app/services/payment-processor/format-instruction');
+
+module.exports = createHandler({
+  path: '/payment-instructions/format',
+  method: 'post',
+  middlewares: [],
+  props: {
+    requiresAuth: false,
+  },
+  async handler(rc, helpers) {
+    const response = await formatInstruction(rc.body);
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
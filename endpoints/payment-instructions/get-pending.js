@@ -0,0 +1,22 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const getPendingInstruction = require('@app/services/payment-processor/get-pending-instruction');
+
+module.exports = createHandler({
+  path: '/payment-instructions/pending/:id',
+  method: 'get',
+  // Pending instructions are only visible to the user who booked them
+  middlewares: [userAuth],
+  props: {
+    requiresAuth: true,
+  },
+  async handler(rc, helpers) {
+    const payload = { id: rc.params.id, user_id: rc.meta.user.user_id };
+
+    const response = await getPendingInstruction(payload);
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
@@ -0,0 +1,26 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const listPendingInstructions = require('@app/services/payment-processor/list-pending-instructions');
+
+module.exports = createHandler({
+  path: '/payment-instructions/pending',
+  method: 'get',
+  // Pending instructions are only visible to the user who booked them
+  middlewares: [userAuth],
+  props: {
+    requiresAuth: true,
+  },
+  async handler(rc, helpers) {
+    const payload = { ...rc.query, user_id: rc.meta.user.user_id };
+
+    if (payload.limit) {
+      payload.limit = Number(payload.limit);
+    }
+
+    const response = await listPendingInstructions(payload);
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
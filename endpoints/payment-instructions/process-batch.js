@@ -0,0 +1,52 @@
+/**
+ * Payment Instructions Batch Endpoint
+ * Follows template pattern: thin orchestration layer
+ */
+const { createHandler } = require('@app-core/server');
+const processBatch = require('@app/services/payment-processor/process-batch');
+const { appLogger } = require('@app-core/logger');
+const { optionalUserAuth } = require('@app/middlewares');
+
+module.exports = createHandler({
+  path: '/payment-instructions/batch',
+  method: 'post',
+  middlewares: [optionalUserAuth],
+  props: {
+    requiresAuth: false,
+  },
+
+  /**
+   * Handler orchestrates service call
+   */
+  async handler(rc, helpers) {
+    appLogger.info(
+      {
+        path: rc.properties.requestURL,
+        method: rc.properties.method,
+      },
+      'payment-instruction-batch-request'
+    );
+
+    // Prepare payload
+    const payload = {
+      accounts: rc.body.accounts || [],
+      instructions: rc.body.instructions || [],
+      atomic: rc.body.atomic === true,
+    };
+
+    // The tenant's product decides which business rules apply; it is only taken from
+    // a verified token, so callers cannot pick a laxer rule set for themselves
+    if (rc.meta.user && rc.meta.user.tenant_id) {
+      payload.tenant = rc.meta.user.tenant_id;
+    }
+
+    // Individual failures (and bundle rollbacks) are reported per result,
+    // so the batch itself succeeds
+    const result = await processBatch(payload);
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: result,
+    };
+  },
+});
@@ -4,12 +4,14 @@
  */
 const { createHandler } = require('@app-core/server');
 const parseInstruction = require('@app/services/payment-processor/parse-instruction');
+const runIdempotent = require('@app/services/idempotency/run-idempotent');
 const { appLogger } = require('@app-core/logger');
+const { optionalUserAuth } = require('@app/middlewares');
 
 module.exports = createHandler({
   path: '/payment-instructions',
   method: 'post',
-  middlewares: [], // No middleware needed
+  middlewares: [optionalUserAuth],
   props: {
     requiresAuth: false,
   },
@@ -27,25 +29,65 @@ module.exports = createHandler({
       'payment-instruction-request'
     );
 
-    // Prepare payload
+    // Prepare payload; without accounts the service uses the account store
     const payload = {
-      accounts: rc.body.accounts || [],
       instruction: rc.body.instruction || '',
     };
 
-    // Call service
-    const result = await parseInstruction(payload);
+    if (rc.body.accounts) {
+      payload.accounts = rc.body.accounts;
+    }
 
-    // Determine HTTP status
-    const httpStatus =
-      result.status === 'failed'
-        ? helpers.http_statuses.HTTP_400_BAD_REQUEST
-        : helpers.http_statuses.HTTP_200_OK;
+    if (rc.body.allow_fx !== undefined) {
+      payload.allow_fx = rc.body.allow_fx;
+    }
 
-    // Return response
-    return {
-      status: httpStatus,
-      data: result,
+    // The tenant's product decides which business rules apply; it is only taken from
+    // a verified token, so callers cannot pick a laxer rule set for themselves
+    if (rc.meta.user && rc.meta.user.tenant_id) {
+      payload.tenant = rc.meta.user.tenant_id;
+    }
+
+    // Without accounts the instruction moves stored balances, which only their owner may do
+    if (rc.meta.user && rc.meta.user.user_id) {
+      payload.user_id = rc.meta.user.user_id;
+    }
+
+    // Diagnostics mode: ?diagnostics=true or an X-Diagnostics: true header
+    if (rc.query.diagnostics === 'true' || rc.headers['x-diagnostics'] === 'true') {
+      payload.diagnostics = true;
+    }
+
+    const execute = async () => {
+      // Call service
+      const result = await parseInstruction(payload);
+
+      // Determine HTTP status
+      const httpStatus =
+        result.status === 'failed'
+          ? helpers.http_statuses.HTTP_400_BAD_REQUEST
+          : helpers.http_statuses.HTTP_200_OK;
+
+      return {
+        status: httpStatus,
+        data: result,
+      };
     };
+
+    // Retries carrying the same Idempotency-Key get the first response back
+    const idempotencyKey = rc.headers['idempotency-key'];
+
+    if (!idempotencyKey) {
+      return execute();
+    }
+
+    // Diagnostics change the response body, so they are part of the request identity
+    const request = payload.diagnostics ? { ...rc.body, diagnostics: true } : rc.body;
+
+    // Keys are the caller's own: one user cannot replay, or block, another's request
+    const caller = rc.meta.user ? rc.meta.user.user_id || rc.meta.user.tenant_id : null;
+    const scope = caller ? `POST /payment-instructions:${caller}` : 'POST /payment-instructions';
+
+    return runIdempotent({ key: idempotencyKey, scope, request }, { execute });
   },
 });
@@ -0,0 +1,26 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const listStandingOrders = require('@app/services/standing-orders/list-standing-orders');
+
+module.exports = createHandler({
+  path: '/standing-orders',
+  method: 'get',
+  // Standing orders are only visible to the user who set them up
+  middlewares: [userAuth],
+  props: {
+    requiresAuth: true,
+  },
+  async handler(rc, helpers) {
+    const payload = { ...rc.query, user_id: rc.meta.user.user_id };
+
+    if (payload.limit) {
+      payload.limit = Number(payload.limit);
+    }
+
+    const response = await listStandingOrders(payload);
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
@@ -0,0 +1,22 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const pauseStandingOrder = require('@app/services/standing-orders/pause-standing-order');
+
+module.exports = createHandler({
+  path: '/standing-orders/:id/pause',
+  method: 'post',
+  // Standing orders are only visible to the user who set them up
+  middlewares: [userAuth],
+  props: {
+    requiresAuth: true,
+  },
+  async handler(rc, helpers) {
+    const payload = { id: rc.params.id, user_id: rc.meta.user.user_id };
+
+    const response = await pauseStandingOrder(payload);
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: response,
+    };
+  },
+});
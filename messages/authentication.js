@@ -1,3 +1,4 @@
 module.exports = {
   MISSING_AUTH_HEADER: 'An authorization header is required',
+  INVALID_AUTH_HEADER: 'The authorization header must carry a Bearer token',
 };
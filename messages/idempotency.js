@@ -0,0 +1,7 @@
+/**
+ * Idempotency-Key handling messages
+ */
+module.exports = {
+  KEY_REUSED: 'This Idempotency-Key was already used with a different request body',
+  KEY_IN_PROGRESS: 'A request with this Idempotency-Key is still being processed',
+};
@@ -1,7 +1,13 @@
 const AuthenticationMessages = require('./authentication');
+const IdempotencyMessages = require('./idempotency');
+const LedgerMessages = require('./ledger');
 const PaymentMessages = require('./payment');
+const StandingOrderMessages = require('./standing-order');
 
 module.exports = {
   AuthenticationMessages,
+  IdempotencyMessages,
+  LedgerMessages,
   PaymentMessages,
+  StandingOrderMessages,
 };
@@ -0,0 +1,30 @@
+/**
+ * Account store and ledger messages
+ */
+module.exports = {
+  ACCOUNT_NOT_FOUND: 'Account not found',
+  ACCOUNT_EXISTS: 'An account with this ID already exists',
+  INVALID_DATE_RANGE: 'Date range must run from one YYYY-MM-DD date to a later one',
+  INVALID_CURSOR: 'Invalid pagination cursor',
+  UNKNOWN_STATEMENT_FORMAT: 'Unknown statement format',
+  UNKNOWN_KYC_TIER: 'Unknown KYC tier',
+  UNKNOWN_IDENTIFIER_SCHEME: 'Unknown account identifier scheme',
+  INVALID_ACCOUNT_ID_CHARACTERS:
+    'Account IDs may only use letters, numbers, hyphens, periods and at symbols',
+  INVALID_NUBAN_FORMAT:
+    'NUBAN must be the 10-digit account number, or the 3-digit bank code followed by it',
+  INVALID_NUBAN_BANK_CODE: 'NUBAN account numbers are checked against a 3-digit bank code',
+  NUBAN_CHECK_DIGIT_MISMATCH: 'NUBAN check digit does not match the bank code and account number',
+  INVALID_IBAN_FORMAT: 'IBAN must be a country code, 2 check digits and up to 30 letters or digits',
+  INVALID_IBAN_LENGTH: 'IBAN has the wrong length for its country',
+  IBAN_CHECKSUM_MISMATCH: 'IBAN checksum (mod 97) does not match',
+  INVALID_GHANA_ACCOUNT_NUMBER: 'Ghana account numbers must be 10 to 16 digits',
+  INVALID_OVERDRAFT_EXPIRY: 'Overdraft expiry must be a YYYY-MM-DD date',
+  BALANCE_CHANGED: 'Account balance changed while the transaction was being posted',
+  HELD_AMOUNT_CHANGED: 'Account held amount changed while the hold was being updated',
+  INSUFFICIENT_AVAILABLE_BALANCE: 'Available balance no longer covers the hold',
+  FUNDS_NO_LONGER_AVAILABLE: 'Available balance no longer covers the transaction',
+  HOLD_NOT_FOUND: 'Hold not found',
+  HOLD_NOT_ACTIVE: 'Hold is no longer active',
+  REVERSAL_EXCEEDS_ORIGINAL: 'Reversal exceeds the amount left to reverse',
+};
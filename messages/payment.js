@@ -3,27 +3,95 @@
  */
 module.exports = {
   // Amount validation
-  INVALID_AMOUNT: 'Amount must be a positive integer',
+  INVALID_AMOUNT: 'Amount must be a positive number',
+  INVALID_AMOUNT_PRECISION: 'Amount has more decimal places than the currency allows',
 
   // Currency validation
   CURRENCY_MISMATCH: 'Account currency mismatch',
   UNSUPPORTED_CURRENCY: 'Unsupported currency. Only NGN, USD, GBP, and GHS are supported',
+  FX_RATE_UNAVAILABLE: 'No FX rate available for',
 
   // Account validation
   INSUFFICIENT_FUNDS: 'Insufficient funds in debit account',
+  OVERDRAFT_EXCEEDED: 'Debit exceeds the arranged overdraft',
   SAME_ACCOUNT_ERROR: 'Debit and credit accounts cannot be the same',
   ACCOUNT_NOT_FOUND: 'Account not found',
-  INVALID_ACCOUNT_ID: 'Invalid account ID format',
+  STORE_REQUIRES_AUTH: 'Instructions against stored accounts need an authenticated user',
+  DEBIT_ACCOUNT_NOT_OWNED: 'Only the owner of an account may move funds out of it',
+
+  // Fee validation
+  FEE_SCHEDULE_NOT_FOUND: 'No fee schedule configured for',
+  FEE_ACCOUNT_IS_DEBIT_ACCOUNT: 'Fee account cannot be the debit account',
+  FEE_CURRENCY_MISMATCH: 'Fee account must hold the debit currency, but has',
+
+  // Reference and narration validation
+  INVALID_REFERENCE:
+    'Invalid reference. Use up to 35 letters, numbers, hyphens, underscores, periods or slashes',
+  INVALID_NARRATION: 'Narration must be a non-empty quoted phrase of at most 140 characters',
+  DUPLICATE_REFERENCE: 'Reference already used by this debit account',
+
+  // Split payments
+  SPLIT_TOTAL_MISMATCH: 'Split shares must add up to the amount',
+  DUPLICATE_SPLIT_ACCOUNT: 'An account can only take one share of a split',
+  SPLIT_CURRENCY_MISMATCH: 'Split account must hold the instruction currency',
+
+  // Reversals
+  REVERSAL_NEEDS_STORE: 'Reversals run against the account store; omit accounts',
+  TRANSACTION_NOT_FOUND: 'Transaction not found',
+  REVERSAL_OF_REVERSAL: 'A reversal cannot itself be reversed',
+  SPLIT_NOT_REVERSIBLE: 'Split payments cannot be reversed',
+  ALREADY_REVERSED: 'Transaction is already fully reversed',
+  REVERSAL_EXCEEDS_ORIGINAL: 'Reversal exceeds the amount left to reverse',
+
+  // Holds
+  HOLD_NEEDS_STORE: 'Holds run against the account store; omit accounts',
+  HOLD_NOT_FOUND: 'Hold not found',
+  HOLD_NOT_ACTIVE: 'Hold is no longer active. Current status',
+  HOLD_EXPIRED: 'Hold has expired',
+  CAPTURE_EXCEEDS_HOLD: 'Capture exceeds the amount held',
+  HOLD_EXPIRES_IN_PAST: 'Hold expiry must be today or later',
 
   // Date validation
   INVALID_DATE_FORMAT: 'Invalid date format. Must be YYYY-MM-DD',
+  INVALID_DATE_TIME_FORMAT:
+    'Invalid date format. Must be YYYY-MM-DD or YYYY-MM-DDTHH:MM[:SS] with a UTC offset',
+  DATE_DOES_NOT_EXIST: 'Date does not exist',
+  NOT_A_BUSINESS_DAY: 'Date is not a business day for the currency',
+  AFTER_CUT_OFF: 'Cut-off time for the currency has passed',
+
+  // Account limits
+  PER_TRANSACTION_LIMIT_EXCEEDED: 'Amount exceeds the per-transaction limit',
+  CUMULATIVE_LIMIT_EXCEEDED: 'Amount exceeds the cumulative debit limit',
+  VELOCITY_EXCEEDED: 'Too many transfers in the last hour',
+  BLOCKED_COUNTERPARTY: 'Transfers between these accounts are blocked',
+
+  // Standing orders
+  INVALID_RECURRENCE_DAY: 'Invalid recurrence day',
+  RECURRENCE_ENDS_BEFORE_FIRST_RUN: 'Standing order ends before its first run on',
 
   // Syntax validation
   MISSING_KEYWORD: 'Missing required keyword',
   INVALID_KEYWORD_ORDER: 'Invalid keyword order',
   MALFORMED_INSTRUCTION: 'Malformed instruction: unable to parse keywords',
 
+  // Batch processing
+  BATCH_TOO_LARGE: 'Too many instructions in one batch',
+  BUNDLE_ROLLED_BACK: 'Bundle rolled back',
+
+  // Instruction formatting
+  FEE_ACCOUNT_REQUIRED: 'fee_account is required when fee_amount is given',
+  ROUND_TRIP_FAILED: 'Formatted instruction does not parse back to the same instruction',
+
+  // Pending instructions
+  PENDING_INSTRUCTION_NOT_FOUND: 'Pending instruction not found',
+  PENDING_INSTRUCTION_NOT_CANCELLABLE: 'Only pending instructions can be cancelled. Current status',
+  PENDING_INSTRUCTION_NOT_SETTLED: 'Executing a pending instruction did not settle it. Status',
+
   // Success messages
   TRANSACTION_SUCCESSFUL: 'Transaction executed successfully',
   TRANSACTION_PENDING: 'Transaction scheduled for future execution',
+  TRANSACTION_CANCELLED: 'Transaction cancelled before execution',
+  FUNDS_HELD: 'Funds held on the account',
+  HOLD_RELEASED: 'Held funds released',
+  STANDING_ORDER_SCHEDULED: 'Standing order scheduled for recurring execution',
 };
@@ -0,0 +1,8 @@
+/**
+ * Standing order messages
+ */
+module.exports = {
+  STANDING_ORDER_NOT_FOUND: 'Standing order not found',
+  INVALID_STATUS_CHANGE: 'Standing order cannot be changed from its current status',
+  OCCURRENCE_CANCELLED: 'Standing order cancelled before execution',
+};
@@ -1,5 +1,7 @@
 const userAuth = require('./user-auth');
+const optionalUserAuth = require('./optional-user-auth');
 
 module.exports = {
   userAuth,
+  optionalUserAuth,
 };
@@ -0,0 +1,18 @@
+const { createHandler } = require('@app-core/server');
+const userAuth = require('./user-auth');
+
+// Authenticates the caller when they send an authorization header; anonymous
+// requests go through without a user
+module.exports = createHandler({
+  path: '*',
+  method: '',
+  async handler(rc, helpers) {
+    if (!rc.headers.authorization) {
+      return {
+        augments: { meta: { user: null } },
+      };
+    }
+
+    return userAuth.handler(rc, helpers);
+  },
+});
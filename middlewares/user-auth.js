@@ -1,7 +1,10 @@
 const { createHandler } = require('@app-core/server');
 const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { verify } = require('@app-core/jwt');
 const AuthenticationMessages = require('@app/messages/authentication');
 
+const BEARER_PREFIX = 'Bearer ';
+
 module.exports = createHandler({
   path: '*',
   method: '',
@@ -12,8 +15,16 @@ module.exports = createHandler({
       throwAppError(AuthenticationMessages.MISSING_AUTH_HEADER, ERROR_CODE.NOAUTHERR);
     }
 
+    if (!authHeader.startsWith(BEARER_PREFIX)) {
+      throwAppError(AuthenticationMessages.INVALID_AUTH_HEADER, ERROR_CODE.INVLDAUTHTOKEN);
+    }
+
+    // The verified token claims are the user: user_id, who they are, and e.g. tenant_id,
+    // the tenant they act for
+    const user = verify({ token: authHeader.substring(BEARER_PREFIX.length) });
+
     return {
-      augments: { meta: { user: {} } },
+      augments: { meta: { user } },
     };
   },
 });
@@ -0,0 +1,46 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'accounts';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} account_id
+ * @property {String} owner_id - User the account belongs to; only they may move funds out of it
+ * @property {Number} balance - Ledger balance
+ * @property {Number} held_amount - Reserved by active holds; the available balance is what is left
+ * @property {String} currency
+ * @property {String} identifier_scheme - Scheme the account ID is checked against (nuban, iban, ghana, free_form); inferred when unset
+ * @property {String} bank_code - 3-digit CBN bank code a 10-digit NUBAN is checked against
+ * @property {String} kyc_tier - Limit tier the account's debits are checked against; limits only apply once a tier is set (or the tier table names a default)
+ * @property {{currency: String, limit: Number}[]} overdraft_limits - How far below zero the account may go, per currency
+ * @property {String} overdraft_expires_on - Last day the overdraft can be drawn on, YYYY-MM-DD; no expiry when unset
+ * @property {String[]} blocked_counterparties - Accounts this account may not transfer to or from
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID },
+  account_id: { type: SchemaTypes.String, unique: true, index: true },
+  owner_id: { type: SchemaTypes.String, index: true },
+  balance: { type: SchemaTypes.Number, default: 0 },
+  held_amount: { type: SchemaTypes.Number, default: 0 },
+  currency: { type: SchemaTypes.String, index: true },
+  identifier_scheme: { type: SchemaTypes.String },
+  bank_code: { type: SchemaTypes.String },
+  kyc_tier: { type: SchemaTypes.String },
+  overdraft_limits: {
+    type: [{ currency: SchemaTypes.String, limit: SchemaTypes.Number }],
+    default: [],
+  },
+  overdraft_expires_on: { type: SchemaTypes.String },
+  blocked_counterparties: { type: [SchemaTypes.String], default: [] },
+  created: { type: SchemaTypes.Number },
+  updated: { type: SchemaTypes.Number },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
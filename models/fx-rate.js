@@ -0,0 +1,28 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'fx_rates';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} from_currency
+ * @property {String} to_currency
+ * @property {Number} rate - Units of to_currency per unit of from_currency
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID },
+  from_currency: { type: SchemaTypes.String },
+  to_currency: { type: SchemaTypes.String },
+  rate: { type: SchemaTypes.Number },
+  created: { type: SchemaTypes.Number },
+  updated: { type: SchemaTypes.Number },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+modelSchema.index({ from_currency: 1, to_currency: 1 }, { unique: true });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
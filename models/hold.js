@@ -0,0 +1,47 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'holds';
+
+/**
+ * Funds reserved on an account. The account's ledger balance is untouched until
+ * the hold is captured; its available balance drops by the amount while the hold is active
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} account_id
+ * @property {Number} amount
+ * @property {String} currency
+ * @property {String} reference
+ * @property {String} narration
+ * @property {String} expires_on - Last day the hold can be captured (UTC)
+ * @property {Number} expires_at - Timestamp from which the hold lapses
+ * @property {String} status - active | captured | released | expired
+ * @property {Number} captured_amount
+ * @property {String} transaction_id - Transaction the hold was captured by
+ * @property {String} instruction
+ * @property {Number} closed_at
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID },
+  account_id: { type: SchemaTypes.String, index: true },
+  amount: { type: SchemaTypes.Number },
+  currency: { type: SchemaTypes.String },
+  reference: { type: SchemaTypes.String },
+  narration: { type: SchemaTypes.String },
+  expires_on: { type: SchemaTypes.String },
+  expires_at: { type: SchemaTypes.Number, index: true },
+  status: { type: SchemaTypes.String, index: true },
+  captured_amount: { type: SchemaTypes.Number },
+  transaction_id: { type: SchemaTypes.String },
+  instruction: { type: SchemaTypes.String },
+  closed_at: { type: SchemaTypes.Number },
+  created: { type: SchemaTypes.Number },
+  updated: { type: SchemaTypes.Number },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
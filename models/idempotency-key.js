@@ -0,0 +1,38 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'idempotency_keys';
+
+/**
+ * The first response given for a client-supplied Idempotency-Key
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} scope - The endpoint the key was used on, and the user who used it
+ * @property {String} key
+ * @property {String} request_hash
+ * @property {String} status - processing | completed
+ * @property {Number} http_status
+ * @property {Object} response
+ * @property {Date} expires_at
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID },
+  scope: { type: SchemaTypes.String },
+  key: { type: SchemaTypes.String },
+  request_hash: { type: SchemaTypes.String },
+  status: { type: SchemaTypes.String },
+  http_status: { type: SchemaTypes.Number },
+  response: { type: SchemaTypes.Mixed },
+  expires_at: { type: SchemaTypes.Date },
+  created: { type: SchemaTypes.Number },
+  updated: { type: SchemaTypes.Number },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+modelSchema.index({ scope: 1, key: 1 }, { unique: true });
+modelSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
@@ -1,5 +1,19 @@
+const Account = require('./account');
+const FxRate = require('./fx-rate');
+const Hold = require('./hold');
+const IdempotencyKey = require('./idempotency-key');
+const JournalEntry = require('./journal-entry');
 const Notification = require('./notification');
+const PendingInstruction = require('./pending-instruction');
+const StandingOrder = require('./standing-order');
 
 module.exports = {
+  Account,
+  FxRate,
+  Hold,
+  IdempotencyKey,
+  JournalEntry,
   Notification,
+  PendingInstruction,
+  StandingOrder,
 };
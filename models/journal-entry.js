@@ -0,0 +1,60 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'journal_entries';
+
+/**
+ * A single leg of an executed transaction. Entries are append-only:
+ * every transaction writes a debit and a credit leg, plus a pair for any fee.
+ * A reversal is a transaction of its own, linked to the one it reverses.
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} transaction_id
+ * @property {String} account_id
+ * @property {String} counterparty_account_id
+ * @property {String} entry_type - debit | credit
+ * @property {String} purpose - transfer | fee
+ * @property {Number} amount
+ * @property {String} currency
+ * @property {Number} balance_before
+ * @property {Number} balance_after
+ * @property {Number} fx_rate - Set on both legs of a cross-currency transaction
+ * @property {String} reference - Client reference, unique per debit account
+ * @property {Boolean} holds_reference - Set on the one debit leg that claims the reference
+ * @property {String} narration
+ * @property {String} reversal_of - Transaction ID this transaction reverses
+ * @property {String} instruction
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID },
+  transaction_id: { type: SchemaTypes.String, index: true },
+  account_id: { type: SchemaTypes.String, index: true },
+  counterparty_account_id: { type: SchemaTypes.String },
+  entry_type: { type: SchemaTypes.String },
+  purpose: { type: SchemaTypes.String },
+  amount: { type: SchemaTypes.Number },
+  currency: { type: SchemaTypes.String },
+  balance_before: { type: SchemaTypes.Number },
+  balance_after: { type: SchemaTypes.Number },
+  fx_rate: { type: SchemaTypes.Number },
+  reference: { type: SchemaTypes.String, index: true },
+  holds_reference: { type: SchemaTypes.Boolean },
+  narration: { type: SchemaTypes.String },
+  reversal_of: { type: SchemaTypes.String, index: true },
+  instruction: { type: SchemaTypes.String },
+  created: { type: SchemaTypes.Number, index: true },
+  updated: { type: SchemaTypes.Number },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+// A transaction may debit an account on several legs; only the flagged one claims the reference
+modelSchema.index(
+  { account_id: 1, reference: 1 },
+  { unique: true, partialFilterExpression: { holds_reference: true } }
+);
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
@@ -0,0 +1,71 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'pending_instructions';
+
+/**
+ * An instruction dated for the future, held until it falls due
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} instruction
+ * @property {String} type
+ * @property {Number} amount
+ * @property {String} currency
+ * @property {String} debit_account
+ * @property {String} credit_account
+ * @property {String} execute_by
+ * @property {String} value_date - Business day the instruction settles on, on or after execute_by
+ * @property {String} reference - Client reference, unique per debit account
+ * @property {String} narration
+ * @property {Number} due_at - Timestamp from which the instruction can execute
+ * @property {Boolean} allow_fx - Whether the instruction was submitted in FX mode
+ * @property {String} tenant - Tenant that submitted the instruction, whose business rules it runs
+ * @property {String} owner_id - User who booked the instruction; only they may see or cancel it
+ * @property {String} status - pending | processing | successful | failed | cancelled
+ * @property {String} status_code
+ * @property {String} status_reason
+ * @property {String} transaction_id
+ * @property {Number} executed_at
+ * @property {String} standing_order_id - Standing order the instruction is an occurrence of
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID },
+  instruction: { type: SchemaTypes.String },
+  type: { type: SchemaTypes.String },
+  amount: { type: SchemaTypes.Number },
+  currency: { type: SchemaTypes.String },
+  debit_account: { type: SchemaTypes.String, index: true },
+  credit_account: { type: SchemaTypes.String, index: true },
+  execute_by: { type: SchemaTypes.String },
+  value_date: { type: SchemaTypes.String },
+  reference: { type: SchemaTypes.String, index: true },
+  narration: { type: SchemaTypes.String },
+  due_at: { type: SchemaTypes.Number, index: true },
+  allow_fx: { type: SchemaTypes.Boolean, default: false },
+  tenant: { type: SchemaTypes.String },
+  owner_id: { type: SchemaTypes.String, index: true },
+  status: { type: SchemaTypes.String, index: true },
+  status_code: { type: SchemaTypes.String },
+  status_reason: { type: SchemaTypes.String },
+  transaction_id: { type: SchemaTypes.String },
+  executed_at: { type: SchemaTypes.Number },
+  standing_order_id: { type: SchemaTypes.String, index: true },
+  created: { type: SchemaTypes.Number },
+  updated: { type: SchemaTypes.Number },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+// Waiting instructions hold their reference here; once executed, the journal holds it
+modelSchema.index(
+  { debit_account: 1, reference: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: 'pending', reference: { $type: 'string' } },
+  }
+);
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
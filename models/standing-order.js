@@ -0,0 +1,63 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'standing_orders';
+
+/**
+ * A recurring instruction. Each run date becomes a pending instruction of its own,
+ * executed and settled like any other
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} instruction - As submitted, recurrence clause included
+ * @property {String} occurrence_instruction - Run on each date: without the recurrence, date and reference clauses
+ * @property {String} type
+ * @property {Number} amount
+ * @property {String} currency
+ * @property {String} debit_account
+ * @property {String} credit_account
+ * @property {String} reference - Client reference of the order; occurrences carry none
+ * @property {String} narration
+ * @property {Boolean} allow_fx - Whether the instruction was submitted in FX mode
+ * @property {String} tenant - Tenant that submitted the instruction, whose business rules it runs
+ * @property {String} owner_id - User who set the order up; only they may see or change it
+ * @property {String} frequency - DAY | WEEK | MONTH
+ * @property {Number} day - ISO weekday of weekly orders, day of the month of monthly ones
+ * @property {String} start_date
+ * @property {String} until - Last date an occurrence may run on, if any
+ * @property {String} next_run_date - Null once the order is cancelled or completed
+ * @property {String} last_run_date
+ * @property {Number} occurrences - Occurrences generated so far
+ * @property {String} status - active | paused | cancelled | completed
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID },
+  instruction: { type: SchemaTypes.String },
+  occurrence_instruction: { type: SchemaTypes.String },
+  type: { type: SchemaTypes.String },
+  amount: { type: SchemaTypes.Number },
+  currency: { type: SchemaTypes.String },
+  debit_account: { type: SchemaTypes.String, index: true },
+  credit_account: { type: SchemaTypes.String, index: true },
+  reference: { type: SchemaTypes.String },
+  narration: { type: SchemaTypes.String },
+  allow_fx: { type: SchemaTypes.Boolean, default: false },
+  tenant: { type: SchemaTypes.String },
+  owner_id: { type: SchemaTypes.String, index: true },
+  frequency: { type: SchemaTypes.String },
+  day: { type: SchemaTypes.Number },
+  start_date: { type: SchemaTypes.String },
+  until: { type: SchemaTypes.String },
+  next_run_date: { type: SchemaTypes.String, index: true },
+  last_run_date: { type: SchemaTypes.String },
+  occurrences: { type: SchemaTypes.Number, default: 0 },
+  status: { type: SchemaTypes.String, index: true },
+  created: { type: SchemaTypes.Number },
+  updated: { type: SchemaTypes.Number },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
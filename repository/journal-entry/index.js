@@ -0,0 +1,12 @@
+const repositoryFactory = require('@app-core/repository-factory');
+
+const { create, createMany, findOne, findMany, raw } = repositoryFactory('JournalEntry');
+
+// Journal entries are immutable, so only append and read operations are exposed
+module.exports = {
+  create,
+  createMany,
+  findOne,
+  findMany,
+  raw,
+};
@@ -0,0 +1,91 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { LedgerMessages } = require('@app/messages');
+const Account = require('@app/repository/account');
+const { isKnownTier } = require('@app/services/limits/helpers/limit-tiers');
+const { isKnownScheme, checkAccountId } = require('./identifier-schemes');
+const formatAccount = require('./helpers/format-account');
+
+const spec = `root {
+  id string<trim|minLength:1>
+  owner_id string<trim|minLength:1>
+  currency string<trim|uppercase|length:3>
+  identifier_scheme? string<trim|lowercase>
+  bank_code? string<trim>
+  balance? number<min:0>
+  kyc_tier? string<trim>
+  overdraft_limits[]? {
+    currency string<trim|uppercase|length:3>
+    limit number<min:0>
+  }
+  overdraft_expires_on? string<trim|length:10>
+  blocked_counterparties[]? string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+async function createAccount(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const existingAccount = await Account.findOne({ query: { account_id: data.id } });
+
+    if (existingAccount) {
+      throwAppError(`${LedgerMessages.ACCOUNT_EXISTS}: ${data.id}`, ERROR_CODE.DUPLRCRD);
+    }
+
+    if (data.identifier_scheme && !isKnownScheme(data.identifier_scheme)) {
+      throwAppError(
+        `${LedgerMessages.UNKNOWN_IDENTIFIER_SCHEME}: ${data.identifier_scheme}`,
+        ERROR_CODE.INVLDDATA
+      );
+    }
+
+    const { reason } = checkAccountId(data.id, {
+      scheme: data.identifier_scheme,
+      currency: data.currency,
+      bankCode: data.bank_code,
+    });
+    if (reason) {
+      throwAppError(`${reason}: ${data.id}`, ERROR_CODE.INVLDDATA);
+    }
+
+    if (data.kyc_tier && !isKnownTier(data.kyc_tier)) {
+      throwAppError(`${LedgerMessages.UNKNOWN_KYC_TIER}: ${data.kyc_tier}`, ERROR_CODE.INVLDDATA);
+    }
+
+    if (
+      data.overdraft_expires_on &&
+      Number.isNaN(Date.parse(`${data.overdraft_expires_on}T00:00:00Z`))
+    ) {
+      throwAppError(
+        `${LedgerMessages.INVALID_OVERDRAFT_EXPIRY}: ${data.overdraft_expires_on}`,
+        ERROR_CODE.INVLDDATA
+      );
+    }
+
+    const account = await Account.create({
+      account_id: data.id,
+      owner_id: data.owner_id,
+      balance: data.balance || 0,
+      currency: data.currency,
+      identifier_scheme: data.identifier_scheme,
+      bank_code: data.bank_code,
+      kyc_tier: data.kyc_tier,
+      overdraft_limits: data.overdraft_limits || [],
+      overdraft_expires_on: data.overdraft_expires_on,
+      blocked_counterparties: data.blocked_counterparties || [],
+    });
+
+    result = formatAccount(account);
+  } catch (error) {
+    appLogger.errorX(error, 'create-account-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = createAccount;
@@ -0,0 +1,59 @@
+/**
+ * Account Statement Export Service
+ * Renders an account statement (see getAccountStatement) as a document in one of
+ * the registered statement formats: RFC 4180 CSV or ISO 20022 camt.053 XML
+ */
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { LedgerMessages } = require('@app/messages');
+const getAccountStatement = require('./get-account-statement');
+const { getStatementFormat, isKnownFormat } = require('./statement-formats');
+
+const spec = `root {
+  id string<trim|minLength:1>
+  user_id string<trim|minLength:1>
+  from? string<trim|length:10>
+  to? string<trim|length:10>
+  format string<trim|lowercase>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * @returns {Promise<{content_type: String, filename: String, body: String}>}
+ */
+async function exportAccountStatement(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    if (!isKnownFormat(data.format)) {
+      throwAppError(
+        `${LedgerMessages.UNKNOWN_STATEMENT_FORMAT}: ${data.format}`,
+        ERROR_CODE.INVLDDATA
+      );
+    }
+
+    const format = getStatementFormat(data.format);
+    const statement = await getAccountStatement({
+      id: data.id,
+      user_id: data.user_id,
+      from: data.from,
+      to: data.to,
+    });
+
+    result = {
+      content_type: format.contentType,
+      filename: `statement-${statement.account_id}-${statement.from}-${statement.to}.${format.extension}`,
+      body: format.render(statement),
+    };
+  } catch (error) {
+    appLogger.errorX(error, 'export-account-statement-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = exportAccountStatement;
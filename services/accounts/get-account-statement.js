@@ -0,0 +1,99 @@
+/**
+ * Account Statement Service
+ * The posted journal entries of an account between two days (from/to, YYYY-MM-DD
+ * in UTC; this month to date by default), oldest first, each with the running
+ * balance after it, between the opening and closing balances of the period.
+ * The opening balance is worked back from the current balance through every entry
+ * since the period began, so it holds however entries within a millisecond sort.
+ * Only the account's owner (user_id) gets its statement; other users' accounts are not found
+ */
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { LedgerMessages } = require('@app/messages');
+const Account = require('@app/repository/account');
+const JournalEntry = require('@app/repository/journal-entry');
+const { toMinorUnits, toMajorUnits } = require('@app/services/currency/minor-units');
+const { today } = require('@app/services/standing-orders/helpers/schedule');
+const { schemeOf } = require('./identifier-schemes');
+const { dateRangeOf, formatJournalEntry } = require('./helpers/account-history');
+
+const spec = `root {
+  id string<trim|minLength:1>
+  user_id string<trim|minLength:1>
+  from? string<trim|length:10>
+  to? string<trim|length:10>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+const OLDEST_FIRST = { created: 1, _id: 1 };
+
+/**
+ * Signed movement of an entry on its account, in minor units
+ */
+function movementMinorOf(entry) {
+  const amountMinor = toMinorUnits(entry.amount, entry.currency);
+  return entry.entry_type === 'debit' ? -amountMinor : amountMinor;
+}
+
+/**
+ * @returns {Promise<{account_id: String, currency: String, identifier_scheme: String, from: String, to: String, opening_balance: Number, closing_balance: Number, lines: Object[]}>}
+ */
+async function getAccountStatement(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const account = await Account.findOne({
+      query: { account_id: data.id, owner_id: data.user_id },
+    });
+
+    if (!account) {
+      throwAppError(`${LedgerMessages.ACCOUNT_NOT_FOUND}: ${data.id}`, ERROR_CODE.NOTFOUND);
+    }
+
+    const to = data.to || today();
+    const from = data.from || `${to.substring(0, 8)}01`;
+    const { since, before } = dateRangeOf({ from, to });
+
+    const entries = await JournalEntry.findMany({
+      query: { account_id: data.id, created: { $gte: since } },
+      options: { sort: OLDEST_FIRST },
+    });
+    const periodEntries = entries.filter((entry) => entry.created < before);
+
+    const openingMinor =
+      toMinorUnits(account.balance, account.currency) -
+      entries.reduce((total, entry) => total + movementMinorOf(entry), 0);
+
+    let runningMinor = openingMinor;
+    const lines = periodEntries.map((entry) => {
+      runningMinor += movementMinorOf(entry);
+      return {
+        ...formatJournalEntry(entry),
+        running_balance: toMajorUnits(runningMinor, account.currency),
+      };
+    });
+
+    result = {
+      account_id: data.id,
+      currency: account.currency,
+      identifier_scheme:
+        account.identifier_scheme ||
+        schemeOf(data.id, { currency: account.currency, bankCode: account.bank_code }).name,
+      from,
+      to,
+      opening_balance: toMajorUnits(openingMinor, account.currency),
+      closing_balance: toMajorUnits(runningMinor, account.currency),
+      lines,
+    };
+  } catch (error) {
+    appLogger.errorX(error, 'get-account-statement-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = getAccountStatement;
@@ -0,0 +1,27 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { LedgerMessages } = require('@app/messages');
+const Account = require('@app/repository/account');
+const formatAccount = require('./helpers/format-account');
+
+// Only the account's owner, user_id, sees it; to anyone else it does not exist
+const spec = `root {
+  id string<trim|minLength:1>
+  user_id string<trim|minLength:1>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+async function getAccount(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const account = await Account.findOne({ query: { account_id: data.id, owner_id: data.user_id } });
+
+  if (!account) {
+    throwAppError(`${LedgerMessages.ACCOUNT_NOT_FOUND}: ${data.id}`, ERROR_CODE.NOTFOUND);
+  }
+
+  return formatAccount(account);
+}
+
+module.exports = getAccount;
@@ -0,0 +1,123 @@
+/**
+ * Account history lines, shared by the transaction list and the statement.
+ * A booked line is a journal entry of the account; an unbooked one is a pending
+ * instruction on it that has not (or not yet) posted. Both order newest first by
+ * created, then _id, which is also what a cursor points at
+ */
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { LedgerMessages } = require('@app/messages');
+const { toTimestamp, addDays } = require('@app/services/standing-orders/helpers/schedule');
+
+const NEWEST_FIRST = { created: -1, _id: -1 };
+
+/**
+ * Timestamps bounding a from/to range of YYYY-MM-DD dates (UTC), to inclusive
+ * @returns {{since: Number|null, before: Number|null}} before is exclusive
+ */
+function dateRangeOf({ from, to }) {
+  const since = from ? toTimestamp(from) : null;
+  const until = to ? toTimestamp(to) : null;
+
+  if (Number.isNaN(since) || Number.isNaN(until) || (from && to && from > to)) {
+    throwAppError(
+      `${LedgerMessages.INVALID_DATE_RANGE}: ${from || ''}..${to || ''}`,
+      ERROR_CODE.INVLDDATA
+    );
+  }
+
+  return { since, before: to ? toTimestamp(addDays(to, 1)) : null };
+}
+
+/**
+ * Query conditions keeping lines created within a date range
+ */
+function createdWithin({ since, before }) {
+  const created = {};
+  if (since !== null) created.$gte = since;
+  if (before !== null) created.$lt = before;
+
+  return Object.keys(created).length ? [{ created }] : [];
+}
+
+function encodeCursor(line) {
+  return Buffer.from(`${line.created}:${line._id}`).toString('base64url');
+}
+
+/**
+ * Query conditions keeping lines older than the one a cursor points at
+ */
+function olderThan(cursor) {
+  const [created, id] = Buffer.from(cursor, 'base64url').toString('utf-8').split(':');
+
+  if (!id || !Number.isFinite(Number(created))) {
+    throwAppError(LedgerMessages.INVALID_CURSOR, ERROR_CODE.INVLDDATA);
+  }
+
+  return [
+    {
+      $or: [{ created: { $lt: Number(created) } }, { created: Number(created), _id: { $lt: id } }],
+    },
+  ];
+}
+
+function isNewer(a, b) {
+  return a.created > b.created || (a.created === b.created && a._id > b._id);
+}
+
+function formatJournalEntry(entry) {
+  return {
+    id: entry._id,
+    transaction_id: entry.transaction_id,
+    pending_instruction_id: null,
+    type: entry.entry_type,
+    purpose: entry.purpose,
+    status: 'successful',
+    amount: entry.amount,
+    currency: entry.currency,
+    counterparty_account: entry.counterparty_account_id,
+    balance_before: entry.balance_before,
+    balance_after: entry.balance_after,
+    reference: entry.reference || null,
+    narration: entry.narration || null,
+    reversal_of: entry.reversal_of || null,
+    created: entry.created,
+  };
+}
+
+function formatPendingLine(pendingInstruction, accountId) {
+  const isDebit = pendingInstruction.debit_account === accountId;
+
+  return {
+    id: pendingInstruction._id,
+    transaction_id: null,
+    pending_instruction_id: pendingInstruction._id,
+    type: isDebit ? 'debit' : 'credit',
+    purpose: 'transfer',
+    status: pendingInstruction.status,
+    amount: pendingInstruction.amount,
+    currency: pendingInstruction.currency,
+    counterparty_account: isDebit
+      ? pendingInstruction.credit_account
+      : pendingInstruction.debit_account,
+    balance_before: null,
+    balance_after: null,
+    reference: pendingInstruction.reference || null,
+    narration: pendingInstruction.narration || null,
+    reversal_of: null,
+    value_date: pendingInstruction.value_date || pendingInstruction.execute_by,
+    status_code: pendingInstruction.status_code,
+    status_reason: pendingInstruction.status_reason || null,
+    created: pendingInstruction.created,
+  };
+}
+
+module.exports = {
+  NEWEST_FIRST,
+  dateRangeOf,
+  createdWithin,
+  encodeCursor,
+  olderThan,
+  isNewer,
+  formatJournalEntry,
+  formatPendingLine,
+};
@@ -0,0 +1,40 @@
+const { toMinorUnits, toMajorUnits } = require('@app/services/currency/minor-units');
+const { overdraftMinorOf } = require('@app/services/ledger/helpers/overdraft');
+const { schemeOf } = require('@app/services/accounts/identifier-schemes');
+
+/**
+ * Shape a stored account for API responses
+ * The available balance is the ledger balance less what active holds reserve;
+ * overdraft_used is how far below zero the balance is; identifier_scheme is the
+ * account's tag, else the scheme its ID is inferred to
+ */
+function formatAccount(account) {
+  const heldAmount = account.held_amount || 0;
+  const balanceMinor = toMinorUnits(account.balance, account.currency);
+
+  return {
+    id: account.account_id,
+    balance: account.balance,
+    held_amount: heldAmount,
+    available_balance: toMajorUnits(
+      balanceMinor - toMinorUnits(heldAmount, account.currency),
+      account.currency
+    ),
+    currency: account.currency,
+    identifier_scheme:
+      account.identifier_scheme ||
+      schemeOf(account.account_id, { currency: account.currency, bankCode: account.bank_code })
+        .name,
+    bank_code: account.bank_code || null,
+    overdraft_limit: toMajorUnits(overdraftMinorOf(account), account.currency),
+    overdraft_limits: account.overdraft_limits || [],
+    overdraft_expires_on: account.overdraft_expires_on || null,
+    overdraft_used: toMajorUnits(Math.max(0, -balanceMinor), account.currency),
+    kyc_tier: account.kyc_tier || null,
+    blocked_counterparties: account.blocked_counterparties || [],
+    created: account.created,
+    updated: account.updated,
+  };
+}
+
+module.exports = formatAccount;
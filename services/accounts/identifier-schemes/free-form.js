@@ -0,0 +1,25 @@
+/**
+ * Free-form account IDs: letters, numbers, hyphens, periods and at symbols.
+ * The scheme of every ID no other scheme claims
+ */
+const { LedgerMessages } = require('@app/messages');
+
+function check(id) {
+  // eslint-disable-next-line no-plusplus
+  for (let i = 0; i < id.length; i++) {
+    const char = id[i];
+    const isLetter = (char >= 'a' && char <= 'z') || (char >= 'A' && char <= 'Z');
+    const isNumber = char >= '0' && char <= '9';
+    const isSpecial = char === '-' || char === '.' || char === '@';
+
+    if (!isLetter && !isNumber && !isSpecial) {
+      return LedgerMessages.INVALID_ACCOUNT_ID_CHARACTERS;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  name: 'free_form',
+  check,
+};
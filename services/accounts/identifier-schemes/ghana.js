@@ -0,0 +1,25 @@
+/**
+ * Ghana bank account numbers: 10 to 16 digits. Ghanaian banks share no check
+ * digit, so only the length and digits are checked
+ * Claims no IDs: without a check digit the scheme cannot tell a Ghanaian account
+ * number from any other ID, so it only applies to accounts tagged ghana
+ */
+const { LedgerMessages } = require('@app/messages');
+
+const MIN_LENGTH = 10;
+const MAX_LENGTH = 16;
+
+function isDigits(text) {
+  return text.length > 0 && [...text].every((char) => char >= '0' && char <= '9');
+}
+
+function check(id) {
+  return isDigits(id) && id.length >= MIN_LENGTH && id.length <= MAX_LENGTH
+    ? null
+    : LedgerMessages.INVALID_GHANA_ACCOUNT_NUMBER;
+}
+
+module.exports = {
+  name: 'ghana',
+  check,
+};
@@ -0,0 +1,82 @@
+/**
+ * IBAN (ISO 13616): a country code, 2 check digits and the national account number,
+ * valid when the rearranged number leaves 1 modulo 97. Countries listed in
+ * IBAN_COUNTRIES are held to their length; others to 15 to 34 characters
+ * Claims IDs shaped like an IBAN of a listed country on accounts in that country's
+ * currency; any other IBAN is only checked on accounts tagged iban
+ */
+const { LedgerMessages } = require('@app/messages');
+
+const IBAN_COUNTRIES = {
+  AT: { length: 20, currency: 'EUR' },
+  BE: { length: 16, currency: 'EUR' },
+  CH: { length: 21, currency: 'CHF' },
+  DE: { length: 22, currency: 'EUR' },
+  DK: { length: 18, currency: 'DKK' },
+  ES: { length: 24, currency: 'EUR' },
+  FR: { length: 27, currency: 'EUR' },
+  GB: { length: 22, currency: 'GBP' },
+  IE: { length: 22, currency: 'EUR' },
+  IT: { length: 27, currency: 'EUR' },
+  NL: { length: 18, currency: 'EUR' },
+  NO: { length: 15, currency: 'NOK' },
+  PT: { length: 25, currency: 'EUR' },
+  SE: { length: 24, currency: 'SEK' },
+};
+
+const MIN_LENGTH = 15;
+const MAX_LENGTH = 34;
+
+function isDigits(text) {
+  return text.length > 0 && [...text].every((char) => char >= '0' && char <= '9');
+}
+
+function isUpperLetter(char) {
+  return char >= 'A' && char <= 'Z';
+}
+
+function isShapedLikeIban(id) {
+  return (
+    id.length >= MIN_LENGTH &&
+    id.length <= MAX_LENGTH &&
+    isUpperLetter(id[0]) &&
+    isUpperLetter(id[1]) &&
+    isDigits(id.substring(2, 4)) &&
+    [...id.substring(4)].every((char) => isUpperLetter(char) || isDigits(char))
+  );
+}
+
+/**
+ * Remainder of the IBAN modulo 97, its first four characters moved to the end
+ * and letters counted as 10 (A) to 35 (Z), read a digit at a time
+ */
+function mod97(iban) {
+  const rearranged = iban.substring(4) + iban.substring(0, 4);
+
+  return [...rearranged].reduce((remainder, char) => {
+    const value = isUpperLetter(char) ? String(char.charCodeAt(0) - 55) : char;
+    return [...value].reduce((rest, digit) => (rest * 10 + Number(digit)) % 97, remainder);
+  }, 0);
+}
+
+function infer(id, account = {}) {
+  const country = IBAN_COUNTRIES[id.substring(0, 2)];
+  return !!country && country.currency === account.currency && isShapedLikeIban(id);
+}
+
+function check(id) {
+  if (!isShapedLikeIban(id)) return LedgerMessages.INVALID_IBAN_FORMAT;
+
+  const country = IBAN_COUNTRIES[id.substring(0, 2)];
+  if (country && id.length !== country.length) {
+    return `${LedgerMessages.INVALID_IBAN_LENGTH}: ${id.substring(0, 2)} IBANs have ${country.length} characters`;
+  }
+
+  return mod97(id) === 1 ? null : LedgerMessages.IBAN_CHECKSUM_MISMATCH;
+}
+
+module.exports = {
+  name: 'iban',
+  infer,
+  check,
+};
@@ -0,0 +1,77 @@
+/**
+ * Account identifier scheme registry.
+ * A scheme is an object with a `name`, `check(id, account)` returning why the ID is
+ * invalid (null when it is valid) and an optional `infer(id, account)` claiming the IDs
+ * it recognises; account holds the account's currency and bankCode. An account tagged
+ * with a scheme is checked against it; an untagged one against the first scheme that
+ * claims it, in registration order, else free_form. Schemes only claim IDs they can
+ * tell apart from free-form ones, so inference never rejects an ID free_form accepts
+ * unless the account's currency or bank code points at the scheme
+ */
+const freeForm = require('./free-form');
+const iban = require('./iban');
+const nuban = require('./nuban');
+const ghana = require('./ghana');
+
+const schemes = {
+  [iban.name]: iban,
+  [nuban.name]: nuban,
+  [ghana.name]: ghana,
+  [freeForm.name]: freeForm,
+};
+
+/**
+ * Register (or replace) an identifier scheme
+ * @param {{name: String, check: function(String, Object): String|null, infer?: function(String, Object): Boolean}} scheme
+ */
+function registerIdentifierScheme(scheme) {
+  if (!scheme?.name || typeof scheme.check !== 'function') {
+    throw new Error('Identifier scheme must have a name and implement check');
+  }
+  schemes[scheme.name] = scheme;
+}
+
+function getIdentifierScheme(name) {
+  const scheme = schemes[name];
+
+  if (!scheme) {
+    throw new Error(`Unknown account identifier scheme: ${name}`);
+  }
+  return scheme;
+}
+
+function isKnownScheme(name) {
+  return !!schemes[name];
+}
+
+/**
+ * Scheme an account ID is checked against: its tag, else the first scheme claiming it
+ * @param {String} id
+ * @param {{scheme?: String, currency?: String, bankCode?: String}} [account] Tag, currency and bank code of the account
+ */
+function schemeOf(id, account = {}) {
+  if (account.scheme) return getIdentifierScheme(account.scheme);
+
+  const details = { ...account, currency: account.currency && account.currency.toUpperCase() };
+  return (
+    Object.values(schemes).find((scheme) => scheme.infer && scheme.infer(id, details)) ||
+    schemes[freeForm.name]
+  );
+}
+
+/**
+ * Check an account ID against its scheme
+ * @returns {{scheme: String, reason: String|null}} reason is null when the ID is valid
+ */
+function checkAccountId(id, account = {}) {
+  const scheme = schemeOf(id, account);
+  return { scheme: scheme.name, reason: scheme.check(id, account) };
+}
+
+module.exports = {
+  registerIdentifierScheme,
+  getIdentifierScheme,
+  isKnownScheme,
+  schemeOf,
+  checkAccountId,
+};
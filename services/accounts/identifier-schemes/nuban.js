@@ -0,0 +1,70 @@
+/**
+ * Nigerian NUBAN: the 10-digit account number, whose last digit checks the other nine
+ * together with the account's 3-digit CBN bank code (weights 3, 7, 3 repeating over
+ * bank code and serial). The bank code is given separately (bank_code on the account);
+ * IDs that prefix it to the account number (13 digits) carry their own
+ * Claims 10-digit NGN account IDs on accounts with a bank code; a 13-digit ID is
+ * only read as a NUBAN on accounts tagged nuban
+ */
+const { LedgerMessages } = require('@app/messages');
+
+const WEIGHTS = [3, 7, 3, 3, 7, 3, 3, 7, 3, 3, 7, 3];
+
+const BANK_CODE_LENGTH = 3;
+const ACCOUNT_NUMBER_LENGTH = 10;
+
+function isDigits(text) {
+  return text.length > 0 && [...text].every((char) => char >= '0' && char <= '9');
+}
+
+function isBankCode(bankCode) {
+  return !!bankCode && bankCode.length === BANK_CODE_LENGTH && isDigits(bankCode);
+}
+
+function checkDigit(serial) {
+  const sum = WEIGHTS.reduce((total, weight, i) => total + weight * Number(serial[i]), 0);
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Split an ID into its bank code and 10-digit account number, or null when the ID
+ * is neither an account number nor a bank code followed by one
+ */
+function splitNuban(id, bankCode) {
+  if (!isDigits(id)) return null;
+
+  if (id.length === BANK_CODE_LENGTH + ACCOUNT_NUMBER_LENGTH) {
+    return {
+      bankCode: id.substring(0, BANK_CODE_LENGTH),
+      accountNumber: id.substring(BANK_CODE_LENGTH),
+    };
+  }
+  return id.length === ACCOUNT_NUMBER_LENGTH ? { bankCode, accountNumber: id } : null;
+}
+
+function infer(id, account = {}) {
+  return (
+    account.currency === 'NGN' &&
+    id.length === ACCOUNT_NUMBER_LENGTH &&
+    isDigits(id) &&
+    isBankCode(account.bankCode)
+  );
+}
+
+function check(id, account = {}) {
+  const nuban = splitNuban(id, account.bankCode);
+
+  if (!nuban) return LedgerMessages.INVALID_NUBAN_FORMAT;
+  if (!isBankCode(nuban.bankCode)) return LedgerMessages.INVALID_NUBAN_BANK_CODE;
+
+  const serial = nuban.bankCode + nuban.accountNumber.substring(0, ACCOUNT_NUMBER_LENGTH - 1);
+  return checkDigit(serial) === Number(nuban.accountNumber[ACCOUNT_NUMBER_LENGTH - 1])
+    ? null
+    : LedgerMessages.NUBAN_CHECK_DIGIT_MISMATCH;
+}
+
+module.exports = {
+  name: 'nuban',
+  infer,
+  check,
+};
@@ -0,0 +1,122 @@
+/**
+ * Account Transactions Service
+ * The history of an account, newest first: its journal entries, and the pending
+ * instructions on it that have not posted (scheduled, running, failed or cancelled).
+ * Filters by the day a line was created (from/to, YYYY-MM-DD in UTC), type (debit or
+ * credit for this account), status and currency. A page holds up to limit lines;
+ * next_cursor fetches the one after it, null on the last page.
+ * Only the account's owner (user_id) sees its history; other users' accounts are not found
+ */
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { LedgerMessages } = require('@app/messages');
+const Account = require('@app/repository/account');
+const JournalEntry = require('@app/repository/journal-entry');
+const PendingInstruction = require('@app/repository/pending-instruction');
+const {
+  NEWEST_FIRST,
+  dateRangeOf,
+  createdWithin,
+  encodeCursor,
+  olderThan,
+  isNewer,
+  formatJournalEntry,
+  formatPendingLine,
+} = require('./helpers/account-history');
+
+const spec = `root {
+  id string<trim|minLength:1>
+  user_id string<trim|minLength:1>
+  from? string<trim|length:10>
+  to? string<trim|length:10>
+  type? string<trim|lowercase>(debit|credit)
+  status? string<trim|lowercase>(successful|pending|processing|failed|cancelled)
+  currency? string<trim|uppercase|length:3>
+  cursor? string<trim>
+  limit? number<min:1|max:500>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Lines per page when no limit is given
+const DEFAULT_LIMIT = 100;
+
+/**
+ * @returns {Promise<{account_id: String, transactions: Object[], next_cursor: String|null}>}
+ */
+async function listAccountTransactions(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const account = await Account.findOne({
+      query: { account_id: data.id, owner_id: data.user_id },
+    });
+
+    if (!account) {
+      throwAppError(`${LedgerMessages.ACCOUNT_NOT_FOUND}: ${data.id}`, ERROR_CODE.NOTFOUND);
+    }
+
+    const limit = data.limit || DEFAULT_LIMIT;
+    const conditions = [
+      ...createdWithin(dateRangeOf(data)),
+      ...(data.cursor ? olderThan(data.cursor) : []),
+    ];
+    if (data.currency) conditions.push({ currency: data.currency });
+
+    // One line past the page from each source tells whether another page follows.
+    // Instructions that posted show as their journal entries
+    const entries =
+      !data.status || data.status === 'successful'
+        ? await JournalEntry.findMany({
+            query: {
+              $and: [
+                { account_id: data.id },
+                ...(data.type ? [{ entry_type: data.type }] : []),
+                ...conditions,
+              ],
+            },
+            options: { sort: NEWEST_FIRST, limit: limit + 1 },
+          })
+        : [];
+
+    const sides = data.type ? [data.type] : ['debit', 'credit'];
+    const pendingInstructions =
+      data.status !== 'successful'
+        ? await PendingInstruction.findMany({
+            query: {
+              $and: [
+                { $or: sides.map((side) => ({ [`${side}_account`]: data.id })) },
+                { status: data.status || { $ne: 'successful' } },
+                ...conditions,
+              ],
+            },
+            options: { sort: NEWEST_FIRST, limit: limit + 1 },
+          })
+        : [];
+
+    const lines = [
+      ...entries.map((entry) => ({ record: entry, line: formatJournalEntry(entry) })),
+      ...pendingInstructions.map((pendingInstruction) => ({
+        record: pendingInstruction,
+        line: formatPendingLine(pendingInstruction, data.id),
+      })),
+    ].sort((a, b) => (isNewer(a.record, b.record) ? -1 : 1));
+
+    const page = lines.slice(0, limit);
+
+    result = {
+      account_id: data.id,
+      transactions: page.map(({ line }) => line),
+      next_cursor: lines.length > limit ? encodeCursor(page[page.length - 1].record) : null,
+    };
+  } catch (error) {
+    appLogger.errorX(error, 'list-account-transactions-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = listAccountTransactions;
@@ -0,0 +1,196 @@
+/**
+ * ISO 20022 camt.053.001.02 (bank-to-customer statement) XML: one statement with
+ * the opening (OPBD) and closing (CLBD) booked balances and a booked entry per line.
+ * IBAN accounts are identified by IBAN, any other by their ID as given; balances
+ * below zero are reported as debit balances
+ */
+const { ulid } = require('@app-core/randomness');
+const { getMinorUnit } = require('@app/services/currency/currencies');
+const clock = require('@app/services/calendar/helpers/clock');
+
+const NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:camt.053.001.02';
+
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+function escapeXml(value) {
+  return String(value)
+    .split('')
+    .map((char) => XML_ENTITIES[char] || char)
+    .join('');
+}
+
+/**
+ * An element and its children, indented by depth; null children are left out
+ */
+function element(name, children, depth, attributes = {}) {
+  const indent = '  '.repeat(depth);
+  const attributeText = Object.keys(attributes)
+    .map((key) => ` ${key}="${escapeXml(attributes[key])}"`)
+    .join('');
+
+  const open = `${indent}<${name}${attributeText}>`;
+
+  return Array.isArray(children)
+    ? [open, ...children.filter((child) => child !== null), `${indent}</${name}>`].join('\n')
+    : `${open}${escapeXml(children)}</${name}>`;
+}
+
+function amountElement(amount, currency, depth) {
+  return element('Amt', Math.abs(amount).toFixed(getMinorUnit(currency)), depth, {
+    Ccy: currency,
+  });
+}
+
+function balanceElement(code, amount, currency, date, depth) {
+  return element(
+    'Bal',
+    [
+      element('Tp', [element('CdOrPrtry', [element('Cd', code, depth + 3)], depth + 2)], depth + 1),
+      amountElement(amount, currency, depth + 1),
+      element('CdtDbtInd', amount < 0 ? 'DBIT' : 'CRDT', depth + 1),
+      element('Dt', [element('Dt', date, depth + 2)], depth + 1),
+    ],
+    depth
+  );
+}
+
+function accountIdElement(accountId, scheme, depth) {
+  return element(
+    'Id',
+    [
+      scheme === 'iban'
+        ? element('IBAN', accountId, depth + 1)
+        : element('Othr', [element('Id', accountId, depth + 2)], depth + 1),
+    ],
+    depth
+  );
+}
+
+function entryElement(line, depth) {
+  const bookedAt = new Date(line.created).toISOString();
+  const counterparty = line.type === 'debit' ? 'CdtrAcct' : 'DbtrAcct';
+  const inner = depth + 3;
+
+  return element(
+    'Ntry',
+    [
+      element('NtryRef', line.id, depth + 1),
+      amountElement(line.amount, line.currency, depth + 1),
+      element('CdtDbtInd', line.type === 'debit' ? 'DBIT' : 'CRDT', depth + 1),
+      line.reversal_of ? element('RvslInd', 'true', depth + 1) : null,
+      element('Sts', 'BOOK', depth + 1),
+      element('BookgDt', [element('DtTm', bookedAt, depth + 2)], depth + 1),
+      element('ValDt', [element('Dt', bookedAt.substring(0, 10), depth + 2)], depth + 1),
+      element('AcctSvcrRef', line.transaction_id, depth + 1),
+      element(
+        'BkTxCd',
+        [element('Prtry', [element('Cd', line.purpose.toUpperCase(), depth + 3)], depth + 2)],
+        depth + 1
+      ),
+      element(
+        'NtryDtls',
+        [
+          element(
+            'TxDtls',
+            [
+              element(
+                'Refs',
+                [
+                  element('AcctSvcrRef', line.transaction_id, inner + 1),
+                  element('EndToEndId', line.reference || 'NOTPROVIDED', inner + 1),
+                ],
+                inner
+              ),
+              line.counterparty_account
+                ? element(
+                    'RltdPties',
+                    [
+                      element(
+                        counterparty,
+                        [accountIdElement(line.counterparty_account, null, inner + 2)],
+                        inner + 1
+                      ),
+                    ],
+                    inner
+                  )
+                : null,
+              line.narration
+                ? element('RmtInf', [element('Ustrd', line.narration, inner + 1)], inner)
+                : null,
+            ],
+            depth + 2
+          ),
+        ],
+        depth + 1
+      ),
+    ],
+    depth
+  );
+}
+
+/**
+ * @param {Object} statement An account statement, as getAccountStatement returns it
+ * @returns {String}
+ */
+function render(statement) {
+  const createdAt = new Date(clock.now()).toISOString();
+  const messageId = ulid();
+  const { currency } = statement;
+
+  const document = element(
+    'Document',
+    [
+      element(
+        'BkToCstmrStmt',
+        [
+          element('GrpHdr', [element('MsgId', messageId, 3), element('CreDtTm', createdAt, 3)], 2),
+          element(
+            'Stmt',
+            [
+              element('Id', messageId, 3),
+              element('CreDtTm', createdAt, 3),
+              element(
+                'FrToDt',
+                [
+                  element('FrDtTm', `${statement.from}T00:00:00Z`, 4),
+                  element('ToDtTm', `${statement.to}T23:59:59Z`, 4),
+                ],
+                3
+              ),
+              element(
+                'Acct',
+                [
+                  accountIdElement(statement.account_id, statement.identifier_scheme, 4),
+                  element('Ccy', currency, 4),
+                ],
+                3
+              ),
+              balanceElement('OPBD', statement.opening_balance, currency, statement.from, 3),
+              balanceElement('CLBD', statement.closing_balance, currency, statement.to, 3),
+              element(
+                'TxsSummry',
+                [element('TtlNtries', [element('NbOfNtries', statement.lines.length, 5)], 4)],
+                3
+              ),
+              ...statement.lines.map((line) => entryElement(line, 3)),
+            ],
+            2
+          ),
+        ],
+        1
+      ),
+    ],
+    0,
+    { xmlns: NAMESPACE }
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${document}\n`;
+}
+
+module.exports = {
+  name: 'camt053',
+  contentType: 'application/xml',
+  extension: 'xml',
+  accepts: ['application/xml', 'text/xml'],
+  render,
+};
@@ -0,0 +1,67 @@
+/**
+ * RFC 4180 CSV statements: a header row, then one row per line, oldest first,
+ * with CRLF line breaks. Fields holding a comma, quote or line break are quoted,
+ * with their quotes doubled. Free text (references and narrations) starting like a
+ * spreadsheet formula is prefixed with an apostrophe so it opens as text
+ */
+const { getMinorUnit } = require('@app/services/currency/currencies');
+
+const COLUMNS = [
+  'booking_date',
+  'transaction_id',
+  'entry_id',
+  'type',
+  'purpose',
+  'amount',
+  'currency',
+  'running_balance',
+  'counterparty_account',
+  'reference',
+  'narration',
+  'reversal_of',
+];
+
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+function asText(value) {
+  return value && FORMULA_PREFIXES.includes(value[0]) ? `'${value}` : value;
+}
+
+function escapeField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  const needsQuotes = ['"', ',', '\r', '\n'].some((char) => text.includes(char));
+
+  return needsQuotes ? `"${text.split('"').join('""')}"` : text;
+}
+
+/**
+ * @param {Object} statement An account statement, as getAccountStatement returns it
+ * @returns {String}
+ */
+function render(statement) {
+  const decimals = getMinorUnit(statement.currency);
+  const rows = statement.lines.map((line) => [
+    new Date(line.created).toISOString(),
+    line.transaction_id,
+    line.id,
+    line.type,
+    line.purpose,
+    line.amount.toFixed(decimals),
+    line.currency,
+    line.running_balance.toFixed(decimals),
+    line.counterparty_account,
+    asText(line.reference),
+    asText(line.narration),
+    line.reversal_of,
+  ]);
+
+  return [COLUMNS, ...rows].map((row) => `${row.map(escapeField).join(',')}\r\n`).join('');
+}
+
+module.exports = {
+  name: 'csv',
+  contentType: 'text/csv',
+  extension: 'csv',
+  accepts: ['text/csv'],
+  render,
+};
@@ -0,0 +1,64 @@
+/**
+ * Statement export format registry.
+ * A format is an object with a `name`, the `contentType` and file `extension` it is
+ * served with, the media types that ask for it in an Accept header (`accepts`) and
+ * `render(statement)` turning an account statement into the document
+ */
+const csv = require('./csv');
+const camt053 = require('./camt053');
+
+const formats = {
+  [csv.name]: csv,
+  [camt053.name]: camt053,
+};
+
+/**
+ * Register (or replace) a statement format
+ * @param {{name: String, contentType: String, extension: String, accepts?: String[], render: function(Object): String}} format
+ */
+function registerStatementFormat(format) {
+  if (!format?.name || !format.contentType || typeof format.render !== 'function') {
+    throw new Error('Statement format must have a name and content type and implement render');
+  }
+  formats[format.name] = format;
+}
+
+function getStatementFormat(name) {
+  const format = formats[name];
+
+  if (!format) {
+    throw new Error(`Unknown statement format: ${name}`);
+  }
+  return format;
+}
+
+function isKnownFormat(name) {
+  return !!formats[name];
+}
+
+/**
+ * Format the first media type of an Accept header asks for, in the order given
+ * (q-values are not weighed); null when it names none, so JSON is served
+ * @param {String} [accept]
+ */
+function formatForAccept(accept) {
+  const mediaTypes = (accept || '')
+    .split(',')
+    .map((part) => part.split(';')[0].trim().toLowerCase());
+  const formatList = Object.values(formats);
+  let found = null;
+
+  mediaTypes.some((mediaType) => {
+    found = formatList.find((format) => (format.accepts || []).includes(mediaType)) || null;
+    return !!found || mediaType === 'application/json';
+  });
+
+  return found && found.name;
+}
+
+module.exports = {
+  registerStatementFormat,
+  getStatementFormat,
+  isKnownFormat,
+  formatForAccept,
+};
@@ -0,0 +1,110 @@
+/**
+ * Business-day calendars per currency
+ * A calendar has a timezone, ISO weekend days (6 and 7 are Saturday and Sunday), a
+ * holiday list file, an optional HH:MM cut-off in its timezone, and what happens to a
+ * date that is not a business day (non_business_day) or to a same-day instruction
+ * after cut-off (after_cut_off): roll_forward or reject.
+ * Currencies fill in what they leave out from the default calendar.
+ * BUSINESS_CALENDARS_FILE points at a different calendar table; holiday files are
+ * read relative to it
+ */
+const fs = require('fs');
+const path = require('path');
+const { addDays, toTimestamp } = require('@app/services/standing-orders/helpers/schedule');
+
+const calendarsFile =
+  process.env.BUSINESS_CALENDARS_FILE || path.join(__dirname, '..', 'business-calendars.json');
+
+let calendarTable;
+const calendars = {};
+
+function loadCalendarTable() {
+  if (!calendarTable) {
+    calendarTable = JSON.parse(fs.readFileSync(calendarsFile, 'utf-8'));
+  }
+  return calendarTable;
+}
+
+/**
+ * Calendar of a currency, with its holidays loaded
+ */
+function calendarFor(currency) {
+  if (!calendars[currency]) {
+    const table = loadCalendarTable();
+    const calendar = { ...table.default, ...table.currencies[currency] };
+    const holidays = calendar.holidays
+      ? JSON.parse(
+          fs.readFileSync(path.resolve(path.dirname(calendarsFile), calendar.holidays), 'utf-8')
+        )
+      : [];
+
+    calendars[currency] = { ...calendar, currency, holidays: new Set(holidays) };
+  }
+  return calendars[currency];
+}
+
+/**
+ * Date (YYYY-MM-DD) and time (HH:MM) of a timestamp in the calendar's timezone
+ */
+function localDateTime(calendar, timestamp) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone: calendar.timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  })
+    .formatToParts(new Date(timestamp))
+    .forEach((part) => {
+      parts[part.type] = part.value;
+    });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+/**
+ * Timestamp of midnight at the start of a date in the calendar's timezone
+ * The offset is read at UTC midnight, then again at the instant it gives, so a
+ * daylight saving change during the night is accounted for
+ */
+function startOfLocalDay(calendar, date) {
+  const utcMidnight = toTimestamp(date);
+  const offsetAt = (timestamp) => {
+    const local = localDateTime(calendar, timestamp);
+    return Date.parse(`${local.date}T${local.time}:00Z`) - timestamp;
+  };
+
+  return utcMidnight - offsetAt(utcMidnight - offsetAt(utcMidnight));
+}
+
+function isBusinessDay(calendar, date) {
+  const isoWeekday = new Date(toTimestamp(date)).getUTCDay() || 7;
+  return !calendar.weekend.includes(isoWeekday) && !calendar.holidays.has(date);
+}
+
+/**
+ * First business day on or after a date
+ */
+function rollForward(calendar, date) {
+  let businessDay = date;
+
+  while (!isBusinessDay(calendar, businessDay)) {
+    businessDay = addDays(businessDay, 1);
+  }
+
+  return businessDay;
+}
+
+module.exports = {
+  calendarFor,
+  localDateTime,
+  startOfLocalDay,
+  isBusinessDay,
+  rollForward,
+};
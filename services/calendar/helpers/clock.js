@@ -0,0 +1,36 @@
+/**
+ * Clock the payment services tell the time by
+ * Dated instructions are run or held, and run dates counted, against now().
+ * setClock pins it (tests, replays); resetClock goes back to the system clock
+ */
+const systemClock = () => Date.now();
+
+let clock = systemClock;
+
+/**
+ * Current time, as a timestamp
+ */
+function now() {
+  return clock();
+}
+
+/**
+ * Replace the clock
+ * @param {function(): Number} nextClock Returns the current timestamp
+ */
+function setClock(nextClock) {
+  if (typeof nextClock !== 'function') {
+    throw new Error('Clock must be a function returning a timestamp');
+  }
+  clock = nextClock;
+}
+
+function resetClock() {
+  clock = systemClock;
+}
+
+module.exports = {
+  now,
+  setClock,
+  resetClock,
+};
@@ -0,0 +1,81 @@
+/**
+ * Value Date Service
+ * Moves the date of a dated instruction onto a business day of its currency.
+ * A date in the past runs at once, valued today even when today is not a business day
+ * or is past the cut-off. A date that is not a business day, or today's date
+ * once the cut-off has passed, rolls forward to the next business day or is rejected,
+ * as the currency's calendar says.
+ * Dates are read and compared in the currency's timezone, and an instruction falls due
+ * at the start of its value date there. A timed instruction also gives the instant it
+ * is due (at), and a time at or after the cut-off counts as past it
+ */
+const validator = require('@app-core/validator');
+const { PaymentMessages } = require('@app/messages');
+const { addDays } = require('@app/services/standing-orders/helpers/schedule');
+const clock = require('./helpers/clock');
+const {
+  calendarFor,
+  localDateTime,
+  startOfLocalDay,
+  isBusinessDay,
+  rollForward,
+} = require('./helpers/business-calendar');
+
+const spec = `root {
+  currency string<trim|uppercase|length:3>
+  date string
+  at? number
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * @returns {Promise<{requested_date: String, value_date: String, rolled_forward: Boolean, runs_now: Boolean, due_at: Number, rejection: String|null}>}
+ * due_at is when the instruction can run; rejection is the reason the date cannot be
+ * used, null when it can
+ */
+async function resolveValueDate(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const calendar = calendarFor(data.currency);
+  const timed = data.at !== undefined;
+
+  const nowAt = clock.now();
+  const now = localDateTime(calendar, nowAt);
+  const requested = timed ? localDateTime(calendar, data.at) : { date: data.date, time: null };
+
+  const isPast = requested.date < now.date;
+  const startDate = isPast ? now.date : requested.date;
+
+  // The cut-off counts against the later of now and the time the instruction is due
+  let time = requested.date === startDate ? requested.time : null;
+  if (startDate === now.date && (!time || now.time > time)) time = now.time;
+
+  let valueDate = startDate;
+  let rejection = null;
+
+  if (!isPast && !isBusinessDay(calendar, startDate)) {
+    if (startDate === requested.date && calendar.non_business_day === 'reject') {
+      rejection = `${PaymentMessages.NOT_A_BUSINESS_DAY}: ${requested.date} in ${data.currency}`;
+    }
+    valueDate = rollForward(calendar, startDate);
+  } else if (!isPast && time && calendar.cut_off && time >= calendar.cut_off) {
+    if (calendar.after_cut_off === 'reject') {
+      rejection = `${PaymentMessages.AFTER_CUT_OFF}: ${calendar.cut_off} ${calendar.timezone} for ${data.currency}`;
+    }
+    valueDate = rollForward(calendar, addDays(startDate, 1));
+  }
+
+  const rolledForward = valueDate !== startDate;
+  const dueAt = timed && !rolledForward ? data.at : startOfLocalDay(calendar, valueDate);
+
+  return {
+    requested_date: requested.date,
+    value_date: valueDate,
+    rolled_forward: rolledForward,
+    runs_now: dueAt <= nowAt,
+    due_at: dueAt,
+    rejection,
+  };
+}
+
+module.exports = resolveValueDate;
@@ -0,0 +1,34 @@
+/**
+ * ISO 4217 metadata for the currencies the payment service supports.
+ * minor_unit is the exponent between major and minor units (2: 1 USD = 100 cents).
+ * Supporting a new currency is a matter of adding its entry here
+ */
+const CURRENCIES = {
+  NGN: { code: 'NGN', numeric_code: '566', name: 'Nigerian Naira', minor_unit: 2 },
+  USD: { code: 'USD', numeric_code: '840', name: 'US Dollar', minor_unit: 2 },
+  GBP: { code: 'GBP', numeric_code: '826', name: 'Pound Sterling', minor_unit: 2 },
+  GHS: { code: 'GHS', numeric_code: '936', name: 'Ghana Cedi', minor_unit: 2 },
+};
+
+// Exponent assumed for currencies missing from the table
+const DEFAULT_MINOR_UNIT = 2;
+
+/**
+ * @param {String} code
+ * @returns {{code: String, numeric_code: String, name: String, minor_unit: Number}|null}
+ */
+function getCurrency(code) {
+  return CURRENCIES[String(code).toUpperCase()] || null;
+}
+
+function getMinorUnit(code) {
+  const currency = getCurrency(code);
+  return currency ? currency.minor_unit : DEFAULT_MINOR_UNIT;
+}
+
+module.exports = {
+  CURRENCIES,
+  SUPPORTED_CURRENCIES: Object.keys(CURRENCIES),
+  getCurrency,
+  getMinorUnit,
+};
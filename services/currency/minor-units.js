@@ -0,0 +1,65 @@
+/**
+ * Conversions between major-unit amounts (10.50 USD) and integer minor units (1050).
+ * Arithmetic on money happens in minor units so balances never pick up float drift
+ */
+const { getMinorUnit } = require('./currencies');
+
+/**
+ * Convert a major-unit amount to integer minor units
+ * @param {Number} amount
+ * @param {String} currency
+ * @returns {Number}
+ */
+function toMinorUnits(amount, currency) {
+  return Math.round(amount * 10 ** getMinorUnit(currency));
+}
+
+/**
+ * Convert integer minor units back to a major-unit amount
+ * @param {Number} minorAmount
+ * @param {String} currency
+ * @returns {Number}
+ */
+function toMajorUnits(minorAmount, currency) {
+  const exponent = getMinorUnit(currency);
+  return Number((minorAmount / 10 ** exponent).toFixed(exponent));
+}
+
+/**
+ * Split an amount string into whole and fractional digits, without regex.
+ * Accepts plain decimals only: "100", "10.5", "10.50"
+ * @param {String} text
+ * @returns {{whole: String, fraction: String}|null} null when the text is not a plain decimal
+ */
+function splitDecimal(text) {
+  const [whole, fraction = '', ...rest] = text.split('.');
+
+  if (rest.length || !whole.length || (text.includes('.') && !fraction.length)) {
+    return null;
+  }
+
+  const digits = whole + fraction;
+  // eslint-disable-next-line no-plusplus
+  for (let i = 0; i < digits.length; i++) {
+    if (digits[i] < '0' || digits[i] > '9') return null;
+  }
+
+  return { whole, fraction };
+}
+
+/**
+ * Count the decimal places in an amount string
+ * @param {String} text
+ * @returns {Number}
+ */
+function countDecimals(text) {
+  const parts = splitDecimal(text);
+  return parts ? parts.fraction.length : 0;
+}
+
+module.exports = {
+  toMinorUnits,
+  toMajorUnits,
+  splitDecimal,
+  countDecimals,
+};
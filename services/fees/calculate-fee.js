@@ -0,0 +1,81 @@
+/**
+ * Fee Calculation Service
+ * Prices the fee on a transfer from the fee schedule of its currency.
+ * Schedules are flat ({ fee }), percentage ({ percent, min?, max? }) or
+ * tiered by amount ({ tiers: [{ up_to, fee | percent }] }, up_to null for the last tier).
+ * FEE_SCHEDULES_FILE points at a different schedule table; the bundled one is the default
+ */
+const fs = require('fs');
+const path = require('path');
+const validator = require('@app-core/validator');
+const { toMinorUnits, toMajorUnits } = require('@app/services/currency/minor-units');
+
+const spec = `root {
+  currency string<trim|uppercase|length:3>
+  amount number
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+const schedulesFile = process.env.FEE_SCHEDULES_FILE || path.join(__dirname, 'fee-schedules.json');
+
+let scheduleTable;
+
+function loadScheduleTable() {
+  if (!scheduleTable) {
+    scheduleTable = JSON.parse(fs.readFileSync(schedulesFile, 'utf-8'));
+  }
+  return scheduleTable;
+}
+
+/**
+ * Price a flat or percentage rule, in minor units.
+ * Percentages round half up and are clamped to the rule's min/max
+ */
+function priceRule(rule, amountMinor, currency) {
+  if (rule.percent === undefined) {
+    return toMinorUnits(rule.fee, currency);
+  }
+
+  let feeMinor = Math.round(Number(((amountMinor * rule.percent) / 100).toPrecision(15)));
+
+  if (rule.min !== undefined) feeMinor = Math.max(feeMinor, toMinorUnits(rule.min, currency));
+  if (rule.max !== undefined) feeMinor = Math.min(feeMinor, toMinorUnits(rule.max, currency));
+
+  return feeMinor;
+}
+
+/**
+ * @returns {Promise<{currency: String, amount: Number, amount_minor: Number, schedule: String}|null>} null when the currency has no schedule
+ */
+async function calculateFee(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result = null;
+
+  const schedule = loadScheduleTable()[data.currency];
+
+  if (schedule) {
+    const amountMinor = toMinorUnits(data.amount, data.currency);
+    let feeMinor;
+
+    if (schedule.type === 'tiered') {
+      const tier = schedule.tiers.find(
+        (t) => t.up_to === null || t.up_to === undefined || data.amount <= t.up_to
+      );
+      feeMinor = tier ? priceRule(tier, amountMinor, data.currency) : 0;
+    } else {
+      feeMinor = priceRule(schedule, amountMinor, data.currency);
+    }
+
+    result = {
+      currency: data.currency,
+      amount: toMajorUnits(feeMinor, data.currency),
+      amount_minor: feeMinor,
+      schedule: schedule.type,
+    };
+  }
+
+  return result;
+}
+
+module.exports = calculateFee;
@@ -0,0 +1,67 @@
+/**
+ * FX Quote Service
+ * Converts an amount between currencies with the active rate provider
+ */
+const validator = require('@app-core/validator');
+const { getMinorUnit } = require('@app/services/currency/currencies');
+const { toMajorUnits } = require('@app/services/currency/minor-units');
+const { getRateProvider } = require('./rate-providers');
+
+const spec = `root {
+  from_currency string<trim|uppercase|length:3>
+  to_currency string<trim|uppercase|length:3>
+  amount number
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+const ROUNDING_MODES = {
+  half_up: (value) => Math.sign(value) * Math.round(Math.abs(value)),
+  half_even: (value) => {
+    const floor = Math.floor(value);
+    const diff = value - floor;
+    if (diff > 0.5) return floor + 1;
+    if (diff < 0.5) return floor;
+    return floor % 2 === 0 ? floor : floor + 1;
+  },
+  down: (value) => Math.trunc(value),
+};
+
+const ROUNDING_MODE = ROUNDING_MODES[process.env.FX_ROUNDING_MODE]
+  ? process.env.FX_ROUNDING_MODE
+  : 'half_up';
+
+/**
+ * The converted amount is rounded to the minor unit of the target currency
+ * @returns {Promise<{from_currency: String, to_currency: String, rate: Number, source: String, amount: Number, converted_amount: Number, converted_amount_minor: Number, rounding: String}|null>}
+ */
+async function getFxQuote(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result = null;
+
+  const provider = getRateProvider(options.provider);
+  const providedRate = await provider.getRate(data.from_currency, data.to_currency);
+
+  if (providedRate) {
+    // Work in target minor units, trimming float noise (e.g. 100 * 1.27 = 127.00000000000001) before rounding
+    const exactMinorAmount = Number(
+      (data.amount * providedRate.rate * 10 ** getMinorUnit(data.to_currency)).toPrecision(15)
+    );
+    const convertedMinorAmount = ROUNDING_MODES[ROUNDING_MODE](exactMinorAmount);
+
+    result = {
+      from_currency: data.from_currency,
+      to_currency: data.to_currency,
+      rate: providedRate.rate,
+      source: providedRate.source,
+      amount: data.amount,
+      converted_amount: toMajorUnits(convertedMinorAmount, data.to_currency),
+      converted_amount_minor: convertedMinorAmount,
+      rounding: ROUNDING_MODE,
+    };
+  }
+
+  return result;
+}
+
+module.exports = getFxQuote;
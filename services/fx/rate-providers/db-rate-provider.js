@@ -0,0 +1,14 @@
+/**
+ * FX rates from the fx_rates collection
+ */
+const FxRate = require('@app/repository/fx-rate');
+
+async function getRate(fromCurrency, toCurrency) {
+  const storedRate = await FxRate.findOne({
+    query: { from_currency: fromCurrency, to_currency: toCurrency },
+  });
+
+  return storedRate ? { rate: storedRate.rate, source: 'db' } : null;
+}
+
+module.exports = { getRate };
@@ -0,0 +1,39 @@
+/**
+ * FX rate provider registry.
+ * A provider is an object with `getRate(fromCurrency, toCurrency)` resolving to
+ * `{ rate, source }`, or null when it has no rate for the pair.
+ * FX_RATE_PROVIDER selects the active provider (json by default)
+ */
+const jsonRateProvider = require('./json-rate-provider');
+const dbRateProvider = require('./db-rate-provider');
+
+const providers = {
+  json: jsonRateProvider,
+  db: dbRateProvider,
+};
+
+/**
+ * Register (or replace) a rate provider
+ * @param {String} name
+ * @param {{getRate: function(String, String): Promise<{rate: Number, source: String}|null>}} provider
+ */
+function registerRateProvider(name, provider) {
+  if (typeof provider?.getRate !== 'function') {
+    throw new Error('Rate provider must implement getRate');
+  }
+  providers[name] = provider;
+}
+
+function getRateProvider(name = process.env.FX_RATE_PROVIDER || 'json') {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown FX rate provider: ${name}`);
+  }
+  return provider;
+}
+
+module.exports = {
+  registerRateProvider,
+  getRateProvider,
+};
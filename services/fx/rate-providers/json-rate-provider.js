@@ -0,0 +1,25 @@
+/**
+ * FX rates from a local JSON table: { "<FROM>": { "<TO>": rate } }.
+ * FX_RATES_FILE points at a different table; the bundled one is the default
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ratesFile = process.env.FX_RATES_FILE || path.join(__dirname, '..', 'rates.json');
+
+let rateTable;
+
+function loadRateTable() {
+  if (!rateTable) {
+    rateTable = JSON.parse(fs.readFileSync(ratesFile, 'utf-8'));
+  }
+  return rateTable;
+}
+
+async function getRate(fromCurrency, toCurrency) {
+  const rate = loadRateTable()[fromCurrency]?.[toCurrency];
+
+  return typeof rate === 'number' ? { rate, source: 'json' } : null;
+}
+
+module.exports = { getRate };
@@ -0,0 +1,108 @@
+/**
+ * Idempotent Execution Service
+ * Runs a request once per Idempotency-Key. The first response is stored and
+ * replayed verbatim on retries with the same body; a different body is rejected.
+ * A claim left processing by a crash mid-request blocks its key until the key expires:
+ * the first attempt may already have posted, so it is never run a second time
+ */
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { hash } = require('@app-core/security');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { IdempotencyMessages } = require('@app/messages');
+const IdempotencyKey = require('@app/repository/idempotency-key');
+
+const spec = `root {
+  key string<trim|minLength:1|maxLength:255>
+  scope string
+  request any
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// How long a stored response can be replayed
+const KEY_RETENTION_MILLIS = 24 * 60 * 60 * 1000;
+
+/**
+ * Serialize with sorted keys so equal bodies hash equally regardless of key order
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Turn a stored key into a replay, or reject it
+ */
+function replayStoredKey(storedKey, requestHash) {
+  if (storedKey.request_hash !== requestHash) {
+    throwAppError(IdempotencyMessages.KEY_REUSED, ERROR_CODE.IDMPKEYREUSED);
+  }
+
+  if (storedKey.status !== 'completed') {
+    throwAppError(IdempotencyMessages.KEY_IN_PROGRESS, ERROR_CODE.IDMPKEYINPROGRESS);
+  }
+
+  return { status: storedKey.http_status, data: storedKey.response };
+}
+
+/**
+ * @param {{key: String, scope: String, request: Object}} serviceData
+ * @param {{execute: function(): Promise<{status: Number, data: Object}>}} options
+ */
+async function runIdempotent(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const requestHash = hash.create(stableStringify(data.request), { algo: 'sha256' });
+  const query = { scope: data.scope, key: data.key };
+  let result;
+
+  let storedKey = await IdempotencyKey.findOne({ query });
+
+  if (!storedKey) {
+    // Claim the key first; the unique index makes a concurrent duplicate fail here
+    try {
+      await IdempotencyKey.create({
+        ...query,
+        request_hash: requestHash,
+        status: 'processing',
+        expires_at: new Date(Date.now() + KEY_RETENTION_MILLIS),
+      });
+    } catch (error) {
+      if (error.errorCode !== ERROR_CODE.DUPLRCRD) throw error;
+
+      storedKey = await IdempotencyKey.findOne({ query });
+    }
+  }
+
+  if (storedKey) {
+    result = replayStoredKey(storedKey, requestHash);
+    appLogger.info({ key: data.key, scope: data.scope }, 'idempotent-request-replayed');
+  } else {
+    try {
+      result = await options.execute();
+    } catch (error) {
+      // Nothing was stored for this attempt, so let the client retry with the same key
+      await IdempotencyKey.deleteOne({ query });
+      throw error;
+    }
+
+    await IdempotencyKey.updateOne({
+      query: { ...query, status: 'processing' },
+      updateValues: { status: 'completed', http_status: result.status, response: result.data },
+    });
+  }
+
+  return result;
+}
+
+module.exports = runIdempotent;
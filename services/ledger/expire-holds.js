@@ -0,0 +1,49 @@
+/**
+ * Hold Expiry Service
+ * Releases every active hold that has lapsed, giving its funds back to the
+ * account's available balance
+ */
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const Hold = require('@app/repository/hold');
+const clock = require('@app/services/calendar/helpers/clock');
+const releaseHold = require('./release-hold');
+
+const spec = `root {
+  limit? number<min:1>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Holds picked up per run when no limit is given
+const DEFAULT_LIMIT = 500;
+
+async function expireHolds(serviceData = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const summary = { expired: 0, errored: 0 };
+
+  const lapsedHolds = await Hold.findMany({
+    query: { status: 'active', expires_at: { $lte: clock.now() } },
+    options: { sort: { expires_at: 1 }, limit: data.limit || DEFAULT_LIMIT },
+  });
+
+  // A hold captured or released since it was read fails its release and is skipped
+  // eslint-disable-next-line no-restricted-syntax
+  for (const hold of lapsedHolds) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await releaseHold({ hold_id: hold._id, status: 'expired' });
+      summary.expired += 1;
+    } catch (error) {
+      summary.errored += 1;
+      appLogger.errorX(error, 'expire-hold-error');
+    }
+  }
+
+  appLogger.info(summary, 'expire-holds-complete');
+
+  return summary;
+}
+
+module.exports = expireHolds;
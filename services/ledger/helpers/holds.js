@@ -0,0 +1,78 @@
+/**
+ * Hold bookkeeping shared by placing, capturing, releasing and expiring holds
+ */
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { LedgerMessages } = require('@app/messages');
+const Account = require('@app/repository/account');
+const Hold = require('@app/repository/hold');
+const { toMinorUnits, toMajorUnits } = require('@app/services/currency/minor-units');
+
+/**
+ * Amount an account has reserved, in minor units
+ * Accounts stored before holds existed have none
+ */
+function heldMinorOf(account) {
+  return toMinorUnits(account.held_amount || 0, account.currency);
+}
+
+/**
+ * Move an account's held amount by changeMinor (negative to give funds back).
+ * The read balance and held amount are part of the query, so a concurrent
+ * posting or hold makes this fail instead of reserving funds twice
+ */
+async function moveHeldAmount(account, changeMinor, session) {
+  const heldAmount = toMajorUnits(heldMinorOf(account) + changeMinor, account.currency);
+
+  const updateResult = await Account.updateOne({
+    query: {
+      account_id: account.account_id,
+      balance: account.balance,
+      held_amount: account.held_amount === undefined ? { $exists: false } : account.held_amount,
+    },
+    updateValues: { held_amount: heldAmount },
+    options: { session },
+  });
+
+  if (updateResult.modifiedCount !== 1) {
+    throwAppError(
+      `${LedgerMessages.HELD_AMOUNT_CHANGED}: ${account.account_id}`,
+      ERROR_CODE.CONFLICTERR
+    );
+  }
+
+  return { ...account, held_amount: heldAmount };
+}
+
+/**
+ * Close an active hold with the given status and fields.
+ * Only an active hold can close, so a capture racing a release or the expiry
+ * job settles it once. Returns the hold as read, before closing
+ */
+async function closeHold(holdId, updateValues, session) {
+  const hold = await Hold.findOne({ query: { _id: holdId }, options: { session } });
+
+  if (!hold) {
+    throwAppError(`${LedgerMessages.HOLD_NOT_FOUND}: ${holdId}`, ERROR_CODE.NOTFOUND);
+  }
+
+  const updateResult = await Hold.updateOne({
+    query: { _id: holdId, status: 'active' },
+    updateValues: { ...updateValues, closed_at: Date.now() },
+    options: { session },
+  });
+
+  if (updateResult.modifiedCount !== 1) {
+    throwAppError(
+      `${LedgerMessages.HOLD_NOT_ACTIVE}: ${holdId} is ${hold.status}`,
+      ERROR_CODE.CONFLICTERR
+    );
+  }
+
+  return hold;
+}
+
+module.exports = {
+  heldMinorOf,
+  moveHeldAmount,
+  closeHold,
+};
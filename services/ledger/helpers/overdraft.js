@@ -0,0 +1,30 @@
+/**
+ * Arranged overdrafts
+ * An account may go below zero down to the overdraft limit set for its currency,
+ * up to and including the overdraft's expiry date
+ */
+const { toMinorUnits } = require('@app/services/currency/minor-units');
+const { today } = require('@app/services/standing-orders/helpers/schedule');
+
+/**
+ * Arranged overdraft of an account in minor units, nothing once it has expired.
+ * Stored accounts set limits per currency (overdraft_limits); client-supplied accounts
+ * give a single overdraft_limit in their own currency
+ */
+function overdraftMinorOf(account) {
+  const arranged =
+    account.overdraft_limit !== undefined
+      ? { limit: account.overdraft_limit }
+      : (account.overdraft_limits || []).find(
+          (overdraft) => overdraft.currency === account.currency
+        );
+  const isExpired = !!account.overdraft_expires_on && account.overdraft_expires_on < today();
+
+  return arranged && arranged.limit && !isExpired
+    ? toMinorUnits(arranged.limit, account.currency)
+    : 0;
+}
+
+module.exports = {
+  overdraftMinorOf,
+};
@@ -0,0 +1,83 @@
+/**
+ * Reversible Transaction Lookup
+ * Reads an executed transaction's transfer legs and how much of it earlier
+ * reversals have already returned. Fee legs are not reversed
+ */
+const validator = require('@app-core/validator');
+const JournalEntry = require('@app/repository/journal-entry');
+const { toMinorUnits } = require('@app/services/currency/minor-units');
+
+const spec = `root {
+  transaction_id string<trim|minLength:1>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Transfer legs of a transaction; entries written before purpose existed are transfer legs
+ * A split payment has more than one pair
+ */
+function transferLegs(entries) {
+  const legs = entries.filter((entry) => entry.purpose !== 'fee');
+
+  return {
+    debitLeg: legs.find((entry) => entry.entry_type === 'debit'),
+    creditLeg: legs.find((entry) => entry.entry_type === 'credit'),
+    isSplit: legs.length > 2,
+  };
+}
+
+/**
+ * Sum of leg amounts in minor units
+ */
+function sumMinor(entries) {
+  return entries.reduce((total, entry) => total + toMinorUnits(entry.amount, entry.currency), 0);
+}
+
+/**
+ * Returns null when no transaction has the ID. Amounts are in the original's
+ * currencies: reversed_amount_minor in its debit currency, reversed_credit_amount_minor
+ * in its credit currency
+ */
+async function loadReversibleTransaction(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result = null;
+
+  const entries = await JournalEntry.findMany({
+    query: { transaction_id: data.transaction_id },
+    options: { session: options.session },
+  });
+
+  const { debitLeg, creditLeg, isSplit } = transferLegs(entries);
+
+  if (debitLeg && creditLeg) {
+    // Reversal legs return money to the original debit account and take it from the credit one
+    const reversals = await JournalEntry.findMany({
+      query: { reversal_of: data.transaction_id, purpose: { $ne: 'fee' } },
+      options: { session: options.session },
+    });
+
+    result = {
+      transaction_id: data.transaction_id,
+      debit_account: debitLeg.account_id,
+      credit_account: creditLeg.account_id,
+      amount: debitLeg.amount,
+      amount_minor: toMinorUnits(debitLeg.amount, debitLeg.currency),
+      currency: debitLeg.currency,
+      credit_amount: creditLeg.amount,
+      credit_amount_minor: toMinorUnits(creditLeg.amount, creditLeg.currency),
+      credit_currency: creditLeg.currency,
+      fx_rate: debitLeg.fx_rate ?? null,
+      reversal_of: debitLeg.reversal_of ?? null,
+      is_split: isSplit,
+      reversed_amount_minor: sumMinor(reversals.filter((entry) => entry.entry_type === 'credit')),
+      reversed_credit_amount_minor: sumMinor(
+        reversals.filter((entry) => entry.entry_type === 'debit')
+      ),
+    };
+  }
+
+  return result;
+}
+
+module.exports = loadReversibleTransaction;
@@ -0,0 +1,112 @@
+/**
+ * Hold Placement Service
+ * Reserves funds on a stored account: the ledger balance stays as it is while the
+ * available balance drops by the amount, until the hold is captured, released or expires
+ */
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { createSession } = require('@app-core/mongoose');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { LedgerMessages } = require('@app/messages');
+const Account = require('@app/repository/account');
+const Hold = require('@app/repository/hold');
+const { toMinorUnits } = require('@app/services/currency/minor-units');
+const { heldMinorOf, moveHeldAmount } = require('./helpers/holds');
+const { overdraftMinorOf } = require('./helpers/overdraft');
+
+const spec = `root {
+  account_id string
+  amount number
+  currency string
+  expires_on string
+  expires_at number
+  reference? string
+  narration? string
+  instruction string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+async function placeHold(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  let sessionToUse;
+  let isSessionNative = false;
+
+  if (options.session) {
+    sessionToUse = options.session;
+  } else {
+    sessionToUse = await createSession();
+    isSessionNative = true;
+  }
+
+  try {
+    if (isSessionNative) {
+      sessionToUse.startTransaction();
+    }
+
+    const account = await Account.findOne({
+      query: { account_id: data.account_id },
+      options: { session: sessionToUse },
+    });
+
+    if (!account) {
+      throwAppError(LedgerMessages.ACCOUNT_NOT_FOUND, ERROR_CODE.NOTFOUND);
+    }
+
+    // Checked again inside the session: another hold or posting may have got there first.
+    // A hold may reserve the account's arranged overdraft too
+    const amountMinor = toMinorUnits(data.amount, account.currency);
+    const availableMinor =
+      toMinorUnits(account.balance, account.currency) -
+      heldMinorOf(account) +
+      overdraftMinorOf(account);
+
+    if (availableMinor < amountMinor) {
+      throwAppError(
+        `${LedgerMessages.INSUFFICIENT_AVAILABLE_BALANCE}: ${data.account_id}`,
+        ERROR_CODE.CONFLICTERR
+      );
+    }
+
+    const heldAccount = await moveHeldAmount(account, amountMinor, sessionToUse);
+
+    const hold = await Hold.create(
+      {
+        account_id: data.account_id,
+        amount: data.amount,
+        currency: data.currency,
+        reference: data.reference ?? null,
+        narration: data.narration ?? null,
+        expires_on: data.expires_on,
+        expires_at: data.expires_at,
+        status: 'active',
+        instruction: data.instruction,
+      },
+      { session: sessionToUse }
+    );
+
+    if (isSessionNative) {
+      await sessionToUse.commitTransaction();
+    }
+
+    result = { hold, held_amount: heldAccount.held_amount };
+
+    appLogger.info({ holdId: hold._id }, 'place-hold-success');
+  } catch (error) {
+    if (isSessionNative) {
+      await sessionToUse.abortTransaction();
+    }
+    appLogger.errorX(error, 'place-hold-error');
+    throw error;
+  } finally {
+    if (isSessionNative) {
+      await sessionToUse.endSession();
+    }
+  }
+
+  return result;
+}
+
+module.exports = placeHold;
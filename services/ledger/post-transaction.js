@@ -0,0 +1,291 @@
+/**
+ * Ledger Posting Service
+ * Applies an executed instruction to the stored balances and records
+ * the debit and credit legs as immutable journal entries
+ * A reversal (reversal_of) credits back the original's debit account, and is
+ * checked against what is left to reverse inside the same session
+ * A split (splits) posts one debit and credit pair per share under one transaction;
+ * debit_account and credit_account are then the fee payer and the first credit
+ * A capture (hold_id) closes the hold it draws on and takes the whole hold off the
+ * debit account's held amount; whatever was not captured is available again
+ * The first debit leg on debit_account claims the reference, which the journal
+ * keeps unique per account
+ * Funds are checked again inside the session, as the instruction was validated against
+ * balances read before it that a concurrent posting may since have spent
+ */
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { createSession } = require('@app-core/mongoose');
+const { ulid } = require('@app-core/randomness');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { LedgerMessages } = require('@app/messages');
+const Account = require('@app/repository/account');
+const JournalEntry = require('@app/repository/journal-entry');
+const { toMinorUnits, toMajorUnits } = require('@app/services/currency/minor-units');
+const loadReversibleTransaction = require('./load-reversible-transaction');
+const { heldMinorOf, moveHeldAmount, closeHold } = require('./helpers/holds');
+const { overdraftMinorOf } = require('./helpers/overdraft');
+
+const spec = `root {
+  debit_account string
+  credit_account string
+  amount number
+  currency string
+  credit_amount? number
+  credit_currency? string
+  fx_rate? number
+  fee_amount? number
+  fee_account? string
+  reference? string
+  narration? string
+  reversal_of? string
+  hold_id? string
+  splits[]? {
+    debit_account string
+    credit_account string
+    amount number
+  }
+  instruction string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * A reversal may return at most what is left of the original's debit amount
+ */
+async function assertReversible(data, creditAmount, session) {
+  const original = await loadReversibleTransaction(
+    { transaction_id: data.reversal_of },
+    { session }
+  );
+  const returnedMinor = toMinorUnits(creditAmount, original ? original.currency : data.currency);
+
+  if (!original || original.reversed_amount_minor + returnedMinor > original.amount_minor) {
+    throwAppError(
+      `${LedgerMessages.REVERSAL_EXCEEDS_ORIGINAL}: ${data.reversal_of}`,
+      ERROR_CODE.CONFLICTERR
+    );
+  }
+}
+
+/**
+ * An account the posting takes funds from must still cover them from its available
+ * balance, arranged overdraft included
+ */
+function assertCovered(account, balanceMinor, heldMinor) {
+  const isDebited = balanceMinor < toMinorUnits(account.balance, account.currency);
+
+  if (isDebited && balanceMinor - heldMinor + overdraftMinorOf(account) < 0) {
+    throwAppError(
+      `${LedgerMessages.FUNDS_NO_LONGER_AVAILABLE}: ${account.account_id}`,
+      ERROR_CODE.CONFLICTERR
+    );
+  }
+}
+
+/**
+ * Move an account from its read balance to a new one.
+ * The read balance is part of the query, so a concurrent posting makes this a no-op
+ */
+async function moveBalance(account, balance, session) {
+  const updateResult = await Account.updateOne({
+    query: { account_id: account.account_id, balance: account.balance },
+    updateValues: { balance },
+    options: { session },
+  });
+
+  if (updateResult.modifiedCount !== 1) {
+    throwAppError(
+      `${LedgerMessages.BALANCE_CHANGED}: ${account.account_id}`,
+      ERROR_CODE.CONFLICTERR
+    );
+  }
+}
+
+async function postTransaction(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  let sessionToUse;
+  let isSessionNative = false;
+
+  if (options.session) {
+    sessionToUse = options.session;
+  } else {
+    sessionToUse = await createSession();
+    isSessionNative = true;
+  }
+
+  try {
+    if (isSessionNative) {
+      sessionToUse.startTransaction();
+    }
+
+    const shareAccountIds = (data.splits || []).flatMap((share) => [
+      share.debit_account,
+      share.credit_account,
+    ]);
+    const accountIds = [
+      ...new Set(
+        [data.debit_account, data.credit_account, ...shareAccountIds, data.fee_account].filter(
+          Boolean
+        )
+      ),
+    ];
+    const storedAccounts = await Account.findMany({
+      query: { account_id: { $in: accountIds } },
+      options: { session: sessionToUse },
+    });
+
+    const findStored = (id) => storedAccounts.find((a) => a.account_id === id);
+    const debitAccount = findStored(data.debit_account);
+    const creditAccount = findStored(data.credit_account);
+    const feeAccount = findStored(data.fee_account);
+
+    if (!accountIds.every(findStored)) {
+      throwAppError(LedgerMessages.ACCOUNT_NOT_FOUND, ERROR_CODE.NOTFOUND);
+    }
+
+    // Cross-currency postings credit a converted amount in the credit account's currency
+    const creditAmount = data.credit_amount ?? data.amount;
+    const creditCurrency = data.credit_currency || data.currency;
+    const fxRate = data.fx_rate ?? null;
+    const transactionId = ulid();
+
+    if (data.reversal_of) {
+      await assertReversible(data, creditAmount, sessionToUse);
+    }
+
+    // Held amounts once a capture has given back the hold it draws on
+    const heldMinors = {};
+    storedAccounts.forEach((account) => {
+      heldMinors[account.account_id] = heldMinorOf(account);
+    });
+
+    if (data.hold_id) {
+      const hold = await closeHold(
+        data.hold_id,
+        { status: 'captured', captured_amount: data.amount, transaction_id: transactionId },
+        sessionToUse
+      );
+      const holdMinor = toMinorUnits(hold.amount, debitAccount.currency);
+      await moveHeldAmount(debitAccount, -holdMinor, sessionToUse);
+      heldMinors[debitAccount.account_id] -= holdMinor;
+    }
+
+    // Running balances in integer minor units, so each leg sees the one before it
+    const runningBalances = {};
+    storedAccounts.forEach((account) => {
+      runningBalances[account.account_id] = toMinorUnits(account.balance, account.currency);
+    });
+
+    const buildLeg = (
+      account,
+      counterparty,
+      entryType,
+      purpose,
+      amount,
+      currency,
+      rate = fxRate
+    ) => {
+      const balanceBefore = runningBalances[account.account_id];
+      const movement = toMinorUnits(amount, currency);
+      const balanceAfter =
+        entryType === 'debit' ? balanceBefore - movement : balanceBefore + movement;
+      runningBalances[account.account_id] = balanceAfter;
+
+      return {
+        transaction_id: transactionId,
+        account_id: account.account_id,
+        counterparty_account_id: counterparty.account_id,
+        entry_type: entryType,
+        purpose,
+        amount,
+        currency,
+        balance_before: toMajorUnits(balanceBefore, currency),
+        balance_after: toMajorUnits(balanceAfter, currency),
+        fx_rate: rate,
+        reference: data.reference ?? null,
+        narration: data.narration ?? null,
+        reversal_of: data.reversal_of ?? null,
+        instruction: data.instruction,
+      };
+    };
+
+    const legs = data.splits
+      ? data.splits.flatMap((share) => {
+          const shareDebit = findStored(share.debit_account);
+          const shareCredit = findStored(share.credit_account);
+          return [
+            buildLeg(shareDebit, shareCredit, 'debit', 'transfer', share.amount, data.currency),
+            buildLeg(shareCredit, shareDebit, 'credit', 'transfer', share.amount, data.currency),
+          ];
+        })
+      : [
+          buildLeg(debitAccount, creditAccount, 'debit', 'transfer', data.amount, data.currency),
+          buildLeg(creditAccount, debitAccount, 'credit', 'transfer', creditAmount, creditCurrency),
+        ];
+
+    // The fee moves from the debit account to the fee account under the same transaction
+    if (feeAccount && data.fee_amount) {
+      legs.push(
+        buildLeg(debitAccount, feeAccount, 'debit', 'fee', data.fee_amount, data.currency, null),
+        buildLeg(feeAccount, debitAccount, 'credit', 'fee', data.fee_amount, data.currency, null)
+      );
+    }
+
+    const referenceLeg =
+      data.reference &&
+      legs.find((leg) => leg.entry_type === 'debit' && leg.account_id === data.debit_account);
+    if (referenceLeg) {
+      referenceLeg.holds_reference = true;
+    }
+
+    storedAccounts.forEach((account) => {
+      assertCovered(account, runningBalances[account.account_id], heldMinors[account.account_id]);
+    });
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const account of storedAccounts) {
+      const balance = toMajorUnits(runningBalances[account.account_id], account.currency);
+      // eslint-disable-next-line no-await-in-loop
+      await moveBalance(account, balance, sessionToUse);
+    }
+
+    const entries = await JournalEntry.createMany({
+      entries: legs,
+      options: { session: sessionToUse },
+    });
+
+    // A leg the journal refuses (a reference already claimed) fails the whole posting,
+    // even when the other legs went in
+    if (entries.createError) {
+      throwAppError(entries.createError.message, entries.createError.errorCode);
+    }
+
+    if (isSessionNative) {
+      await sessionToUse.commitTransaction();
+    }
+
+    result = {
+      transaction_id: transactionId,
+      entries,
+    };
+
+    appLogger.info({ transactionId }, 'post-transaction-success');
+  } catch (error) {
+    if (isSessionNative) {
+      await sessionToUse.abortTransaction();
+    }
+    appLogger.errorX(error, 'post-transaction-error');
+    throw error;
+  } finally {
+    if (isSessionNative) {
+      await sessionToUse.endSession();
+    }
+  }
+
+  return result;
+}
+
+module.exports = postTransaction;
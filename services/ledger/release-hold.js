@@ -0,0 +1,80 @@
+/**
+ * Hold Release Service
+ * Gives the funds of an active hold back to its account's available balance,
+ * when the hold is released or lapses
+ */
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { createSession } = require('@app-core/mongoose');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { LedgerMessages } = require('@app/messages');
+const Account = require('@app/repository/account');
+const { toMinorUnits } = require('@app/services/currency/minor-units');
+const { moveHeldAmount, closeHold } = require('./helpers/holds');
+
+const spec = `root {
+  hold_id string<trim|minLength:1>
+  status string(released|expired)
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+async function releaseHold(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  let sessionToUse;
+  let isSessionNative = false;
+
+  if (options.session) {
+    sessionToUse = options.session;
+  } else {
+    sessionToUse = await createSession();
+    isSessionNative = true;
+  }
+
+  try {
+    if (isSessionNative) {
+      sessionToUse.startTransaction();
+    }
+
+    const hold = await closeHold(data.hold_id, { status: data.status }, sessionToUse);
+
+    const account = await Account.findOne({
+      query: { account_id: hold.account_id },
+      options: { session: sessionToUse },
+    });
+
+    if (!account) {
+      throwAppError(LedgerMessages.ACCOUNT_NOT_FOUND, ERROR_CODE.NOTFOUND);
+    }
+
+    const heldAccount = await moveHeldAmount(
+      account,
+      -toMinorUnits(hold.amount, account.currency),
+      sessionToUse
+    );
+
+    if (isSessionNative) {
+      await sessionToUse.commitTransaction();
+    }
+
+    result = { hold: { ...hold, status: data.status }, held_amount: heldAccount.held_amount };
+
+    appLogger.info({ holdId: hold._id, status: data.status }, 'release-hold-success');
+  } catch (error) {
+    if (isSessionNative) {
+      await sessionToUse.abortTransaction();
+    }
+    appLogger.errorX(error, 'release-hold-error');
+    throw error;
+  } finally {
+    if (isSessionNative) {
+      await sessionToUse.endSession();
+    }
+  }
+
+  return result;
+}
+
+module.exports = releaseHold;
@@ -0,0 +1,186 @@
+/**
+ * Account Limits Service
+ * Checks the debits of a transfer against the KYC tier of each debit account:
+ * per-transaction maximums, daily and monthly cumulative debits, transfers per hour
+ * and blocked counterparties. Amount limits are set per currency; a tier without a
+ * currency's limits (or without max_transfers_per_hour) leaves that rule unchecked,
+ * and an account without a tier is only checked for blocked counterparties
+ */
+const validator = require('@app-core/validator');
+const { PaymentMessages } = require('@app/messages');
+const Account = require('@app/repository/account');
+const JournalEntry = require('@app/repository/journal-entry');
+const STATUS_CODES = require('@app/services/payment-processor/helpers/status-codes');
+const { toMinorUnits, toMajorUnits } = require('@app/services/currency/minor-units');
+const { today, toTimestamp } = require('@app/services/standing-orders/helpers/schedule');
+const clock = require('@app/services/calendar/helpers/clock');
+const { tierOf } = require('./helpers/limit-tiers');
+
+const spec = `root {
+  debits[] {
+    account_id string
+    counterparty_account_ids[]? string
+    amount number
+  }
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Sum of debit entries in minor units
+ */
+function sumMinor(entries, currency) {
+  return entries.reduce((total, entry) => total + toMinorUnits(entry.amount, currency), 0);
+}
+
+/**
+ * Rules run in order for every debit; each returns its violation or null.
+ * The context holds the debit, its account and tier (null without one), and the
+ * account's transfer debits since the start of the month (or the last hour, when
+ * that is earlier)
+ */
+const RULES = [
+  function blockedCounterparty({ debit, account, counterparties }) {
+    const blocked = (debit.counterparty_account_ids || []).find(
+      (id) =>
+        (account.blocked_counterparties || []).includes(id) ||
+        ((counterparties[id] && counterparties[id].blocked_counterparties) || []).includes(
+          debit.account_id
+        )
+    );
+
+    return blocked
+      ? {
+          code: STATUS_CODES.BLOCKED_COUNTERPARTY,
+          message: `${PaymentMessages.BLOCKED_COUNTERPARTY}: ${debit.account_id} and ${blocked}`,
+          field: 'counterparty',
+        }
+      : null;
+  },
+
+  function perTransactionMaximum({ debit, account, tier, amountMinor }) {
+    const limit = tier && tier.currencies && tier.currencies[account.currency];
+
+    return limit &&
+      limit.per_transaction !== undefined &&
+      amountMinor > toMinorUnits(limit.per_transaction, account.currency)
+      ? {
+          code: STATUS_CODES.LIMIT_EXCEEDED,
+          message: `${PaymentMessages.PER_TRANSACTION_LIMIT_EXCEEDED}: ${tier.name} allows ${limit.per_transaction} ${account.currency} on ${debit.account_id}`,
+          field: 'amount',
+        }
+      : null;
+  },
+
+  function cumulativeDebits({ debit, account, tier, amountMinor, entries, windows }) {
+    const limit = tier && tier.currencies && tier.currencies[account.currency];
+    let violation = null;
+
+    ['daily', 'monthly'].some((period) => {
+      if (!limit || limit[period] === undefined) return false;
+
+      const since = period === 'daily' ? windows.dayStart : windows.monthStart;
+      const usedMinor = sumMinor(
+        entries.filter((entry) => entry.created >= since),
+        account.currency
+      );
+
+      if (usedMinor + amountMinor > toMinorUnits(limit[period], account.currency)) {
+        violation = {
+          code: STATUS_CODES.LIMIT_EXCEEDED,
+          message: `${PaymentMessages.CUMULATIVE_LIMIT_EXCEEDED}: ${tier.name} allows ${limit[period]} ${account.currency} ${period} on ${debit.account_id}, ${toMajorUnits(usedMinor, account.currency)} already used`,
+          field: 'amount',
+        };
+      }
+
+      return !!violation;
+    });
+
+    return violation;
+  },
+
+  function transfersPerHour({ debit, tier, entries, windows }) {
+    if (!tier || tier.max_transfers_per_hour === undefined) return null;
+
+    const transfers = new Set(
+      entries
+        .filter((entry) => entry.created >= windows.hourStart)
+        .map((entry) => entry.transaction_id)
+    );
+
+    return transfers.size + 1 > tier.max_transfers_per_hour
+      ? {
+          code: STATUS_CODES.VELOCITY_EXCEEDED,
+          message: `${PaymentMessages.VELOCITY_EXCEEDED}: ${tier.name} allows ${tier.max_transfers_per_hour} transfers an hour from ${debit.account_id}`,
+          field: 'amount',
+        }
+      : null;
+  },
+];
+
+/**
+ * Evaluate every rule against every debit of a transfer
+ * Debits from accounts missing from the store are skipped; the parser reports those.
+ * Reversals and fees are not counted towards what an account has used
+ * @returns {Promise<{code: String, message: String, account_id: String, field: String}[]>} Violations, in rule order
+ */
+async function evaluateLimits(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const violations = [];
+
+  const accountIds = [
+    ...new Set(
+      data.debits.flatMap((debit) => [debit.account_id, ...(debit.counterparty_account_ids || [])])
+    ),
+  ];
+  const storedAccounts = await Account.findMany({ query: { account_id: { $in: accountIds } } });
+  const accountsById = {};
+  storedAccounts.forEach((account) => {
+    accountsById[account.account_id] = account;
+  });
+
+  const now = clock.now();
+  const day = today();
+  const windows = {
+    hourStart: now - HOUR_MS,
+    dayStart: toTimestamp(day),
+    monthStart: toTimestamp(`${day.substring(0, 8)}01`),
+  };
+
+  const debitEntries = await JournalEntry.findMany({
+    query: {
+      account_id: { $in: data.debits.map((debit) => debit.account_id) },
+      entry_type: 'debit',
+      created: { $gte: Math.min(windows.hourStart, windows.monthStart) },
+    },
+  });
+
+  data.debits.forEach((debit) => {
+    const account = accountsById[debit.account_id];
+    if (!account) return;
+
+    const context = {
+      debit,
+      account,
+      counterparties: accountsById,
+      tier: tierOf(account),
+      amountMinor: toMinorUnits(debit.amount, account.currency),
+      entries: debitEntries.filter(
+        (entry) =>
+          entry.account_id === debit.account_id && entry.purpose !== 'fee' && !entry.reversal_of
+      ),
+      windows,
+    };
+
+    RULES.forEach((rule) => {
+      const violation = rule(context);
+      if (violation) violations.push({ ...violation, account_id: debit.account_id });
+    });
+  });
+
+  return violations;
+}
+
+module.exports = evaluateLimits;
@@ -0,0 +1,39 @@
+/**
+ * KYC limit tiers
+ * LIMIT_TIERS_FILE points at a different tier table; the bundled one is the default
+ */
+const fs = require('fs');
+const path = require('path');
+
+const tiersFile = process.env.LIMIT_TIERS_FILE || path.join(__dirname, '..', 'limit-tiers.json');
+
+let tierTable;
+
+function loadTierTable() {
+  if (!tierTable) {
+    tierTable = JSON.parse(fs.readFileSync(tiersFile, 'utf-8'));
+  }
+  return tierTable;
+}
+
+function isKnownTier(name) {
+  return Object.prototype.hasOwnProperty.call(loadTierTable().tiers, name);
+}
+
+/**
+ * Tier an account is on: its own kyc_tier, else the table's default tier.
+ * The bundled table has no default, so accounts without a tier are not limited;
+ * a table that sets default_tier opts every untiered account into that tier
+ * @returns {Object|null} The tier, null when the account has none
+ */
+function tierOf(account) {
+  const table = loadTierTable();
+  const name = account.kyc_tier || table.default_tier;
+
+  return name ? { name, ...table.tiers[name] } : null;
+}
+
+module.exports = {
+  isKnownTier,
+  tierOf,
+};
@@ -0,0 +1,58 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { PaymentMessages } = require('@app/messages');
+const PendingInstruction = require('@app/repository/pending-instruction');
+const formatPendingInstruction = require('./helpers/format-pending-instruction');
+
+// Only the user who booked the instruction, user_id, may cancel it
+const spec = `root {
+  id string<trim|minLength:1>
+  user_id string<trim|minLength:1>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+async function cancelPendingInstruction(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const pendingInstruction = await PendingInstruction.findOne({
+      query: { _id: data.id, owner_id: data.user_id },
+    });
+
+    if (!pendingInstruction) {
+      throwAppError(PaymentMessages.PENDING_INSTRUCTION_NOT_FOUND, ERROR_CODE.NOTFOUND);
+    }
+
+    // Only a still-pending instruction can be cancelled; the worker may have claimed it already
+    const update = await PendingInstruction.updateOne({
+      query: { _id: data.id, status: 'pending' },
+      updateValues: {
+        status: 'cancelled',
+        status_reason: PaymentMessages.TRANSACTION_CANCELLED,
+      },
+    });
+
+    if (update.modifiedCount !== 1) {
+      throwAppError(
+        `${PaymentMessages.PENDING_INSTRUCTION_NOT_CANCELLABLE}: ${pendingInstruction.status}`,
+        ERROR_CODE.CONFLICTERR
+      );
+    }
+
+    result = formatPendingInstruction({
+      ...pendingInstruction,
+      status: 'cancelled',
+      status_reason: PaymentMessages.TRANSACTION_CANCELLED,
+    });
+  } catch (error) {
+    appLogger.errorX(error, 'cancel-pending-instruction-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = cancelPendingInstruction;
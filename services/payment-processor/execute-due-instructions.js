@@ -0,0 +1,115 @@
+/**
+ * Pending Instruction Execution Service
+ * Runs every pending instruction that has fallen due against the current
+ * stored balances, settling each one as successful or failed
+ */
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { PaymentMessages } = require('@app/messages');
+const PendingInstruction = require('@app/repository/pending-instruction');
+const clock = require('@app/services/calendar/helpers/clock');
+const parseInstruction = require('./parse-instruction');
+
+const spec = `root {
+  limit? number<min:1>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Instructions picked up per run when no limit is given
+const DEFAULT_LIMIT = 500;
+
+// Statuses an executed instruction can settle on
+const SETTLED_STATUSES = ['successful', 'failed'];
+
+/**
+ * Execute one due instruction.
+ * Claiming it first (pending -> processing) keeps a concurrent cancel or
+ * a second worker from running it twice
+ */
+async function executeInstruction(pendingInstruction) {
+  const claim = await PendingInstruction.updateOne({
+    query: { _id: pendingInstruction._id, status: 'pending' },
+    updateValues: { status: 'processing' },
+  });
+
+  if (claim.modifiedCount !== 1) {
+    return null;
+  }
+
+  let result;
+  try {
+    // Re-parsing re-runs every business rule against today's balances
+    result = await parseInstruction(
+      {
+        instruction: pendingInstruction.instruction,
+        allow_fx: !!pendingInstruction.allow_fx,
+        tenant: pendingInstruction.tenant || undefined,
+      },
+      { pendingInstructionId: pendingInstruction._id }
+    );
+  } catch (error) {
+    // Store errors are transient; leave the instruction for the next run
+    await PendingInstruction.updateOne({
+      query: { _id: pendingInstruction._id },
+      updateValues: { status: 'pending' },
+    });
+    throw error;
+  }
+
+  // Anything else would put it back in the queue to run again; it stays claimed instead
+  if (!SETTLED_STATUSES.includes(result.status)) {
+    throwAppError(
+      `${PaymentMessages.PENDING_INSTRUCTION_NOT_SETTLED}: ${result.status}`,
+      ERROR_CODE.CONFLICTERR
+    );
+  }
+
+  await PendingInstruction.updateOne({
+    query: { _id: pendingInstruction._id },
+    updateValues: {
+      status: result.status,
+      status_code: result.status_code,
+      status_reason: result.status_reason,
+      transaction_id: result.transaction_id || null,
+      executed_at: Date.now(),
+    },
+  });
+
+  return result;
+}
+
+async function executeDueInstructions(serviceData = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const summary = { processed: 0, successful: 0, failed: 0, errored: 0 };
+
+  const dueInstructions = await PendingInstruction.findMany({
+    query: { status: 'pending', due_at: { $lte: clock.now() } },
+    options: { sort: { due_at: 1, created: 1 }, limit: data.limit || DEFAULT_LIMIT },
+  });
+
+  // Sequential on purpose: instructions on the same account must see each other's postings
+  // eslint-disable-next-line no-restricted-syntax
+  for (const pendingInstruction of dueInstructions) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const result = await executeInstruction(pendingInstruction);
+
+      if (result) {
+        summary.processed += 1;
+        summary[result.status] += 1;
+      }
+    } catch (error) {
+      summary.errored += 1;
+      appLogger.errorX(error, 'execute-due-instruction-error');
+    }
+  }
+
+  appLogger.info(summary, 'execute-due-instructions-complete');
+
+  return summary;
+}
+
+module.exports = executeDueInstructions;
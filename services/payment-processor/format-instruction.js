@@ -0,0 +1,152 @@
+/**
+ * Payment Instruction Formatter Service
+ * The inverse of the parser: renders a structured instruction as its canonical text,
+ * then parses that text back to prove the two say the same thing
+ */
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { PaymentMessages } = require('@app/messages');
+const { getCurrency } = require('@app/services/currency/currencies');
+const { countDecimals } = require('@app/services/currency/minor-units');
+const parseInstruction = require('./parse-instruction');
+
+const spec = `root {
+  type string<trim|uppercase>(DEBIT|CREDIT)
+  amount number
+  currency string<trim|uppercase>
+  debit_account string<trim>
+  credit_account string<trim>
+  execute_by? string<trim>
+  fee_amount? number
+  fee_account? string<trim>
+  reference? string<trim>
+  narration? string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Fields the parser must echo back unchanged for the round trip to hold
+const ROUND_TRIP_FIELDS = [
+  'type',
+  'amount',
+  'currency',
+  'debit_account',
+  'credit_account',
+  'execute_by',
+  'reference',
+  'narration',
+];
+
+// Opening balance of the stand-in debit account, so funds never fail the round trip
+const ROUND_TRIP_BALANCE = 1e12;
+
+/**
+ * Canonical amount text: whole amounts without decimals, others padded to the
+ * currency's minor unit (10.5 USD -> 10.50). Amounts finer than the minor unit are
+ * left as they are, never rounded, so the parser rejects them
+ */
+function formatAmount(amount, currencyCode) {
+  const currency = getCurrency(currencyCode);
+  const text = String(amount);
+
+  if (Number.isInteger(amount) || !currency || countDecimals(text) > currency.minor_unit) {
+    return text;
+  }
+  return amount.toFixed(currency.minor_unit);
+}
+
+/**
+ * Render the canonical instruction text
+ * Trailing clauses always come in the order fee, date, reference, narration
+ */
+function renderInstruction(data) {
+  const amount = `${formatAmount(data.amount, data.currency)} ${data.currency}`;
+  const parts =
+    data.type === 'DEBIT'
+      ? [
+          `DEBIT ${amount} FROM ACCOUNT ${data.debit_account}`,
+          `FOR CREDIT TO ACCOUNT ${data.credit_account}`,
+        ]
+      : [
+          `CREDIT ${amount} TO ACCOUNT ${data.credit_account}`,
+          `FOR DEBIT FROM ACCOUNT ${data.debit_account}`,
+        ];
+
+  if (data.fee_account) {
+    const feeAmount =
+      data.fee_amount !== undefined ? ` ${formatAmount(data.fee_amount, data.currency)}` : '';
+    parts.push(`WITH FEE${feeAmount} TO ACCOUNT ${data.fee_account}`);
+  }
+  if (data.execute_by) parts.push(`ON ${data.execute_by}`);
+  if (data.reference) parts.push(`REF ${data.reference}`);
+  if (data.narration) parts.push(`NARRATION "${data.narration}"`);
+
+  return parts.join(' ');
+}
+
+/**
+ * Stand-in accounts for the round trip, so it runs without touching the account store
+ */
+function roundTripAccounts(data) {
+  const ids = [data.debit_account, data.credit_account, data.fee_account].filter(Boolean);
+
+  return [...new Set(ids)].map((id) => ({
+    id,
+    balance: id === data.debit_account ? Math.max(ROUND_TRIP_BALANCE, data.amount * 2) : 0,
+    currency: data.currency,
+  }));
+}
+
+async function formatInstruction(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  if (data.fee_amount !== undefined && !data.fee_account) {
+    throwAppError(PaymentMessages.FEE_ACCOUNT_REQUIRED, ERROR_CODE.INVLDDATA);
+  }
+
+  const instruction = renderInstruction(data);
+
+  const parsed = await parseInstruction({ accounts: roundTripAccounts(data), instruction });
+
+  const mismatched = ROUND_TRIP_FIELDS.filter((field) => parsed[field] !== (data[field] ?? null));
+  if (parsed.fee && parsed.fee.account !== data.fee_account) {
+    mismatched.push('fee_account');
+  }
+  if (data.fee_amount !== undefined && parsed.fee && parsed.fee.amount !== data.fee_amount) {
+    mismatched.push('fee_amount');
+  }
+
+  if (parsed.status === 'failed' || mismatched.length) {
+    appLogger.warn({ instruction, parsed, mismatched }, 'format-instruction-round-trip-failed');
+
+    const reason =
+      parsed.status === 'failed' ? parsed.status_reason : `fields differ: ${mismatched.join(', ')}`;
+
+    throwAppError(`${PaymentMessages.ROUND_TRIP_FAILED}: ${reason}`, ERROR_CODE.INVLDDATA, {
+      context: {
+        instruction,
+        status_code: parsed.status_code,
+        mismatched_fields: mismatched,
+      },
+    });
+  }
+
+  return {
+    instruction,
+    round_trip: {
+      status_code: parsed.status_code,
+      type: parsed.type,
+      amount: parsed.amount,
+      currency: parsed.currency,
+      debit_account: parsed.debit_account,
+      credit_account: parsed.credit_account,
+      execute_by: parsed.execute_by,
+      reference: parsed.reference,
+      narration: parsed.narration,
+      fee: parsed.fee || null,
+    },
+  };
+}
+
+module.exports = formatInstruction;
@@ -0,0 +1,29 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { PaymentMessages } = require('@app/messages');
+const PendingInstruction = require('@app/repository/pending-instruction');
+const formatPendingInstruction = require('./helpers/format-pending-instruction');
+
+// Only the user who booked the instruction, user_id, sees it; to anyone else it does not exist
+const spec = `root {
+  id string<trim|minLength:1>
+  user_id string<trim|minLength:1>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+async function getPendingInstruction(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const pendingInstruction = await PendingInstruction.findOne({
+    query: { _id: data.id, owner_id: data.user_id },
+  });
+
+  if (!pendingInstruction) {
+    throwAppError(PaymentMessages.PENDING_INSTRUCTION_NOT_FOUND, ERROR_CODE.NOTFOUND);
+  }
+
+  return formatPendingInstruction(pendingInstruction);
+}
+
+module.exports = getPendingInstruction;
@@ -0,0 +1,564 @@
+/**
+ * Payment instruction grammar
+ *
+ *   DEBIT [amount] [currency] FROM ACCOUNT [id] FOR CREDIT TO ACCOUNT [id]
+ *   CREDIT [amount] [currency] TO ACCOUNT [id] FOR DEBIT FROM ACCOUNT [id]
+ *
+ * followed by optional clauses in any order, each at most once:
+ * fee (WITH FEE [amount] TO ACCOUNT id), date (ON date or date-time), reference (REF ref),
+ * narration (NARRATION "text") and recurrence (EVERY DAY|WEEK|MONTH [ON DAY n] [UNTIL date])
+ *
+ * A recurrence makes the instruction a standing order, run on every matching date
+ * from its ON date until its UNTIL date. ON DAY n anchors weekly orders to an ISO
+ * weekday (1 is Monday) and monthly ones to a day of the month. The order's start
+ * date is the date clause, so an ON date meant as a start goes before EVERY
+ *
+ * The last account may be split into shares that add up to the amount, one debit
+ * fanned out to several credit accounts or several debits into one credit:
+ *
+ *   DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b 60, ACCOUNT c 40
+ *   CREDIT 100 USD TO ACCOUNT c FOR DEBIT FROM ACCOUNT a 60, ACCOUNT b 40
+ *
+ *   REVERSE [amount OF] TRANSACTION [id]
+ *
+ * reverses an executed transaction, in full or in part, and takes the reference
+ * and narration clauses only
+ *
+ *   HOLD [amount] [currency] ON ACCOUNT [id]
+ *   CAPTURE [amount OF] HOLD [id] TO ACCOUNT [id]
+ *   RELEASE HOLD [id]
+ *
+ * reserves funds on an account, then moves them (all, or part with the rest released)
+ * to another account or gives them back. A hold takes the expiry clause
+ * (EXPIRES date), reference and narration; a capture takes reference and narration
+ *
+ * The table is run by run-grammar.js. To add an optional clause, add its states,
+ * ending in a final state, list its keyword under clauses, and give its fields an
+ * initial value; the engine needs no change
+ */
+const { PaymentMessages } = require('@app/messages');
+const { getCurrency } = require('@app/services/currency/currencies');
+const { splitDecimal, countDecimals } = require('@app/services/currency/minor-units');
+const { toDateString } = require('@app/services/standing-orders/helpers/schedule');
+const STATUS_CODES = require('../helpers/status-codes');
+
+// Longest client reference accepted (ISO 20022 end-to-end identification)
+const MAX_REFERENCE_LENGTH = 35;
+
+// Longest narration accepted
+const MAX_NARRATION_LENGTH = 140;
+
+// Highest ON DAY number for each frequency that takes one
+const MAX_RECURRENCE_DAY = { WEEK: 7, MONTH: 31 };
+
+// Days in each month of a common year
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Largest UTC offset in use, in hours (UTC+14, Kiribati)
+const MAX_OFFSET_HOURS = 14;
+
+const MISSING_KEYWORD = {
+  code: STATUS_CODES.MISSING_KEYWORD,
+  message: PaymentMessages.MISSING_KEYWORD,
+};
+
+const INVALID_ORDER = {
+  code: STATUS_CODES.INVALID_ORDER,
+  message: PaymentMessages.INVALID_KEYWORD_ORDER,
+};
+
+const MALFORMED = {
+  code: STATUS_CODES.MALFORMED,
+  message: PaymentMessages.MALFORMED_INSTRUCTION,
+};
+
+/**
+ * Check a client reference: letters, numbers, hyphen, underscore, period, slash
+ */
+function isValidReference(reference) {
+  if (reference.length > MAX_REFERENCE_LENGTH) return false;
+
+  // eslint-disable-next-line no-plusplus
+  for (let i = 0; i < reference.length; i++) {
+    const char = reference[i];
+    const isLetter = (char >= 'a' && char <= 'z') || (char >= 'A' && char <= 'Z');
+    const isNumber = char >= '0' && char <= '9';
+    const isSpecial = char === '-' || char === '_' || char === '.' || char === '/';
+
+    if (!isLetter && !isNumber && !isSpecial) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Unwrap a quoted narration token
+ * Returns null when the token is not exactly one double-quoted phrase
+ */
+function unquoteNarration(token) {
+  const isQuoted =
+    token.length >= 2 &&
+    token[0] === '"' &&
+    token[token.length - 1] === '"' &&
+    !token.substring(1, token.length - 1).includes('"');
+
+  return isQuoted ? token.substring(1, token.length - 1).trim() : null;
+}
+
+function isDigits(text) {
+  return text.length > 0 && [...text].every((char) => char >= '0' && char <= '9');
+}
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/**
+ * Validate YYYY-MM-DD format
+ */
+function isValidDateFormat(date) {
+  return (
+    date.length === 10 &&
+    date[4] === '-' &&
+    date[7] === '-' &&
+    isDigits(date.substring(0, 4) + date.substring(5, 7) + date.substring(8, 10))
+  );
+}
+
+/**
+ * Check a YYYY-MM-DD date exists: 29 February in leap years only
+ */
+function isCalendarDate(date) {
+  const year = parseInt(date.substring(0, 4), 10);
+  const month = parseInt(date.substring(5, 7), 10);
+  const day = parseInt(date.substring(8, 10), 10);
+
+  if (month < 1 || month > 12) return false;
+
+  const lastDay = month === 2 && isLeapYear(year) ? 29 : DAYS_IN_MONTH[month - 1];
+  return day >= 1 && day <= lastDay;
+}
+
+/**
+ * Check HH:MM or HH:MM:SS
+ */
+function isValidTime(time) {
+  const parts = time.split(':');
+
+  if (parts.length < 2 || parts.length > 3) return false;
+  if (!parts.every((part) => part.length === 2 && isDigits(part))) return false;
+
+  const [hours, minutes, seconds = 0] = parts.map(Number);
+  return hours <= 23 && minutes <= 59 && seconds <= 59;
+}
+
+/**
+ * Check a UTC offset: Z, or +HH:MM / -HH:MM
+ */
+function isValidOffset(offset) {
+  if (offset === 'Z') return true;
+
+  const hours = offset.substring(1, 3);
+  const minutes = offset.substring(4, 6);
+
+  return (
+    offset.length === 6 &&
+    (offset[0] === '+' || offset[0] === '-') &&
+    offset[3] === ':' &&
+    isDigits(hours + minutes) &&
+    Number(hours) <= MAX_OFFSET_HOURS &&
+    Number(minutes) <= 59
+  );
+}
+
+/**
+ * Check an amount token: a positive plain decimal within the currency's precision
+ * Returns the error to report, or null when the amount is valid
+ */
+function checkAmountToken(token, currencyCode) {
+  const currency = getCurrency(currencyCode);
+
+  if (!splitDecimal(token) || Number(token) <= 0) {
+    return {
+      code: STATUS_CODES.INVALID_AMOUNT,
+      message: PaymentMessages.INVALID_AMOUNT,
+    };
+  }
+
+  if (currency && countDecimals(token) > currency.minor_unit) {
+    return {
+      code: STATUS_CODES.INVALID_AMOUNT,
+      message: `${PaymentMessages.INVALID_AMOUNT_PRECISION}: ${currency.code} allows ${currency.minor_unit}`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Token checks used by the value states
+ * Each returns { value?, values?, error?, halt? } (see run-grammar.js)
+ */
+
+// Amount: a plain decimal, checked against the currency's precision once that is read
+function readAmount(token) {
+  const error = checkAmountToken(token, null);
+  return error ? { error } : { value: Number(token), values: { amountText: token } };
+}
+
+// Currency: drops the amount when it has more decimals than the currency allows
+function readCurrency(token, result) {
+  const code = token.toUpperCase();
+  const currency = getCurrency(code);
+
+  if (result.amountText && currency && countDecimals(result.amountText) > currency.minor_unit) {
+    return {
+      value: code,
+      values: { amount: null },
+      error: {
+        code: STATUS_CODES.INVALID_AMOUNT,
+        message: `${PaymentMessages.INVALID_AMOUNT_PRECISION}: ${code} allows ${currency.minor_unit}`,
+      },
+    };
+  }
+  return { value: code };
+}
+
+// Explicit fee amount, in the instruction's currency
+function readFeeAmount(token, result) {
+  const error = checkAmountToken(token, result.currency);
+  return error ? { error } : { value: Number(token) };
+}
+
+function readDate(token) {
+  if (!isValidDateFormat(token)) {
+    return {
+      error: { code: STATUS_CODES.INVALID_DATE, message: PaymentMessages.INVALID_DATE_FORMAT },
+    };
+  }
+  if (!isCalendarDate(token)) {
+    return {
+      error: {
+        code: STATUS_CODES.INVALID_DATE,
+        message: `${PaymentMessages.DATE_DOES_NOT_EXIST}: ${token}`,
+      },
+    };
+  }
+  return { value: token };
+}
+
+// ON: a date, or an ISO 8601 date-time with a UTC offset. executeOn is the UTC date
+// the instruction falls due on; a date-time also gives the instant (executeAt)
+function readExecutionDate(token) {
+  if (token.length === 10) {
+    const read = readDate(token);
+    return read.error ? read : { value: token, values: { executeOn: token } };
+  }
+
+  const date = token.substring(0, 10);
+  const rest = token.substring(11);
+  const offsetStart = rest.endsWith('Z') ? rest.length - 1 : rest.length - 6;
+
+  if (
+    token[10] !== 'T' ||
+    !isValidDateFormat(date) ||
+    offsetStart < 0 ||
+    !isValidTime(rest.substring(0, offsetStart)) ||
+    !isValidOffset(rest.substring(offsetStart))
+  ) {
+    return {
+      error: { code: STATUS_CODES.INVALID_DATE, message: PaymentMessages.INVALID_DATE_TIME_FORMAT },
+    };
+  }
+
+  const read = readDate(date);
+  if (read.error) return read;
+
+  const executeAt = Date.parse(token);
+  return { value: token, values: { executeOn: toDateString(executeAt), executeAt } };
+}
+
+// Recurrence day: an ISO weekday for weekly orders, a day of the month for monthly ones
+function readRecurrenceDay(token, result) {
+  const maxDay = MAX_RECURRENCE_DAY[result.frequency];
+  const isWhole = token.length > 0 && [...token].every((char) => char >= '0' && char <= '9');
+  const day = isWhole ? Number(token) : null;
+
+  if (!maxDay || !day || day > maxDay) {
+    const reason = maxDay ? `1 to ${maxDay}` : 'none';
+    return {
+      error: {
+        code: STATUS_CODES.INVALID_DATE,
+        message: `${PaymentMessages.INVALID_RECURRENCE_DAY}: EVERY ${result.frequency} takes ${reason}`,
+      },
+    };
+  }
+  return { value: day };
+}
+
+// Client reference (case-sensitive)
+function readReference(token) {
+  if (!isValidReference(token)) {
+    return {
+      error: {
+        code: STATUS_CODES.INVALID_REFERENCE,
+        message: `${PaymentMessages.INVALID_REFERENCE}: ${token}`,
+      },
+    };
+  }
+  return { value: token };
+}
+
+// Split share: an amount in the instruction's currency; a trailing comma means another follows
+function readShareAmount(token, currencyCode) {
+  const continues = token.endsWith(',');
+  const text = continues ? token.substring(0, token.length - 1) : token;
+  const error = checkAmountToken(text, currencyCode);
+
+  return {
+    amount: error ? null : Number(text),
+    error,
+    next: continues ? 'SPLIT_NEXT' : 'SPLIT_SHARE',
+  };
+}
+
+// Share of the last account named before the split started
+function readFirstShare(token, result, { position, variant }) {
+  const { amount, error, next } = readShareAmount(token, result.currency);
+  const account = variant.SECOND_ACCOUNT;
+  const share = {
+    account: result[account],
+    amount,
+    positions: { account: result.positions[account], amount: position },
+  };
+
+  return { values: { splits: [share] }, error, next };
+}
+
+// Account of the next share
+function readSplitAccount(token, result, { position }) {
+  const share = { account: token, amount: null, positions: { account: position } };
+  return { values: { splits: [...result.splits, share] } };
+}
+
+// Amount of the share whose account was just read
+function readSplitAmount(token, result, { position }) {
+  const { amount, error, next } = readShareAmount(token, result.currency);
+  const shares = [...result.splits];
+  const last = shares.pop();
+  const share = { ...last, amount, positions: { ...last.positions, amount: position } };
+
+  return { values: { splits: [...shares, share] }, error, next };
+}
+
+// Shares start with a digit; anything else after an account is a clause keyword
+function isShareToken(token) {
+  return token[0] >= '0' && token[0] <= '9';
+}
+
+// One double-quoted phrase; anything else is a syntax error
+function readNarration(token) {
+  const narration = unquoteNarration(token);
+
+  if (narration === null) {
+    return { error: MALFORMED, halt: true };
+  }
+  if (narration.length === 0 || narration.length > MAX_NARRATION_LENGTH) {
+    return {
+      error: { code: STATUS_CODES.INVALID_REFERENCE, message: PaymentMessages.INVALID_NARRATION },
+    };
+  }
+  return { value: narration };
+}
+
+const instructionGrammar = {
+  start: 'START',
+
+  initial: {
+    type: null,
+    amount: null,
+    amountText: null,
+    currency: null,
+    debitAccount: null,
+    creditAccount: null,
+    executeBy: null,
+    executeOn: null,
+    executeAt: null,
+    hasFeeClause: false,
+    feeAmount: null,
+    feeAccount: null,
+    reference: null,
+    narration: null,
+    splits: null,
+    reversalOf: null,
+    holdId: null,
+    expiresOn: null,
+    frequency: null,
+    recurrenceDay: null,
+    recurrenceUntil: null,
+  },
+
+  // DEBIT and CREDIT instructions mirror each other: the same states, with these
+  // keywords and account fields swapped
+  variants: {
+    field: 'type',
+    DEBIT: {
+      FIRST_DIRECTION: 'FROM',
+      FIRST_ACCOUNT: 'debitAccount',
+      COUNTER_TYPE: 'CREDIT',
+      SECOND_DIRECTION: 'TO',
+      SECOND_ACCOUNT: 'creditAccount',
+    },
+    CREDIT: {
+      FIRST_DIRECTION: 'TO',
+      FIRST_ACCOUNT: 'creditAccount',
+      COUNTER_TYPE: 'DEBIT',
+      SECOND_DIRECTION: 'FROM',
+      SECOND_ACCOUNT: 'debitAccount',
+    },
+  },
+
+  states: {
+    START: {
+      keywords: ['DEBIT', 'CREDIT', 'REVERSE', 'HOLD', 'CAPTURE', 'RELEASE'],
+      capture: 'type',
+      next: {
+        DEBIT: 'TYPE',
+        CREDIT: 'TYPE',
+        REVERSE: 'REVERSE',
+        HOLD: 'HOLD',
+        CAPTURE: 'CAPTURE',
+        RELEASE: 'RELEASE',
+      },
+      error: MISSING_KEYWORD,
+    },
+    TYPE: { capture: 'amount', check: readAmount, next: 'AMOUNT' },
+    AMOUNT: { capture: 'currency', check: readCurrency, next: 'CURRENCY' },
+    CURRENCY: { keywords: ['$FIRST_DIRECTION'], next: 'FIRST_KEYWORD', error: INVALID_ORDER },
+    FIRST_KEYWORD: { keywords: ['ACCOUNT'], next: 'FIRST_ACCOUNT_KEYWORD', error: MISSING_KEYWORD },
+    FIRST_ACCOUNT_KEYWORD: { capture: '$FIRST_ACCOUNT', next: 'FIRST_ACCOUNT' },
+    FIRST_ACCOUNT: { keywords: ['FOR'], next: 'FOR', error: MISSING_KEYWORD },
+    FOR: { keywords: ['$COUNTER_TYPE'], next: 'SECOND_TYPE', error: INVALID_ORDER },
+    SECOND_TYPE: { keywords: ['$SECOND_DIRECTION'], next: 'SECOND_KEYWORD', error: INVALID_ORDER },
+    SECOND_KEYWORD: {
+      keywords: ['ACCOUNT'],
+      next: 'SECOND_ACCOUNT_KEYWORD',
+      error: MISSING_KEYWORD,
+    },
+    SECOND_ACCOUNT_KEYWORD: { capture: '$SECOND_ACCOUNT', next: 'SECOND_ACCOUNT' },
+    SECOND_ACCOUNT: {
+      final: true,
+      otherwise: { match: isShareToken, check: readFirstShare, next: 'SPLIT_SHARE' },
+    },
+
+    // Split shares: [amount], ACCOUNT id [amount], ... after the last account
+    SPLIT_NEXT: { keywords: ['ACCOUNT'], next: 'SPLIT_ACCOUNT', error: MISSING_KEYWORD },
+    SPLIT_ACCOUNT: { check: readSplitAccount, next: 'SPLIT_AMOUNT' },
+    SPLIT_AMOUNT: { check: readSplitAmount, next: 'SPLIT_SHARE' },
+    SPLIT_SHARE: { final: true },
+
+    // REVERSE [amount OF] TRANSACTION id; without an amount, whatever is left is reversed
+    REVERSE: {
+      keywords: ['TRANSACTION'],
+      next: 'TRANSACTION',
+      otherwise: { capture: 'amount', check: readAmount, next: 'REVERSAL_AMOUNT' },
+    },
+    REVERSAL_AMOUNT: { keywords: ['OF'], next: 'REVERSAL_OF', error: MISSING_KEYWORD },
+    REVERSAL_OF: { keywords: ['TRANSACTION'], next: 'TRANSACTION', error: MISSING_KEYWORD },
+    TRANSACTION: { capture: 'reversalOf', next: 'REVERSAL_TARGET' },
+    REVERSAL_TARGET: { final: true, clauses: ['REF', 'NARRATION'] },
+
+    // HOLD amount currency ON ACCOUNT id
+    HOLD: { capture: 'amount', check: readAmount, next: 'HOLD_AMOUNT' },
+    HOLD_AMOUNT: { capture: 'currency', check: readCurrency, next: 'HOLD_CURRENCY' },
+    HOLD_CURRENCY: { keywords: ['ON'], next: 'HOLD_ON', error: INVALID_ORDER },
+    HOLD_ON: { keywords: ['ACCOUNT'], next: 'HOLD_ACCOUNT_KEYWORD', error: MISSING_KEYWORD },
+    HOLD_ACCOUNT_KEYWORD: { capture: 'debitAccount', next: 'HOLD_ACCOUNT' },
+    HOLD_ACCOUNT: { final: true, clauses: ['EXPIRES', 'REF', 'NARRATION'] },
+
+    // CAPTURE [amount OF] HOLD id TO ACCOUNT id; without an amount the whole hold is captured
+    CAPTURE: {
+      keywords: ['HOLD'],
+      next: 'CAPTURE_HOLD',
+      otherwise: { capture: 'amount', check: readAmount, next: 'CAPTURE_AMOUNT' },
+    },
+    CAPTURE_AMOUNT: { keywords: ['OF'], next: 'CAPTURE_OF', error: MISSING_KEYWORD },
+    CAPTURE_OF: { keywords: ['HOLD'], next: 'CAPTURE_HOLD', error: MISSING_KEYWORD },
+    CAPTURE_HOLD: { capture: 'holdId', next: 'CAPTURE_HOLD_ID' },
+    CAPTURE_HOLD_ID: { keywords: ['TO'], next: 'CAPTURE_TO', error: MISSING_KEYWORD },
+    CAPTURE_TO: { keywords: ['ACCOUNT'], next: 'CAPTURE_ACCOUNT_KEYWORD', error: MISSING_KEYWORD },
+    CAPTURE_ACCOUNT_KEYWORD: { capture: 'creditAccount', next: 'CAPTURE_ACCOUNT' },
+    CAPTURE_ACCOUNT: { final: true, clauses: ['REF', 'NARRATION'] },
+
+    // RELEASE HOLD id
+    RELEASE: { keywords: ['HOLD'], next: 'RELEASE_HOLD', error: MISSING_KEYWORD },
+    RELEASE_HOLD: { capture: 'holdId', next: 'RELEASE_TARGET' },
+    RELEASE_TARGET: { final: true, clauses: [] },
+
+    // EXPIRES YYYY-MM-DD; the hold lapses at the end of that day (UTC)
+    EXPIRES: { capture: 'expiresOn', check: readDate, next: 'EXPIRY' },
+    EXPIRY: { final: true },
+
+    // WITH FEE [amount] TO ACCOUNT id; without an amount the fee comes from the schedule
+    WITH: { set: { hasFeeClause: true }, keywords: ['FEE'], next: 'FEE', error: MISSING_KEYWORD },
+    FEE: {
+      keywords: ['TO'],
+      next: 'FEE_TO',
+      otherwise: { capture: 'feeAmount', check: readFeeAmount, next: 'FEE_AMOUNT' },
+    },
+    FEE_AMOUNT: { keywords: ['TO'], next: 'FEE_TO', error: MISSING_KEYWORD },
+    FEE_TO: { keywords: ['ACCOUNT'], next: 'FEE_ACCOUNT_KEYWORD', error: MISSING_KEYWORD },
+    FEE_ACCOUNT_KEYWORD: { capture: 'feeAccount', next: 'FEE_ACCOUNT' },
+    FEE_ACCOUNT: { final: true },
+
+    // ON YYYY-MM-DD, or ON YYYY-MM-DDTHH:MM[:SS] with an offset (Z, +HH:MM or -HH:MM)
+    ON: { capture: 'executeBy', check: readExecutionDate, next: 'DATE' },
+    DATE: { final: true },
+
+    // REF reference
+    REF: { capture: 'reference', check: readReference, next: 'REFERENCE' },
+    REFERENCE: { final: true },
+
+    // NARRATION "text"
+    NARRATION: { capture: 'narration', check: readNarration, next: 'NARRATION_TEXT' },
+    NARRATION_TEXT: { final: true },
+
+    // EVERY DAY|WEEK|MONTH [ON DAY n] [UNTIL YYYY-MM-DD]
+    EVERY: {
+      keywords: ['DAY', 'WEEK', 'MONTH'],
+      capture: 'frequency',
+      next: 'FREQUENCY',
+      error: MISSING_KEYWORD,
+    },
+    FREQUENCY: {
+      final: true,
+      keywords: ['ON', 'UNTIL'],
+      next: { ON: 'RECURRENCE_ON', UNTIL: 'UNTIL' },
+    },
+    RECURRENCE_ON: { keywords: ['DAY'], next: 'RECURRENCE_DAY', error: MISSING_KEYWORD },
+    RECURRENCE_DAY: {
+      capture: 'recurrenceDay',
+      check: readRecurrenceDay,
+      next: 'RECURRENCE_DAY_NUMBER',
+    },
+    RECURRENCE_DAY_NUMBER: { final: true, keywords: ['UNTIL'], next: 'UNTIL' },
+    UNTIL: { capture: 'recurrenceUntil', check: readDate, next: 'RECURRENCE_END' },
+    RECURRENCE_END: { final: true },
+  },
+
+  // Keywords opening the optional clauses, and their first states
+  clauses: {
+    WITH: { start: 'WITH' },
+    ON: { start: 'ON' },
+    REF: { start: 'REF' },
+    NARRATION: { start: 'NARRATION' },
+    EVERY: { start: 'EVERY' },
+    EXPIRES: { start: 'EXPIRES', variants: ['HOLD'] },
+  },
+
+  // Reported when a final state is followed by no clause, or the input stops short
+  malformed: MALFORMED,
+};
+
+module.exports = instructionGrammar;
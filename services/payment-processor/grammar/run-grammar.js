@@ -0,0 +1,159 @@
+/**
+ * Grammar engine
+ * Runs a declarative grammar table (see instruction-grammar.js) over tokens
+ *
+ * A state is one of:
+ * - keyword state: { keywords, next, error, capture?, otherwise? }
+ *   The token must be one of the keywords; it is stored (uppercased) in capture, if any.
+ *   next is a state, or a map from keyword to state when keywords lead different ways.
+ *   Any other token is handed to the otherwise value state when there is one (and
+ *   its match(token), if any, accepts it), else the state's error is reported with
+ *   the expected keywords and parsing stops
+ * - value state: { next, capture?, check?, match? }
+ *   The token is stored in capture. check(token, result, { position, variant }) may
+ *   rewrite it ({ value }, { values }), report an error ({ error }), stop parsing
+ *   ({ halt }) or pick another next state ({ next })
+ * - final state: { final: true, keywords?, next?, clauses?, otherwise? }
+ *   The input may end here, or go on to one of the state's own keywords (as for
+ *   keyword states), or one of the grammar's clauses may start, or the otherwise
+ *   value state read on as for keyword states. A clauses list limits the clauses
+ *   allowed from that state to the end of the input
+ *
+ * A clause is { start, variants? }: the state it starts in, and the values of the
+ * variant field it applies to (all, when not given)
+ *
+ * Any state may also carry set: fields assigned when the state reads a token
+ * Keywords and captures starting with $ are slots, resolved from the grammar's
+ * variants by the value of the variant field (e.g. FROM or TO, by instruction type)
+ *
+ * The result keeps the character span of every clause read (clauseSpans), from its
+ * keyword to its last token, so callers can cut a clause out of the instruction
+ */
+const { locateToken } = require('./tokens');
+
+/**
+ * Resolve a $slot against the variant picked by the tokens read so far
+ */
+function resolveSlot(name, variant) {
+  return name.startsWith('$') ? variant[name.substring(1)] : name;
+}
+
+/**
+ * Run the grammar over the tokens
+ * Returns the captured fields, the token each was read from, and collected errors
+ */
+function runGrammar(grammar, tokens) {
+  let stateName = grammar.start;
+  let index = 0;
+  const openedClauses = new Set();
+  let openClause = null;
+  let allowedClauses = Object.keys(grammar.clauses);
+
+  const result = {
+    ...grammar.initial,
+    positions: {},
+    clauseSpans: {},
+    errors: [],
+  };
+
+  // Errors raised while reading a token point at that token
+  const pushError = (error) => {
+    result.errors.push({ ...error, ...locateToken(tokens, index) });
+  };
+
+  // The variant picked by the tokens read so far
+  const currentVariant = () => grammar.variants[result[grammar.variants.field]] || {};
+
+  /**
+   * Read the token into the value state's field
+   * Returns the next state, or null when the check stops parsing
+   */
+  const readValue = (valueState) => {
+    const token = tokens[index].text;
+    const variant = currentVariant();
+    const position = locateToken(tokens, index);
+    const field = valueState.capture && resolveSlot(valueState.capture, variant);
+    const outcome = valueState.check
+      ? valueState.check(token, result, { position, variant })
+      : { value: token };
+
+    // Remember which token a field came from, for diagnostics
+    if (field) result.positions[field] = position;
+
+    if (outcome.error) {
+      pushError(outcome.error);
+      if (outcome.halt) return null;
+    }
+    if (field && 'value' in outcome) result[field] = outcome.value;
+    if (outcome.values) Object.assign(result, outcome.values);
+
+    return outcome.next || valueState.next;
+  };
+
+  // Whether a state's otherwise value state takes the token
+  const readsOtherwise = (state, token) =>
+    !!state.otherwise && (!state.otherwise.match || state.otherwise.match(token));
+
+  while (index < tokens.length) {
+    const token = tokens[index].text;
+    const tokenUpper = token.toUpperCase();
+    const state = grammar.states[stateName];
+    const variant = currentVariant();
+
+    if (state.set) Object.assign(result, state.set);
+
+    if (state.final) {
+      // The state's own keywords, or the start of another clause, each clause at most once
+      const ownKeywords = (state.keywords || []).map((keyword) => resolveSlot(keyword, variant));
+      if (state.clauses) allowedClauses = state.clauses;
+      const available = allowedClauses.filter(
+        (keyword) =>
+          !openedClauses.has(keyword) &&
+          (!grammar.clauses[keyword].variants ||
+            grammar.clauses[keyword].variants.includes(result[grammar.variants.field]))
+      );
+      if (ownKeywords.includes(tokenUpper)) {
+        stateName = typeof state.next === 'string' ? state.next : state.next[tokenUpper];
+      } else if (available.includes(tokenUpper)) {
+        openedClauses.add(tokenUpper);
+        openClause = tokenUpper;
+        result.clauseSpans[tokenUpper] = { start: tokens[index].start, end: tokens[index].end };
+        stateName = grammar.clauses[tokenUpper].start;
+      } else if (readsOtherwise(state, token)) {
+        stateName = readValue(state.otherwise);
+      } else {
+        pushError({ ...grammar.malformed, expected: [...ownKeywords, ...available] });
+        return result;
+      }
+    } else if (state.keywords) {
+      const keywords = state.keywords.map((keyword) => resolveSlot(keyword, variant));
+
+      if (keywords.includes(tokenUpper)) {
+        if (state.capture) result[resolveSlot(state.capture, variant)] = tokenUpper;
+        stateName = typeof state.next === 'string' ? state.next : state.next[tokenUpper];
+      } else if (readsOtherwise(state, token)) {
+        stateName = readValue(state.otherwise);
+      } else {
+        pushError({ ...state.error, expected: keywords });
+        return result;
+      }
+    } else {
+      stateName = readValue(state);
+    }
+
+    if (stateName === null) return result;
+
+    // Every token up to the next clause belongs to the open one
+    if (openClause) result.clauseSpans[openClause].end = tokens[index].end;
+
+    index += 1;
+  }
+
+  if (!grammar.states[stateName].final && result.errors.length === 0) {
+    pushError(grammar.malformed);
+  }
+
+  return result;
+}
+
+module.exports = runGrammar;
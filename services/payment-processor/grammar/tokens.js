@@ -0,0 +1,57 @@
+/**
+ * Instruction tokenizer, and token positions for diagnostics
+ */
+
+// Position reported for errors that no token can be blamed for
+const NO_POSITION = { token_index: null, start: null, end: null };
+
+/**
+ * Tokenize instruction into words, keeping each word's character offsets
+ * (start inclusive, end exclusive) in the original string
+ * A double-quoted phrase stays one token, quotes included
+ */
+function tokenize(instruction) {
+  const tokens = [];
+  let current = '';
+  let start = 0;
+  let inQuotes = false;
+
+  // eslint-disable-next-line no-plusplus
+  for (let i = 0; i < instruction.length; i++) {
+    const char = instruction[i];
+
+    if (!inQuotes && char.trim() === '') {
+      if (current.length > 0) tokens.push({ text: current, start, end: i });
+      current = '';
+    } else {
+      if (current.length === 0) start = i;
+      if (char === '"') inQuotes = !inQuotes;
+      current += char;
+    }
+  }
+
+  if (current.length > 0) tokens.push({ text: current, start, end: instruction.length });
+
+  return tokens;
+}
+
+/**
+ * Position of a token for diagnostics
+ * Past the last token, points at the end of the instruction (where a word is missing)
+ */
+function locateToken(tokens, index) {
+  const token = tokens[index];
+
+  if (!token) {
+    const end = tokens.length ? tokens[tokens.length - 1].end : 0;
+    return { token_index: null, start: end, end };
+  }
+
+  return { token_index: index, start: token.start, end: token.end };
+}
+
+module.exports = {
+  NO_POSITION,
+  tokenize,
+  locateToken,
+};
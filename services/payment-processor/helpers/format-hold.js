@@ -0,0 +1,17 @@
+/**
+ * Shape a stored hold for API responses
+ */
+function formatHold(hold) {
+  return {
+    id: hold._id,
+    account: hold.account_id,
+    amount: hold.amount,
+    currency: hold.currency,
+    status: hold.status,
+    expires_on: hold.expires_on,
+    captured_amount: hold.captured_amount ?? null,
+    transaction_id: hold.transaction_id || null,
+  };
+}
+
+module.exports = formatHold;
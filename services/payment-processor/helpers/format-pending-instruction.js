@@ -0,0 +1,27 @@
+/**
+ * Shape a stored pending instruction for API responses
+ */
+function formatPendingInstruction(pendingInstruction) {
+  return {
+    id: pendingInstruction._id,
+    instruction: pendingInstruction.instruction,
+    type: pendingInstruction.type,
+    amount: pendingInstruction.amount,
+    currency: pendingInstruction.currency,
+    debit_account: pendingInstruction.debit_account,
+    credit_account: pendingInstruction.credit_account,
+    execute_by: pendingInstruction.execute_by,
+    value_date: pendingInstruction.value_date || pendingInstruction.execute_by,
+    reference: pendingInstruction.reference || null,
+    narration: pendingInstruction.narration || null,
+    status: pendingInstruction.status,
+    status_code: pendingInstruction.status_code,
+    status_reason: pendingInstruction.status_reason,
+    transaction_id: pendingInstruction.transaction_id || null,
+    executed_at: pendingInstruction.executed_at || null,
+    standing_order_id: pendingInstruction.standing_order_id || null,
+    created: pendingInstruction.created,
+  };
+}
+
+module.exports = formatPendingInstruction;
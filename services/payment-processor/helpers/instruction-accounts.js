@@ -0,0 +1,134 @@
+/**
+ * Accounts and funds of a parsed instruction, shared by the parser and its business rules
+ */
+const { PaymentMessages, LedgerMessages } = require('@app/messages');
+const { isKnownScheme, checkAccountId } = require('@app/services/accounts/identifier-schemes');
+const { toMinorUnits, toMajorUnits } = require('@app/services/currency/minor-units');
+const { overdraftMinorOf } = require('@app/services/ledger/helpers/overdraft');
+const { NO_POSITION } = require('../grammar/tokens');
+const STATUS_CODES = require('./status-codes');
+
+/**
+ * Position of the token a parsed field was read from
+ */
+function positionOf(parsed, field) {
+  return parsed.positions[field] || NO_POSITION;
+}
+
+/**
+ * Why an account ID of the instruction is invalid under its identifier scheme, or
+ * null when it is valid. The account's scheme tag, currency and bank code pick the scheme;
+ * IDs of accounts that were not found are read in the instruction's currency
+ */
+function accountIdError(parsed, accounts, id) {
+  const account = accounts.find((a) => a.id === id);
+  const tag = account && account.identifier_scheme;
+
+  if (tag && !isKnownScheme(tag)) {
+    return `${LedgerMessages.UNKNOWN_IDENTIFIER_SCHEME}: ${tag}`;
+  }
+
+  const { reason } = checkAccountId(id, {
+    scheme: tag,
+    currency: account ? account.currency : parsed.currency,
+    bankCode: account && account.bank_code,
+  });
+  return reason ? `${reason}: ${id}` : null;
+}
+
+/**
+ * Side of a split instruction that is split: a DEBIT fans out to several credit
+ * accounts, a CREDIT gathers several debit accounts. Null without shares
+ */
+function splitSide(parsed) {
+  if (!parsed.splits) return null;
+  return parsed.type === 'DEBIT' ? 'credit' : 'debit';
+}
+
+/**
+ * One debit and credit pair per share of a split instruction
+ */
+function splitPairs(parsed) {
+  const side = splitSide(parsed);
+
+  return parsed.splits.map((share) => ({
+    debitAccount: side === 'debit' ? share.account : parsed.debitAccount,
+    creditAccount: side === 'credit' ? share.account : parsed.creditAccount,
+    amount: share.amount,
+  }));
+}
+
+/**
+ * Accounts an instruction names: debit, credit, split shares, then fee
+ */
+function involvedAccountIds(parsed) {
+  const shareAccounts = parsed.splits ? parsed.splits.map((share) => share.account) : [];
+
+  return [
+    ...new Set(
+      [parsed.debitAccount, parsed.creditAccount, ...shareAccounts, parsed.feeAccount].filter(
+        Boolean
+      )
+    ),
+  ];
+}
+
+/**
+ * Amount the debit account pays: its own share when the debit side is split
+ * A release pays nothing; it gives reserved funds back
+ */
+function debitAmountOf(parsed) {
+  if (parsed.type === 'RELEASE') return null;
+  return splitSide(parsed) === 'debit' ? parsed.splits[0].amount : parsed.amount;
+}
+
+/**
+ * Available balance of an account in minor units: its balance less what its holds
+ * reserve, plus its arranged overdraft. A capture can also spend the active hold it draws on
+ */
+function availableMinorOf(account, parsed) {
+  const { hold } = parsed;
+  const drawnMinor =
+    hold && hold.status === 'active' && hold.account_id === account.id
+      ? toMinorUnits(hold.amount, account.currency)
+      : 0;
+
+  return (
+    toMinorUnits(account.balance, account.currency) -
+    toMinorUnits(account.held_amount || 0, account.currency) +
+    overdraftMinorOf(account) +
+    drawnMinor
+  );
+}
+
+/**
+ * Error for a debit its account cannot cover: past the arranged overdraft when the
+ * account has one, plain insufficient funds otherwise.
+ * payer names the account in split messages, where the shares have several
+ */
+function shortfallError(account, parsed, needs, position, payer = '') {
+  const { currency } = account;
+  const overdraftMinor = overdraftMinorOf(account);
+  const available = `${toMajorUnits(availableMinorOf(account, parsed), currency)} ${currency}`;
+  const has = overdraftMinor
+    ? `${available} including a ${toMajorUnits(overdraftMinor, currency)} ${currency} overdraft`
+    : available;
+
+  return {
+    code: overdraftMinor ? STATUS_CODES.OVERDRAFT_EXCEEDED : STATUS_CODES.INSUFFICIENT_FUNDS,
+    message: `${overdraftMinor ? PaymentMessages.OVERDRAFT_EXCEEDED : PaymentMessages.INSUFFICIENT_FUNDS}: ${payer ? `${payer} ` : ''}has ${has}, needs ${needs}`,
+    ...position,
+  };
+}
+
+module.exports = {
+  positionOf,
+  accountIdError,
+  splitSide,
+  splitPairs,
+  involvedAccountIds,
+  debitAmountOf,
+  overdraftMinorOf,
+  availableMinorOf,
+  shortfallError,
+};
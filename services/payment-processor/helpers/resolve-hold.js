@@ -0,0 +1,115 @@
+/**
+ * Resolves HOLD, CAPTURE and RELEASE instructions against the account store.
+ * A hold reserves funds on its account, read as a debit account with no credit side.
+ * A capture runs as a transfer from the held account, drawing on the hold, and a
+ * release gives the hold back; both read the account, currency and amount from the hold
+ */
+const { PaymentMessages } = require('@app/messages');
+const Hold = require('@app/repository/hold');
+const { getMinorUnit } = require('@app/services/currency/currencies');
+const { toMinorUnits, countDecimals } = require('@app/services/currency/minor-units');
+const { today, addDays } = require('@app/services/standing-orders/helpers/schedule');
+const clock = require('@app/services/calendar/helpers/clock');
+const { NO_POSITION } = require('../grammar/tokens');
+const STATUS_CODES = require('./status-codes');
+
+// Days a hold lasts without an EXPIRES clause
+const DEFAULT_HOLD_DAYS = 7;
+
+/**
+ * Check the expiry of a new hold, defaulting it when the instruction gives none
+ */
+function resolveExpiry(parsed, resolved) {
+  const expiresOn = parsed.expiresOn || addDays(today(), DEFAULT_HOLD_DAYS);
+
+  if (expiresOn < today()) {
+    resolved.errors.push({
+      code: STATUS_CODES.INVALID_DATE,
+      message: `${PaymentMessages.HOLD_EXPIRES_IN_PAST}: ${expiresOn}`,
+      ...parsed.positions.expiresOn,
+    });
+  }
+
+  return { ...resolved, expiresOn };
+}
+
+/**
+ * Returns the parsed instruction with its hold's account, currency and amount filled
+ * in, its errors, and hold (the stored hold a capture or release draws on) once found.
+ * options.useStore is false when the caller supplied its own accounts
+ */
+async function resolveHold(parsed, options = {}) {
+  const at = parsed.positions.holdId || parsed.positions.debitAccount || NO_POSITION;
+  const errors = [...parsed.errors];
+  const resolved = { ...parsed, errors, hold: null };
+
+  if (!options.useStore) {
+    errors.push({
+      code: STATUS_CODES.HOLD_NOT_FOUND,
+      message: PaymentMessages.HOLD_NEEDS_STORE,
+      ...at,
+    });
+    return resolved;
+  }
+
+  if (parsed.type === 'HOLD') return resolveExpiry(parsed, resolved);
+
+  if (!parsed.holdId) return resolved;
+
+  const hold = await Hold.findOne({ query: { _id: parsed.holdId } });
+
+  if (!hold) {
+    errors.push({
+      code: STATUS_CODES.HOLD_NOT_FOUND,
+      message: `${PaymentMessages.HOLD_NOT_FOUND}: ${parsed.holdId}`,
+      ...at,
+    });
+    return resolved;
+  }
+
+  resolved.hold = hold;
+  resolved.debitAccount = hold.account_id;
+  resolved.currency = hold.currency;
+  resolved.amount = parsed.type === 'CAPTURE' && parsed.amount ? parsed.amount : hold.amount;
+  resolved.positions = {
+    ...parsed.positions,
+    debitAccount: at,
+    currency: at,
+    amount: parsed.positions.amount || at,
+  };
+
+  const minorUnit = getMinorUnit(hold.currency);
+
+  if (hold.status !== 'active') {
+    errors.push({
+      code: STATUS_CODES.HOLD_NOT_ACTIVE,
+      message: `${PaymentMessages.HOLD_NOT_ACTIVE}: ${hold.status}`,
+      ...at,
+    });
+  } else if (hold.expires_at <= clock.now()) {
+    errors.push({
+      code: STATUS_CODES.HOLD_NOT_ACTIVE,
+      message: `${PaymentMessages.HOLD_EXPIRED}: ${hold.expires_on}`,
+      ...at,
+    });
+  } else if (parsed.amountText && countDecimals(parsed.amountText) > minorUnit) {
+    errors.push({
+      code: STATUS_CODES.INVALID_AMOUNT,
+      message: `${PaymentMessages.INVALID_AMOUNT_PRECISION}: ${hold.currency} allows ${minorUnit}`,
+      ...resolved.positions.amount,
+    });
+  } else if (
+    parsed.amount &&
+    toMinorUnits(parsed.amount, hold.currency) > toMinorUnits(hold.amount, hold.currency)
+  ) {
+    errors.push({
+      code: STATUS_CODES.HOLD_NOT_ACTIVE,
+      message: `${PaymentMessages.CAPTURE_EXCEEDS_HOLD}: ${hold.amount} ${hold.currency}`,
+      ...resolved.positions.amount,
+    });
+  }
+
+  return resolved;
+}
+
+module.exports = resolveHold;
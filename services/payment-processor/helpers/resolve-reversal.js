@@ -0,0 +1,144 @@
+/**
+ * Resolves a REVERSE instruction against the transaction it reverses.
+ * A reversal is the original transfer run backwards: the original's credit account
+ * pays its debit account back, in the original's currencies and at its FX rate,
+ * so the rest of the parser can validate and post it like any other transfer.
+ * The reversal amount reads in the original's debit currency
+ */
+const { PaymentMessages } = require('@app/messages');
+const { getMinorUnit } = require('@app/services/currency/currencies');
+const { toMinorUnits, toMajorUnits, countDecimals } = require('@app/services/currency/minor-units');
+const loadReversibleTransaction = require('@app/services/ledger/load-reversible-transaction');
+const STATUS_CODES = require('./status-codes');
+
+/**
+ * Amount taken back from the original's credit account, in its credit currency.
+ * Cross-currency reversals convert pro rata from the cumulative total, so reversing
+ * in parts returns exactly the original credit once everything is reversed
+ */
+function creditSideMinor(original, requestedMinor) {
+  if (original.currency === original.credit_currency) return requestedMinor;
+
+  const cumulative = Math.round(
+    (original.credit_amount_minor * (original.reversed_amount_minor + requestedMinor)) /
+      original.amount_minor
+  );
+  return cumulative - original.reversed_credit_amount_minor;
+}
+
+/**
+ * Quote for a cross-currency reversal, at the inverse of the original rate
+ */
+function reversalQuote(original, requestedMinor, debitedMinor) {
+  return {
+    from_currency: original.credit_currency,
+    to_currency: original.currency,
+    rate: Number((1 / original.fx_rate).toPrecision(15)),
+    source: 'reversal',
+    amount: toMajorUnits(debitedMinor, original.credit_currency),
+    converted_amount: toMajorUnits(requestedMinor, original.currency),
+    converted_amount_minor: requestedMinor,
+    rounding: 'pro_rata',
+  };
+}
+
+/**
+ * Returns the parsed instruction with the transfer it reverses filled in,
+ * its errors, and reversal (the original it links to) once that is found.
+ * options.useStore is false when the caller supplied its own accounts
+ */
+async function resolveReversal(parsed, options = {}) {
+  const at = parsed.positions.reversalOf;
+  const errors = [...parsed.errors];
+  const resolved = { ...parsed, errors, reversal: null, quote: null };
+
+  if (!parsed.reversalOf) return resolved;
+
+  if (!options.useStore) {
+    errors.push({
+      code: STATUS_CODES.TRANSACTION_NOT_FOUND,
+      message: PaymentMessages.REVERSAL_NEEDS_STORE,
+      ...at,
+    });
+    return resolved;
+  }
+
+  const original = await loadReversibleTransaction({ transaction_id: parsed.reversalOf });
+
+  if (!original) {
+    errors.push({
+      code: STATUS_CODES.TRANSACTION_NOT_FOUND,
+      message: `${PaymentMessages.TRANSACTION_NOT_FOUND}: ${parsed.reversalOf}`,
+      ...at,
+    });
+    return resolved;
+  }
+
+  // The original's credit account pays its debit account back
+  resolved.debitAccount = original.credit_account;
+  resolved.creditAccount = original.debit_account;
+  resolved.currency = original.credit_currency;
+  resolved.positions = {
+    ...parsed.positions,
+    debitAccount: at,
+    creditAccount: at,
+    currency: at,
+    amount: parsed.positions.amount || at,
+  };
+
+  const leftMinor = original.amount_minor - original.reversed_amount_minor;
+  const minorUnit = getMinorUnit(original.currency);
+  let requestedMinor = leftMinor;
+
+  if (original.reversal_of || original.is_split) {
+    const reason = original.reversal_of
+      ? PaymentMessages.REVERSAL_OF_REVERSAL
+      : PaymentMessages.SPLIT_NOT_REVERSIBLE;
+    errors.push({
+      code: STATUS_CODES.TRANSACTION_NOT_FOUND,
+      message: `${reason}: ${parsed.reversalOf}`,
+      ...at,
+    });
+  } else if (parsed.amountText && countDecimals(parsed.amountText) > minorUnit) {
+    errors.push({
+      code: STATUS_CODES.INVALID_AMOUNT,
+      message: `${PaymentMessages.INVALID_AMOUNT_PRECISION}: ${original.currency} allows ${minorUnit}`,
+      ...resolved.positions.amount,
+    });
+  } else if (leftMinor <= 0) {
+    errors.push({
+      code: STATUS_CODES.REVERSAL_EXCEEDS_ORIGINAL,
+      message: `${PaymentMessages.ALREADY_REVERSED}: ${parsed.reversalOf}`,
+      ...at,
+    });
+  } else if (parsed.amount && toMinorUnits(parsed.amount, original.currency) > leftMinor) {
+    requestedMinor = toMinorUnits(parsed.amount, original.currency);
+    errors.push({
+      code: STATUS_CODES.REVERSAL_EXCEEDS_ORIGINAL,
+      message: `${PaymentMessages.REVERSAL_EXCEEDS_ORIGINAL}: ${toMajorUnits(leftMinor, original.currency)} ${original.currency} left of ${original.amount}`,
+      ...resolved.positions.amount,
+    });
+  } else if (parsed.amount) {
+    requestedMinor = toMinorUnits(parsed.amount, original.currency);
+  }
+
+  const debitedMinor = errors.length ? null : creditSideMinor(original, requestedMinor);
+  resolved.amount =
+    debitedMinor === null ? parsed.amount : toMajorUnits(debitedMinor, original.credit_currency);
+
+  if (debitedMinor !== null && original.currency !== original.credit_currency) {
+    resolved.quote = reversalQuote(original, requestedMinor, debitedMinor);
+  }
+
+  resolved.reversal = {
+    transaction_id: original.transaction_id,
+    amount: toMajorUnits(requestedMinor, original.currency),
+    amount_minor: requestedMinor,
+    currency: original.currency,
+    remaining_amount: toMajorUnits(Math.max(leftMinor - requestedMinor, 0), original.currency),
+  };
+
+  return resolved;
+}
+
+module.exports = resolveReversal;
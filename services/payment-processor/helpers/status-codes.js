@@ -0,0 +1,35 @@
+/**
+ * Payment instruction status codes
+ * Error codes are listed by priority: the first one found is reported
+ */
+const STATUS_CODES = {
+  // Success
+  SUCCESSFUL: 'AP00',
+  PENDING: 'AP02',
+  STANDING_ORDER: 'AP03',
+
+  // Errors by priority
+  MALFORMED: 'SY03',
+  MISSING_KEYWORD: 'SY01',
+  INVALID_ORDER: 'SY02',
+  INVALID_AMOUNT: 'AM01',
+  INVALID_ACCOUNT_ID: 'AC04',
+  INVALID_DATE: 'DT01',
+  INVALID_REFERENCE: 'RF01',
+  ACCOUNT_NOT_FOUND: 'AC03',
+  TRANSACTION_NOT_FOUND: 'RV01',
+  HOLD_NOT_FOUND: 'HD01',
+  UNSUPPORTED_CURRENCY: 'CU02',
+  CURRENCY_MISMATCH: 'CU01',
+  SAME_ACCOUNT: 'AC02',
+  BLOCKED_COUNTERPARTY: 'LM03',
+  DUPLICATE_REFERENCE: 'RF02',
+  REVERSAL_EXCEEDS_ORIGINAL: 'RV02',
+  HOLD_NOT_ACTIVE: 'HD02',
+  INSUFFICIENT_FUNDS: 'AC01',
+  OVERDRAFT_EXCEEDED: 'AC05',
+  LIMIT_EXCEEDED: 'LM01',
+  VELOCITY_EXCEEDED: 'LM02',
+};
+
+module.exports = STATUS_CODES;
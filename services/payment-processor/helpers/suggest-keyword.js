@@ -0,0 +1,62 @@
+/**
+ * "Did you mean" matching of a mistyped word against the keywords a parser state expects
+ */
+
+/**
+ * Optimal string alignment distance: insertions, deletions, substitutions and
+ * adjacent transpositions each cost 1 (so FORM -> FROM is one edit)
+ */
+function editDistance(a, b) {
+  const rows = [];
+
+  // eslint-disable-next-line no-plusplus
+  for (let i = 0; i <= a.length; i++) {
+    rows[i] = [i];
+    // eslint-disable-next-line no-plusplus
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i][j] = j;
+      } else {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+/**
+ * Edits tolerated before a word stops looking like a keyword
+ */
+function maxDistance(keyword) {
+  return keyword.length <= 4 ? 1 : 2;
+}
+
+/**
+ * Closest expected keyword to a word, or null when none is close enough
+ * @param {String} word
+ * @param {String[]} expectedKeywords
+ * @returns {String|null}
+ */
+function suggestKeyword(word, expectedKeywords) {
+  const upperWord = word.toUpperCase();
+  let suggestion = null;
+  let bestDistance = Infinity;
+
+  expectedKeywords.forEach((keyword) => {
+    const distance = editDistance(upperWord, keyword);
+    if (distance <= maxDistance(keyword) && distance < bestDistance) {
+      bestDistance = distance;
+      suggestion = keyword;
+    }
+  });
+
+  return suggestion;
+}
+
+module.exports = suggestKeyword;
@@ -0,0 +1,37 @@
+const validator = require('@app-core/validator');
+const PendingInstruction = require('@app/repository/pending-instruction');
+const formatPendingInstruction = require('./helpers/format-pending-instruction');
+
+// Users only see the instructions they booked, user_id
+const spec = `root {
+  user_id string<trim|minLength:1>
+  status? string(pending|processing|successful|failed|cancelled)
+  account_id? string
+  standing_order_id? string
+  limit? number<min:1|max:500>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+async function listPendingInstructions(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const query = { owner_id: data.user_id, status: data.status || 'pending' };
+
+  if (data.account_id) {
+    query.$or = [{ debit_account: data.account_id }, { credit_account: data.account_id }];
+  }
+
+  if (data.standing_order_id) {
+    query.standing_order_id = data.standing_order_id;
+  }
+
+  const pendingInstructions = await PendingInstruction.findMany({
+    query,
+    options: { sort: { due_at: 1, created: 1 }, limit: data.limit || 100 },
+  });
+
+  return pendingInstructions.map(formatPendingInstruction);
+}
+
+module.exports = listPendingInstructions;
@@ -1,487 +1,446 @@
 /**
  * Payment Instruction Parser Service
- * Implements state machine parsing without regex
+ * Implements state machine parsing without regex, driven by the grammar table
  * Follows template conventions: validation first, single exit point
  */
 const validator = require('@app-core/validator');
 const { appLogger } = require('@app-core/logger');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
 const { PaymentMessages } = require('@app/messages');
+const Account = require('@app/repository/account');
+const JournalEntry = require('@app/repository/journal-entry');
+const PendingInstruction = require('@app/repository/pending-instruction');
+const StandingOrder = require('@app/repository/standing-order');
+const postTransaction = require('@app/services/ledger/post-transaction');
+const placeHold = require('@app/services/ledger/place-hold');
+const releaseHold = require('@app/services/ledger/release-hold');
+const getFxQuote = require('@app/services/fx/get-fx-quote');
+const calculateFee = require('@app/services/fees/calculate-fee');
+const evaluateLimits = require('@app/services/limits/evaluate-limits');
+const resolveValueDate = require('@app/services/calendar/resolve-value-date');
+const clock = require('@app/services/calendar/helpers/clock');
+const { SUPPORTED_CURRENCIES } = require('@app/services/currency/currencies');
+const { toMinorUnits, toMajorUnits } = require('@app/services/currency/minor-units');
+const {
+  today,
+  addDays,
+  anchorDay,
+  firstRunDate,
+  toTimestamp,
+} = require('@app/services/standing-orders/helpers/schedule');
+const suggestKeyword = require('./helpers/suggest-keyword');
+const STATUS_CODES = require('./helpers/status-codes');
+const { tokenize } = require('./grammar/tokens');
+const runGrammar = require('./grammar/run-grammar');
+const instructionGrammar = require('./grammar/instruction-grammar');
+const resolveReversal = require('./helpers/resolve-reversal');
+const resolveHold = require('./helpers/resolve-hold');
+const formatHold = require('./helpers/format-hold');
+const {
+  positionOf,
+  splitSide,
+  splitPairs,
+  involvedAccountIds,
+  overdraftMinorOf,
+} = require('./helpers/instruction-accounts');
+const { getRuleSet } = require('./rules');
+const duplicateReference = require('./rules/duplicate-reference');
+
+// Instructions that reserve funds, or act on funds already reserved
+const HOLD_TYPES = ['HOLD', 'CAPTURE', 'RELEASE'];
+
+// Instructions checked against account limits; a hold is checked when it is captured,
+// and reversals and releases only give funds back
+const LIMITED_TYPES = ['DEBIT', 'CREDIT', 'CAPTURE'];
 
 /**
  * VSL spec for input validation
+ * Without accounts, the instruction runs against the account store
+ * An account's held_amount is reserved by holds and cannot be spent
+ * An account may go below zero down to its overdraft_limit, through overdraft_expires_on
+ * identifier_scheme tags the scheme an account's ID is checked against; when unset,
+ * the scheme is inferred from the ID and currency. bank_code is the 3-digit CBN code
+ * a 10-digit NUBAN is checked against
+ * allow_fx lets the credit account hold a different currency, converted at the FX rate
+ * diagnostics adds every collected error, with its position, to the response
+ * tenant picks the business rule set the instruction is checked against
+ * user_id is the authenticated caller; instructions against the account store need one,
+ * and may only move funds out of accounts they own
  */
 const spec = `root {
-  accounts[] {
+  accounts[]? {
     id string
     balance number
     currency string
+    held_amount? number
+    overdraft_limit? number
+    overdraft_expires_on? string
+    identifier_scheme? string<trim|lowercase>
+    bank_code? string<trim>
   }
   instruction string
+  allow_fx? boolean
+  diagnostics? boolean
+  tenant? string
+  user_id? string
 }`;
 
 // Parse spec once at module level for efficiency
 const parsedSpec = validator.parse(spec);
 
-// Supported currencies
-const SUPPORTED_CURRENCIES = ['NGN', 'USD', 'GBP', 'GHS'];
-
-// Status codes mapping
-const STATUS_CODES = {
-  // Success
-  SUCCESSFUL: 'AP00',
-  PENDING: 'AP02',
-
-  // Errors by priority
-  MALFORMED: 'SY03',
-  MISSING_KEYWORD: 'SY01',
-  INVALID_ORDER: 'SY02',
-  INVALID_AMOUNT: 'AM01',
-  INVALID_ACCOUNT_ID: 'AC04',
-  INVALID_DATE: 'DT01',
-  ACCOUNT_NOT_FOUND: 'AC03',
-  UNSUPPORTED_CURRENCY: 'CU02',
-  CURRENCY_MISMATCH: 'CU01',
-  SAME_ACCOUNT: 'AC02',
-  INSUFFICIENT_FUNDS: 'AC01',
-};
-
 /**
- * State machine states
+ * When a dated instruction falls due: the instant of a date-time, else midnight UTC
  */
-const States = {
-  START: 'START',
-  TYPE: 'TYPE',
-  AMOUNT: 'AMOUNT',
-  CURRENCY: 'CURRENCY',
-  FIRST_KEYWORD: 'FIRST_KEYWORD',
-  FIRST_ACCOUNT_KEYWORD: 'FIRST_ACCOUNT_KEYWORD',
-  FIRST_ACCOUNT: 'FIRST_ACCOUNT',
-  FOR: 'FOR',
-  SECOND_TYPE: 'SECOND_TYPE',
-  SECOND_KEYWORD: 'SECOND_KEYWORD',
-  SECOND_ACCOUNT_KEYWORD: 'SECOND_ACCOUNT_KEYWORD',
-  SECOND_ACCOUNT: 'SECOND_ACCOUNT',
-  ON: 'ON',
-  DATE: 'DATE',
-  COMPLETE: 'COMPLETE',
-};
+function executionTimestamp(parsed) {
+  return parsed.executeAt !== null ? parsed.executeAt : toTimestamp(parsed.executeOn);
+}
 
 /**
- * Tokenize instruction into words
+ * Schedule of a standing order: it starts on its date clause when that is in the
+ * future, else tomorrow, as today's occurrences have already been generated
  */
-function tokenize(instruction) {
-  // Normalize whitespace
-  const normalized = instruction.trim().replace(/\s+/g, ' ');
-  return normalized.split(' ').filter((word) => word.length > 0);
+function planRecurrence(parsed) {
+  const startDate =
+    parsed.executeOn && parsed.executeOn > today() ? parsed.executeOn : addDays(today(), 1);
+  const day = anchorDay(parsed.frequency, startDate, parsed.recurrenceDay);
+
+  return {
+    frequency: parsed.frequency,
+    day,
+    start_date: startDate,
+    until: parsed.recurrenceUntil,
+    next_run_date: firstRunDate(startDate, parsed.frequency, day),
+  };
 }
 
 /**
- * Check if account ID has valid characters
- * Allowed: letters, numbers, hyphen, period, at symbol
+ * The instruction each occurrence of a standing order runs: the original without
+ * its recurrence, date and reference clauses, so it executes on the day it is run
+ * and never collides with the reference of an earlier occurrence
  */
-function isValidAccountId(id) {
-  // eslint-disable-next-line no-plusplus
-  for (let i = 0; i < id.length; i++) {
-    const char = id[i];
-    const isLetter = (char >= 'a' && char <= 'z') || (char >= 'A' && char <= 'Z');
-    const isNumber = char >= '0' && char <= '9';
-    const isSpecial = char === '-' || char === '.' || char === '@';
-
-    if (!isLetter && !isNumber && !isSpecial) {
-      return false;
-    }
-  }
-  return true;
+function occurrenceInstruction(instruction, parsed) {
+  return ['EVERY', 'ON', 'REF']
+    .map((keyword) => parsed.clauseSpans[keyword])
+    .filter(Boolean)
+    .sort((a, b) => b.start - a.start)
+    .reduce(
+      (text, span) => `${text.substring(0, span.start).trimEnd()}${text.substring(span.end)}`,
+      instruction
+    )
+    .trim();
 }
 
 /**
- * Validate YYYY-MM-DD format
+ * "Did you mean" corrections for an instruction rejected on a keyword.
+ * Each correction is applied and the instruction parsed again, so later typos
+ * are found too. Offsets in the suggestions refer to the original instruction
  */
-function isValidDateFormat(date) {
-  if (date.length !== 10) return false;
-  if (date[4] !== '-' || date[7] !== '-') return false;
-
-  const year = date.substring(0, 4);
-  const month = date.substring(5, 7);
-  const day = date.substring(8, 10);
-
-  // Check numeric
-  const digits = year + month + day;
-  // eslint-disable-next-line no-plusplus
-  for (let i = 0; i < digits.length; i++) {
-    if (digits[i] < '0' || digits[i] > '9') return false;
+function suggestCorrections(instruction) {
+  const suggestions = [];
+  let corrected = instruction;
+  let shift = 0;
+  let searching = true;
+
+  // Every correction moves the parser past its token, so this ends within the token count
+  while (searching) {
+    const tokens = tokenize(corrected);
+    const keywordError = runGrammar(instructionGrammar, tokens).errors.find((e) => e.expected);
+    const token = keywordError ? tokens[keywordError.token_index] : null;
+    const suggestion = token ? suggestKeyword(token.text, keywordError.expected) : null;
+
+    if (suggestion) {
+      suggestions.push({
+        token_index: keywordError.token_index,
+        start: token.start - shift,
+        end: token.end - shift,
+        found: token.text,
+        suggestion,
+      });
+      corrected = `${corrected.substring(0, token.start)}${suggestion}${corrected.substring(token.end)}`;
+      shift += suggestion.length - token.text.length;
+    } else {
+      searching = false;
+    }
   }
 
-  const monthNum = parseInt(month, 10);
-  const dayNum = parseInt(day, 10);
-
-  return monthNum >= 1 && monthNum <= 12 && dayNum >= 1 && dayNum <= 31;
+  return {
+    suggestions,
+    correctedInstruction: suggestions.length ? corrected : null,
+  };
 }
 
 /**
- * Check if date is future (UTC)
+ * Debits of an instruction as the limit rules see them, each with the accounts it pays
+ * A DEBIT split is one debit to every share account; a CREDIT split debits each share
  */
-function isFutureDate(dateStr) {
-  const now = new Date();
-  const inputDate = new Date(`${dateStr}T00:00:00Z`);
-
-  const nowDate = new Date(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
-  const compareDate = new Date(
-    inputDate.getUTCFullYear(),
-    inputDate.getUTCMonth(),
-    inputDate.getUTCDate()
-  );
-
-  return compareDate > nowDate;
+function limitedDebitsOf(parsed) {
+  if (splitSide(parsed) === 'debit') {
+    return splitPairs(parsed).map((pair) => ({
+      account_id: pair.debitAccount,
+      counterparty_account_ids: [pair.creditAccount].filter(Boolean),
+      amount: pair.amount,
+    }));
+  }
+
+  const counterparties = parsed.splits
+    ? splitPairs(parsed).map((pair) => pair.creditAccount)
+    : [parsed.creditAccount];
+
+  return [
+    {
+      account_id: parsed.debitAccount,
+      counterparty_account_ids: counterparties.filter(Boolean),
+      amount: parsed.amount,
+    },
+  ];
 }
 
 /**
- * State machine parser
- * Returns parsed data with collected errors
+ * Account snapshot with the overdraft it uses, for accounts with an arranged
+ * overdraft or a balance below zero
  */
-function parseWithStateMachine(tokens) {
-  let state = States.START;
-  let index = 0;
-
-  const result = {
-    type: null,
-    amount: null,
-    currency: null,
-    debitAccount: null,
-    creditAccount: null,
-    executeBy: null,
-    errors: [],
-  };
+function withOverdraft(snapshot, account) {
+  const overdraftMinor = overdraftMinorOf(account);
 
-  /**
-   * Process each token based on current state
-   */
-  while (index < tokens.length && state !== States.COMPLETE) {
-    const token = tokens[index];
-    const tokenUpper = token.toUpperCase();
-
-    switch (state) {
-      case States.START:
-        // Expect DEBIT or CREDIT
-        if (tokenUpper === 'DEBIT' || tokenUpper === 'CREDIT') {
-          result.type = tokenUpper;
-          state = States.TYPE;
-        } else {
-          result.errors.push({
-            code: STATUS_CODES.MISSING_KEYWORD,
-            message: PaymentMessages.MISSING_KEYWORD,
-          });
-          return result;
-        }
-        break;
-
-      case States.TYPE: {
-        // Expect amount
-        const amount = parseInt(token, 10);
-        if (token.includes('.')) {
-          result.errors.push({
-            code: STATUS_CODES.INVALID_AMOUNT,
-            message: PaymentMessages.INVALID_AMOUNT,
-          });
-        } else if (Number.isNaN(amount) || amount <= 0) {
-          result.errors.push({
-            code: STATUS_CODES.INVALID_AMOUNT,
-            message: PaymentMessages.INVALID_AMOUNT,
-          });
-        } else {
-          result.amount = amount;
-        }
-        state = States.AMOUNT;
-        break;
-      }
+  if (!overdraftMinor && snapshot.balance_minor >= 0) return snapshot;
 
-      case States.AMOUNT:
-        // Expect currency
-        result.currency = tokenUpper;
-        state = States.CURRENCY;
-        break;
-
-      case States.CURRENCY: {
-        // Expect FROM (for DEBIT) or TO (for CREDIT)
-        const expectedFirst = result.type === 'DEBIT' ? 'FROM' : 'TO';
-        if (tokenUpper === expectedFirst) {
-          state = States.FIRST_KEYWORD;
-        } else {
-          result.errors.push({
-            code: STATUS_CODES.INVALID_ORDER,
-            message: PaymentMessages.INVALID_KEYWORD_ORDER,
-          });
-          return result;
-        }
-        break;
-      }
+  return {
+    ...snapshot,
+    overdraft_limit: toMajorUnits(overdraftMinor, account.currency),
+    overdraft_used: toMajorUnits(Math.max(0, -snapshot.balance_minor), account.currency),
+  };
+}
 
-      case States.FIRST_KEYWORD:
-        // Expect ACCOUNT
-        if (tokenUpper === 'ACCOUNT') {
-          state = States.FIRST_ACCOUNT_KEYWORD;
-        } else {
-          result.errors.push({
-            code: STATUS_CODES.MISSING_KEYWORD,
-            message: PaymentMessages.MISSING_KEYWORD,
-          });
-          return result;
-        }
-        break;
-
-      case States.FIRST_ACCOUNT_KEYWORD:
-        // Get account ID (case-sensitive)
-        if (result.type === 'DEBIT') {
-          result.debitAccount = token;
-        } else {
-          result.creditAccount = token;
-        }
-        state = States.FIRST_ACCOUNT;
-        break;
-
-      case States.FIRST_ACCOUNT:
-        // Expect FOR
-        if (tokenUpper === 'FOR') {
-          state = States.FOR;
-        } else {
-          result.errors.push({
-            code: STATUS_CODES.MISSING_KEYWORD,
-            message: PaymentMessages.MISSING_KEYWORD,
-          });
-          return result;
-        }
-        break;
-
-      case States.FOR: {
-        // Expect CREDIT (for DEBIT) or DEBIT (for CREDIT)
-        const expectedSecondType = result.type === 'DEBIT' ? 'CREDIT' : 'DEBIT';
-        if (tokenUpper === expectedSecondType) {
-          state = States.SECOND_TYPE;
-        } else {
-          result.errors.push({
-            code: STATUS_CODES.INVALID_ORDER,
-            message: PaymentMessages.INVALID_KEYWORD_ORDER,
-          });
-          return result;
-        }
-        break;
-      }
+/**
+ * Validate business rules and collect all errors
+ * Runs every rule of options.ruleSet that applies, in order; the other options are
+ * what the parser priced and looked up for the rules:
+ * A cross-currency pair is only allowed when FX mode found a rate for it (options.fxQuote)
+ * A fee clause needs a priced fee (options.fee) and a fee account in the debit currency
+ * options.referenceTaken flags a reference the debit account has already used
+ * options.recurrence is the schedule of a standing order, which must run at least once
+ * options.valueDate is where the currency's calendar puts a dated instruction
+ */
+function validateBusinessRules(parsed, accounts, options = {}) {
+  const {
+    ruleSet,
+    allowFx = false,
+    fxQuote = null,
+    fee = null,
+    referenceTaken = false,
+    recurrence = null,
+    valueDate = null,
+  } = options;
+  const errors = [...parsed.errors];
 
-      case States.SECOND_TYPE: {
-        // Expect TO (for DEBIT) or FROM (for CREDIT)
-        const expectedSecond = result.type === 'DEBIT' ? 'TO' : 'FROM';
-        if (tokenUpper === expectedSecond) {
-          state = States.SECOND_KEYWORD;
-        } else {
-          result.errors.push({
-            code: STATUS_CODES.INVALID_ORDER,
-            message: PaymentMessages.INVALID_KEYWORD_ORDER,
-          });
-          return result;
-        }
-        break;
-      }
+  const debitAccount = accounts.find((a) => a.id === parsed.debitAccount);
+  const creditAccount = accounts.find((a) => a.id === parsed.creditAccount);
+  const feeAccount = parsed.feeAccount && accounts.find((a) => a.id === parsed.feeAccount);
 
-      case States.SECOND_KEYWORD:
-        // Expect ACCOUNT
-        if (tokenUpper === 'ACCOUNT') {
-          state = States.SECOND_ACCOUNT_KEYWORD;
-        } else {
-          result.errors.push({
-            code: STATUS_CODES.MISSING_KEYWORD,
-            message: PaymentMessages.MISSING_KEYWORD,
-          });
-          return result;
-        }
-        break;
-
-      case States.SECOND_ACCOUNT_KEYWORD:
-        // Get second account ID (case-sensitive)
-        if (result.type === 'DEBIT') {
-          result.creditAccount = token;
-        } else {
-          result.debitAccount = token;
-        }
-        state = States.SECOND_ACCOUNT;
-        break;
-
-      case States.SECOND_ACCOUNT:
-        // Check for optional ON
-        if (tokenUpper === 'ON') {
-          state = States.ON;
-        } else {
-          // Unexpected token
-          result.errors.push({
-            code: STATUS_CODES.MALFORMED,
-            message: PaymentMessages.MALFORMED_INSTRUCTION,
-          });
-          return result;
-        }
-        break;
-
-      case States.ON:
-        // Get date
-        if (isValidDateFormat(token)) {
-          result.executeBy = token;
-        } else {
-          result.errors.push({
-            code: STATUS_CODES.INVALID_DATE,
-            message: PaymentMessages.INVALID_DATE_FORMAT,
-          });
-        }
-        state = States.DATE;
-        break;
-
-      case States.DATE:
-        // Should be complete, extra tokens
-        result.errors.push({
-          code: STATUS_CODES.MALFORMED,
-          message: PaymentMessages.MALFORMED_INSTRUCTION,
-        });
-        return result;
+  const context = {
+    parsed,
+    accounts,
+    debitAccount,
+    creditAccount,
+    feeAccount,
+    allowFx,
+    fxQuote,
+    fee,
+    referenceTaken,
+    recurrence,
+    valueDate,
+  };
 
-      default:
-        // Unknown state
-        result.errors.push({
-          code: STATUS_CODES.MALFORMED,
-          message: PaymentMessages.MALFORMED_INSTRUCTION,
-        });
-        return result;
+  ruleSet.rules.forEach((rule) => {
+    if (!rule.appliesTo || rule.appliesTo(context)) {
+      errors.push(...rule.check(context));
     }
+  });
 
-    index++;
-  }
+  return {
+    errors,
+    debitAccount,
+    creditAccount,
+  };
+}
 
-  // Check if we completed successfully
-  if (state === States.SECOND_ACCOUNT || state === States.DATE) {
-    state = States.COMPLETE;
+/**
+ * Load the accounts an instruction refers to from the account store
+ * Shaped like client-supplied accounts, in debit, credit, split share, fee order
+ */
+async function loadStoredAccounts(parsed) {
+  const ids = involvedAccountIds(parsed);
+  let accounts = [];
+
+  if (ids.length) {
+    const storedAccounts = await Account.findMany({ query: { account_id: { $in: ids } } });
+
+    accounts = ids
+      .map((id) => storedAccounts.find((account) => account.account_id === id))
+      .filter(Boolean)
+      .map((account) => ({
+        id: account.account_id,
+        balance: account.balance,
+        currency: account.currency,
+        held_amount: account.held_amount || 0,
+        overdraft_limit: toMajorUnits(overdraftMinorOf(account), account.currency),
+        identifier_scheme: account.identifier_scheme,
+        bank_code: account.bank_code,
+        owner_id: account.owner_id,
+      }));
   }
 
-  if (state !== States.COMPLETE) {
-    if (result.errors.length === 0) {
-      result.errors.push({
-        code: STATUS_CODES.MALFORMED,
-        message: PaymentMessages.MALFORMED_INSTRUCTION,
+  return accounts;
+}
+
+/**
+ * Quote the conversion for a cross-currency instruction in FX mode
+ * Returns null for same-currency pairs and pairs without a rate
+ */
+async function quoteCrossCurrency(parsed, accounts) {
+  const debitAccount = accounts.find((a) => a.id === parsed.debitAccount);
+  const creditAccount = accounts.find((a) => a.id === parsed.creditAccount);
+  let quote = null;
+
+  if (debitAccount && creditAccount && parsed.amount) {
+    const fromCurrency = debitAccount.currency.toUpperCase();
+    const toCurrency = creditAccount.currency.toUpperCase();
+
+    if (
+      fromCurrency !== toCurrency &&
+      SUPPORTED_CURRENCIES.includes(fromCurrency) &&
+      SUPPORTED_CURRENCIES.includes(toCurrency)
+    ) {
+      quote = await getFxQuote({
+        from_currency: fromCurrency,
+        to_currency: toCurrency,
+        amount: parsed.amount,
       });
     }
   }
 
-  return result;
+  return quote;
 }
 
 /**
- * Validate business rules and collect all errors
+ * Check whether the debit account already used a client reference, on an
+ * executed transfer or on one still waiting to execute.
+ * excludePendingId skips the pending instruction that is itself being executed
  */
-function validateBusinessRules(parsed, accounts) {
-  const errors = [...parsed.errors];
-
-  // Validate account ID formats
-  if (parsed.debitAccount && !isValidAccountId(parsed.debitAccount)) {
-    errors.push({
-      code: STATUS_CODES.INVALID_ACCOUNT_ID,
-      message: `${PaymentMessages.INVALID_ACCOUNT_ID}: ${parsed.debitAccount}`,
-    });
-  }
-
-  if (parsed.creditAccount && !isValidAccountId(parsed.creditAccount)) {
-    errors.push({
-      code: STATUS_CODES.INVALID_ACCOUNT_ID,
-      message: `${PaymentMessages.INVALID_ACCOUNT_ID}: ${parsed.creditAccount}`,
-    });
-  }
-
-  // Check same account
-  if (parsed.debitAccount === parsed.creditAccount) {
-    errors.push({
-      code: STATUS_CODES.SAME_ACCOUNT,
-      message: PaymentMessages.SAME_ACCOUNT_ERROR,
-    });
-  }
+async function isReferenceTaken(parsed, excludePendingId) {
+  const executed = await JournalEntry.findOne({
+    query: { account_id: parsed.debitAccount, entry_type: 'debit', reference: parsed.reference },
+  });
 
-  // Validate currency support
-  if (parsed.currency && !SUPPORTED_CURRENCIES.includes(parsed.currency)) {
-    errors.push({
-      code: STATUS_CODES.UNSUPPORTED_CURRENCY,
-      message: PaymentMessages.UNSUPPORTED_CURRENCY,
-    });
+  const pendingQuery = {
+    debit_account: parsed.debitAccount,
+    reference: parsed.reference,
+    status: { $in: ['pending', 'processing'] },
+  };
+  if (excludePendingId) {
+    pendingQuery._id = { $ne: excludePendingId };
   }
 
-  // Find accounts
-  const debitAccount = accounts.find((a) => a.id === parsed.debitAccount);
-  const creditAccount = accounts.find((a) => a.id === parsed.creditAccount);
+  const pending = await PendingInstruction.findOne({ query: pendingQuery });
 
-  if (parsed.debitAccount && !debitAccount) {
-    errors.push({
-      code: STATUS_CODES.ACCOUNT_NOT_FOUND,
-      message: `${PaymentMessages.ACCOUNT_NOT_FOUND}: ${parsed.debitAccount}`,
-    });
-  }
+  return !!(executed || pending);
+}
 
-  if (parsed.creditAccount && !creditAccount) {
-    errors.push({
-      code: STATUS_CODES.ACCOUNT_NOT_FOUND,
-      message: `${PaymentMessages.ACCOUNT_NOT_FOUND}: ${parsed.creditAccount}`,
-    });
+/**
+ * Price the fee of an instruction with a fee clause
+ * An explicit amount wins over the currency's fee schedule; null when neither applies
+ */
+async function priceFee(parsed) {
+  let fee = null;
+
+  if (parsed.feeAmount) {
+    fee = {
+      amount: parsed.feeAmount,
+      amount_minor: toMinorUnits(parsed.feeAmount, parsed.currency),
+      source: 'instruction',
+    };
+  } else if (
+    parsed.hasFeeClause &&
+    parsed.amount &&
+    SUPPORTED_CURRENCIES.includes(parsed.currency)
+  ) {
+    const scheduled = await calculateFee({ currency: parsed.currency, amount: parsed.amount });
+
+    if (scheduled) {
+      fee = {
+        amount: scheduled.amount,
+        amount_minor: scheduled.amount_minor,
+        source: 'schedule',
+        schedule: scheduled.schedule,
+      };
+    }
   }
 
-  // Validate if accounts exist
-  if (debitAccount && creditAccount) {
-    // Currency mismatch between accounts
-    if (debitAccount.currency !== creditAccount.currency) {
-      errors.push({
-        code: STATUS_CODES.CURRENCY_MISMATCH,
-        message: PaymentMessages.CURRENCY_MISMATCH,
-      });
-    }
+  return fee;
+}
 
-    // Currency mismatch with instruction
-    if (parsed.currency && debitAccount.currency.toUpperCase() !== parsed.currency) {
-      errors.push({
-        code: STATUS_CODES.CURRENCY_MISMATCH,
-        message: `Currency mismatch: instruction says ${parsed.currency} but account has ${debitAccount.currency.toUpperCase()}`,
-      });
-    }
+/**
+ * Minor-unit equivalent of a parsed amount, null when there is no amount to convert
+ */
+function amountInMinorUnits(parsed) {
+  return parsed.amount && parsed.currency ? toMinorUnits(parsed.amount, parsed.currency) : null;
+}
 
-    // Insufficient funds
-    if (parsed.amount && debitAccount.balance < parsed.amount) {
-      errors.push({
-        code: STATUS_CODES.INSUFFICIENT_FUNDS,
-        message: `${PaymentMessages.INSUFFICIENT_FUNDS}: has ${debitAccount.balance} ${debitAccount.currency}, needs ${parsed.amount}`,
-      });
+/**
+ * Failed response for an instruction that parsed: its parsed values, with the
+ * accounts it involves as they were
+ */
+function rejectedResponse(parsed, accounts, error) {
+  const involvedIds = involvedAccountIds(parsed);
+  const involvedAccounts = [];
+  accounts.forEach((account) => {
+    if (involvedIds.includes(account.id)) {
+      involvedAccounts.push(
+        withOverdraft(
+          {
+            id: account.id,
+            balance: account.balance,
+            balance_minor: toMinorUnits(account.balance, account.currency),
+            balance_before: account.balance,
+            available_balance: toMajorUnits(
+              toMinorUnits(account.balance, account.currency) -
+                toMinorUnits(account.held_amount || 0, account.currency),
+              account.currency
+            ),
+            currency: account.currency.toUpperCase(),
+          },
+          account
+        )
+      );
     }
-  }
+  });
 
   return {
-    errors,
-    debitAccount,
-    creditAccount,
+    type: parsed.type,
+    amount: parsed.amount,
+    amount_minor: amountInMinorUnits(parsed),
+    currency: parsed.currency,
+    debit_account: parsed.debitAccount,
+    credit_account: parsed.creditAccount,
+    execute_by: parsed.executeBy,
+    reference: parsed.reference,
+    narration: parsed.narration,
+    status: 'failed',
+    status_reason: error.message,
+    status_code: error.code,
+    accounts: involvedAccounts,
   };
 }
 
 /**
- * Prioritize errors - return most important
- * Priority: Syntax > Format > Not Found > Currency > Business
+ * Prioritize errors - return most important, by the priorities of the rule set
  */
-function selectPrimaryError(errors) {
-  const priority = {
-    SY03: 1,
-    SY01: 2,
-    SY02: 3,
-    AM01: 4,
-    AC04: 5,
-    DT01: 6,
-    AC03: 7,
-    CU02: 8,
-    CU01: 9,
-    AC02: 10,
-    AC01: 11,
-  };
-
+function selectPrimaryError(errors, priorities) {
   let primaryError = null;
   let lowestPriority = 999;
 
   errors.forEach((error) => {
-    const p = priority[error.code] || 999;
+    const p = priorities[error.code] ?? 999;
     if (p < lowestPriority) {
       lowestPriority = p;
       primaryError = error;
@@ -491,23 +450,44 @@ function selectPrimaryError(errors) {
   return primaryError;
 }
 
+/**
+ * Every error for diagnostics mode, most important first
+ */
+function describeErrors(errors, priorities) {
+  return [...errors]
+    .sort((a, b) => (priorities[a.code] ?? 999) - (priorities[b.code] ?? 999))
+    .map((error) => ({
+      code: error.code,
+      message: error.message,
+      token_index: error.token_index ?? null,
+      start: error.start ?? null,
+      end: error.end ?? null,
+    }));
+}
+
 /**
  * Main service function
  * Template convention: (serviceData, options = {})
  */
-async function parseInstruction(serviceData) {
+async function parseInstruction(serviceData, options = {}) {
   // Single variable for return
   let response;
 
+  // Every error found, reported in diagnostics mode
+  let collectedErrors = [];
+
   // Validation first (template requirement)
   const data = validator.validate(serviceData, parsedSpec);
 
+  // Business rules the tenant's product runs
+  const ruleSet = getRuleSet(data.tenant);
+
   try {
     // Log the operation
     appLogger.info(
       {
         instruction: data.instruction,
-        accounts: data.accounts.length,
+        accounts: data.accounts ? data.accounts.length : 'store',
       },
       'parse-instruction-start'
     );
@@ -516,14 +496,119 @@ async function parseInstruction(serviceData) {
     const tokens = tokenize(data.instruction);
 
     // Parse with state machine
-    const parsed = parseWithStateMachine(tokens);
+    let parsed = runGrammar(instructionGrammar, tokens);
+
+    // Client-supplied accounts, or the stored ones the instruction refers to
+    const useStore = !data.accounts;
+
+    // Stored balances only move for an authenticated user; the worker re-runs pending
+    // instructions checked when they were booked
+    const checksOwner = useStore && !options.pendingInstructionId;
+    if (checksOwner && !data.user_id) {
+      throwAppError(PaymentMessages.STORE_REQUIRES_AUTH, ERROR_CODE.NOAUTHERR);
+    }
+
+    // A reversal runs as the transfer it reverses, backwards
+    if (parsed.type === 'REVERSE') {
+      parsed = await resolveReversal(parsed, { useStore });
+    }
+
+    // Holds reserve funds on the stored accounts; captures and releases use them
+    if (HOLD_TYPES.includes(parsed.type)) {
+      parsed = await resolveHold(parsed, { useStore });
+    }
+
+    const accounts = useStore ? await loadStoredAccounts(parsed) : data.accounts;
+
+    // Funds only leave accounts the user owns: a reversal debits the account the original
+    // transfer credited, and a capture the account the hold is on
+    if (checksOwner) {
+      limitedDebitsOf(parsed).forEach((debit) => {
+        const account = accounts.find((a) => a.id === debit.account_id);
+        if (account && account.owner_id !== data.user_id) {
+          throwAppError(
+            `${PaymentMessages.DEBIT_ACCOUNT_NOT_OWNED}: ${debit.account_id}`,
+            ERROR_CODE.PERMERR
+          );
+        }
+      });
+    }
+
+    // FX mode: price the credit leg before the currency rules run
+    // Cross-currency reversals convert back at the original rate instead;
+    // split payments move one currency only
+    const allowFx = !!data.allow_fx && !parsed.splits;
+    let fxQuote = parsed.quote || null;
+    if (allowFx && !fxQuote) {
+      fxQuote = await quoteCrossCurrency(parsed, accounts);
+    }
+
+    // Fee clause: price the fee so funds are checked against amount plus fee
+    const fee = await priceFee(parsed);
+
+    // References are unique per debit account wherever transfers are persisted
+    const referenceTaken =
+      useStore && parsed.reference && parsed.debitAccount
+        ? await isReferenceTaken(parsed, options.pendingInstructionId)
+        : false;
+
+    // A recurrence clause makes the instruction a standing order
+    const recurrence = parsed.frequency ? planRecurrence(parsed) : null;
+
+    // A date clause settles on a business day of the currency, a past one from today in
+    // the currency's timezone; pending instructions were placed on theirs when booked
+    const valueDate =
+      parsed.executeOn &&
+      !recurrence &&
+      !options.pendingInstructionId &&
+      SUPPORTED_CURRENCIES.includes(parsed.currency)
+        ? await resolveValueDate({
+            currency: parsed.currency,
+            date: parsed.executeOn,
+            at: parsed.executeAt !== null ? parsed.executeAt : undefined,
+          })
+        : null;
 
     // Validate business rules
-    const validation = validateBusinessRules(parsed, data.accounts);
+    const validation = validateBusinessRules(parsed, accounts, {
+      ruleSet,
+      allowFx,
+      fxQuote,
+      fee,
+      referenceTaken,
+      recurrence,
+      valueDate,
+    });
+
+    // Dated instructions wait for their value date; without a calendar, until they fall
+    // due by the clock. The worker only re-runs pending instructions that are due, so
+    // a re-run never waits again
+    const dueAt = valueDate ? valueDate.due_at : parsed.executeOn && executionTimestamp(parsed);
+    const isPending =
+      !recurrence &&
+      !options.pendingInstructionId &&
+      (valueDate ? !valueDate.runs_now : !!parsed.executeOn && dueAt > clock.now());
+
+    // Tiered limits on the stored debit accounts, for transfers that run now;
+    // scheduled ones are checked when they execute
+    if (useStore && !recurrence && !isPending && LIMITED_TYPES.includes(parsed.type)) {
+      const debits = limitedDebitsOf(parsed).filter((debit) => debit.account_id && debit.amount);
+      const violations = debits.length ? await evaluateLimits({ debits }) : [];
+
+      violations.forEach((violation) => {
+        validation.errors.push({
+          code: violation.code,
+          message: violation.message,
+          ...positionOf(parsed, violation.field === 'counterparty' ? 'creditAccount' : 'amount'),
+        });
+      });
+    }
+
+    collectedErrors = validation.errors;
 
     // Check for errors
     if (validation.errors.length > 0) {
-      const error = selectPrimaryError(validation.errors);
+      const error = selectPrimaryError(validation.errors, ruleSet.priorities);
 
       // Build error response
       if (
@@ -531,101 +616,329 @@ async function parseInstruction(serviceData) {
         error.code === STATUS_CODES.MISSING_KEYWORD ||
         error.code === STATUS_CODES.INVALID_ORDER
       ) {
-        // Unparseable - return nulls
+        // Unparseable - return nulls, with "did you mean" keyword corrections
+        const { suggestions, correctedInstruction } = suggestCorrections(data.instruction);
+
         response = {
           type: null,
           amount: null,
+          amount_minor: null,
           currency: null,
           debit_account: null,
           credit_account: null,
           execute_by: null,
+          reference: null,
+          narration: null,
           status: 'failed',
           status_reason: error.message,
           status_code: error.code,
           accounts: [],
+          suggestions,
+          corrected_instruction: correctedInstruction,
         };
       } else {
         // Parseable but invalid - return parsed values
-        const involvedAccounts = [];
-        data.accounts.forEach((account) => {
-          if (account.id === parsed.debitAccount || account.id === parsed.creditAccount) {
-            involvedAccounts.push({
-              id: account.id,
-              balance: account.balance,
-              balance_before: account.balance,
-              currency: account.currency.toUpperCase(),
-            });
-          }
-        });
-
-        response = {
-          type: parsed.type,
-          amount: parsed.amount,
-          currency: parsed.currency,
-          debit_account: parsed.debitAccount,
-          credit_account: parsed.creditAccount,
-          execute_by: parsed.executeBy,
-          status: 'failed',
-          status_reason: error.message,
-          status_code: error.code,
-          accounts: involvedAccounts,
-        };
+        response = rejectedResponse(parsed, accounts, error);
       }
 
       appLogger.warn({ error }, 'parse-instruction-failed');
     } else {
-      // Success - execute transaction
-      const isPending = parsed.executeBy && isFutureDate(parsed.executeBy);
+      // Success - execute transaction, or hold it for a later date or for every run date
+      const isDeferred = isPending || !!recurrence;
+
+      // Cross-currency transfers credit the converted amount
+      const creditAmount = fxQuote ? fxQuote.converted_amount : parsed.amount;
+
+      // Balances move in integer minor units, then convert back for display
+      const amountMinor = amountInMinorUnits(parsed);
+      const creditAmountMinor = fxQuote ? fxQuote.converted_amount_minor : amountMinor;
+
+      const feeMinor = fee ? fee.amount_minor : 0;
+
+      // Net movement per account; the fee account may also be a credit account
+      const movements = {};
+      const move = (accountId, minor) => {
+        movements[accountId] = (movements[accountId] || 0) + minor;
+      };
+
+      // Holds and releases leave the balance alone and change what is reserved;
+      // a capture gives back the whole hold it draws on, whatever it captures
+      const movesBalance = parsed.type !== 'HOLD' && parsed.type !== 'RELEASE';
+      const heldChanges = {};
+      if (parsed.type === 'HOLD') {
+        heldChanges[parsed.debitAccount] = amountMinor;
+      } else if (parsed.hold) {
+        heldChanges[parsed.debitAccount] = -toMinorUnits(parsed.hold.amount, parsed.currency);
+      }
+
+      if (!movesBalance) {
+        move(parsed.debitAccount, 0);
+      } else if (parsed.splits) {
+        splitPairs(parsed).forEach((pair) => {
+          const shareMinor = toMinorUnits(pair.amount, parsed.currency);
+          move(pair.debitAccount, -shareMinor);
+          move(pair.creditAccount, shareMinor);
+        });
+      } else {
+        move(parsed.debitAccount, -amountMinor);
+        move(parsed.creditAccount, creditAmountMinor);
+      }
+      if (fee) {
+        move(parsed.debitAccount, -feeMinor);
+        move(parsed.feeAccount, feeMinor);
+      }
 
       // Build accounts maintaining input order
       const processedAccounts = [];
-      data.accounts.forEach((account) => {
-        if (account.id === validation.debitAccount.id) {
-          processedAccounts.push({
-            id: account.id,
-            balance: isPending ? account.balance : account.balance - parsed.amount,
-            balance_before: account.balance,
-            currency: account.currency.toUpperCase(),
-          });
-        } else if (account.id === validation.creditAccount.id) {
-          processedAccounts.push({
-            id: account.id,
-            balance: isPending ? account.balance : account.balance + parsed.amount,
-            balance_before: account.balance,
-            currency: account.currency.toUpperCase(),
-          });
-        }
+      accounts.forEach((account) => {
+        const movement = movements[account.id];
+        if (movement === undefined) return;
+
+        const balanceBeforeMinor = toMinorUnits(account.balance, account.currency);
+        const balanceMinor = isDeferred ? balanceBeforeMinor : balanceBeforeMinor + movement;
+        const heldMinor =
+          toMinorUnits(account.held_amount || 0, account.currency) + (heldChanges[account.id] || 0);
+
+        processedAccounts.push(
+          withOverdraft(
+            {
+              id: account.id,
+              balance: toMajorUnits(balanceMinor, account.currency),
+              balance_minor: balanceMinor,
+              balance_before: account.balance,
+              available_balance: toMajorUnits(balanceMinor - heldMinor, account.currency),
+              currency: account.currency.toUpperCase(),
+            },
+            account
+          )
+        );
       });
 
       response = {
         type: parsed.type,
         amount: parsed.amount,
+        amount_minor: amountMinor,
         currency: parsed.currency,
         debit_account: parsed.debitAccount,
         credit_account: parsed.creditAccount,
         execute_by: parsed.executeBy,
-        status: isPending ? 'pending' : 'successful',
-        status_reason: isPending
-          ? PaymentMessages.TRANSACTION_PENDING
-          : PaymentMessages.TRANSACTION_SUCCESSFUL,
-        status_code: isPending ? STATUS_CODES.PENDING : STATUS_CODES.SUCCESSFUL,
+        reference: parsed.reference,
+        narration: parsed.narration,
+        status: 'successful',
+        status_reason: PaymentMessages.TRANSACTION_SUCCESSFUL,
+        status_code: STATUS_CODES.SUCCESSFUL,
         accounts: processedAccounts,
       };
 
-      appLogger.info({ status: response.status }, 'parse-instruction-success');
+      if (valueDate) {
+        response.value_date = valueDate.value_date;
+      }
+
+      if (isPending) {
+        response.status = 'pending';
+        response.status_reason = PaymentMessages.TRANSACTION_PENDING;
+        response.status_code = STATUS_CODES.PENDING;
+      }
+
+      if (parsed.type === 'HOLD') response.status_reason = PaymentMessages.FUNDS_HELD;
+      if (parsed.type === 'RELEASE') response.status_reason = PaymentMessages.HOLD_RELEASED;
+
+      if (recurrence) {
+        response.status = 'scheduled';
+        response.status_reason = PaymentMessages.STANDING_ORDER_SCHEDULED;
+        response.status_code = STATUS_CODES.STANDING_ORDER;
+        response.recurrence = recurrence;
+      }
+
+      if (fee) {
+        response.fee = {
+          amount: fee.amount,
+          amount_minor: fee.amount_minor,
+          currency: parsed.currency,
+          account: parsed.feeAccount,
+          source: fee.source,
+        };
+        if (fee.schedule) response.fee.schedule = fee.schedule;
+      }
+
+      if (fxQuote) {
+        response.fx = {
+          from_currency: fxQuote.from_currency,
+          to_currency: fxQuote.to_currency,
+          rate: fxQuote.rate,
+          converted_amount: fxQuote.converted_amount,
+          converted_amount_minor: fxQuote.converted_amount_minor,
+          rounding: fxQuote.rounding,
+          source: fxQuote.source,
+        };
+      }
+
+      // The reference lookup can race another request using the same one; the unique
+      // reference indexes on journal entries and pending instructions let only one write
+      // through, and the other fails as if the lookup had seen it
+      try {
+        // Record the executed transfer against the stored balances
+        if (useStore && !isDeferred && movesBalance) {
+          const posting = await postTransaction({
+            debit_account: parsed.debitAccount,
+            credit_account: parsed.creditAccount,
+            amount: parsed.amount,
+            currency: parsed.currency,
+            credit_amount: creditAmount,
+            credit_currency: validation.creditAccount.currency.toUpperCase(),
+            fx_rate: fxQuote ? fxQuote.rate : undefined,
+            fee_amount: fee ? fee.amount : undefined,
+            fee_account: fee ? parsed.feeAccount : undefined,
+            reference: parsed.reference || undefined,
+            narration: parsed.narration || undefined,
+            reversal_of: parsed.reversal ? parsed.reversal.transaction_id : undefined,
+            hold_id: parsed.hold ? parsed.hold._id : undefined,
+            splits: parsed.splits
+              ? splitPairs(parsed).map((pair) => ({
+                  debit_account: pair.debitAccount,
+                  credit_account: pair.creditAccount,
+                  amount: pair.amount,
+                }))
+              : undefined,
+            instruction: data.instruction,
+          });
+
+          response.transaction_id = posting.transaction_id;
+        }
+
+        // Reserve, or give back, funds on the stored account
+        if (useStore && parsed.type === 'HOLD') {
+          const placed = await placeHold({
+            account_id: parsed.debitAccount,
+            amount: parsed.amount,
+            currency: parsed.currency,
+            expires_on: parsed.expiresOn,
+            expires_at: Date.parse(`${addDays(parsed.expiresOn, 1)}T00:00:00Z`),
+            reference: parsed.reference || undefined,
+            narration: parsed.narration || undefined,
+            instruction: data.instruction,
+          });
+
+          response.hold = formatHold(placed.hold);
+        }
+
+        if (useStore && parsed.type === 'RELEASE') {
+          const released = await releaseHold({ hold_id: parsed.hold._id, status: 'released' });
+
+          response.hold = formatHold(released.hold);
+        }
+
+        if (useStore && parsed.type === 'CAPTURE') {
+          response.hold = formatHold({
+            ...parsed.hold,
+            status: 'captured',
+            captured_amount: parsed.amount,
+            transaction_id: response.transaction_id,
+          });
+        }
+
+        // Hold future-dated transfers until the scheduler picks them up
+        if (useStore && isPending) {
+          const pendingInstruction = await PendingInstruction.create({
+            instruction: data.instruction,
+            type: parsed.type,
+            amount: parsed.amount,
+            amount_minor: amountInMinorUnits(parsed),
+            currency: parsed.currency,
+            debit_account: parsed.debitAccount,
+            credit_account: parsed.creditAccount,
+            execute_by: parsed.executeBy,
+            reference: parsed.reference,
+            narration: parsed.narration,
+            value_date: valueDate ? valueDate.value_date : parsed.executeOn,
+            due_at: dueAt,
+            status: 'pending',
+            status_code: STATUS_CODES.PENDING,
+            status_reason: PaymentMessages.TRANSACTION_PENDING,
+            allow_fx: !!data.allow_fx,
+            tenant: data.tenant,
+            owner_id: data.user_id,
+          });
+
+          response.pending_instruction_id = pendingInstruction._id;
+        }
+
+        // Store standing orders; the occurrence worker generates each run from it
+        if (useStore && recurrence) {
+          const standingOrder = await StandingOrder.create({
+            instruction: data.instruction,
+            occurrence_instruction: occurrenceInstruction(data.instruction, parsed),
+            type: parsed.type,
+            amount: parsed.amount,
+            currency: parsed.currency,
+            debit_account: parsed.debitAccount,
+            credit_account: parsed.creditAccount,
+            reference: parsed.reference,
+            narration: parsed.narration,
+            allow_fx: !!data.allow_fx,
+            tenant: data.tenant,
+            owner_id: data.user_id,
+            ...recurrence,
+            last_run_date: null,
+            occurrences: 0,
+            status: 'active',
+          });
+
+          response.standing_order_id = standingOrder._id;
+        }
+
+        appLogger.info({ status: response.status }, 'parse-instruction-success');
+      } catch (error) {
+        if (error.errorCode !== ERROR_CODE.DUPLRCRD || !parsed.reference) {
+          throw error;
+        }
+
+        const [duplicate] = duplicateReference.check({ parsed });
+        collectedErrors = [duplicate];
+        response = rejectedResponse(parsed, accounts, duplicate);
+
+        appLogger.warn({ error }, 'parse-instruction-failed');
+      }
+    }
+
+    // Reversals link to the transaction they reverse
+    if (parsed.reversal && response.type) {
+      response.reversal = parsed.reversal;
+    }
+
+    // Split payments list each share
+    if (parsed.splits && response.type) {
+      response.splits = parsed.splits.map((share) => ({
+        account: share.account,
+        amount: share.amount,
+        amount_minor:
+          share.amount && parsed.currency ? toMinorUnits(share.amount, parsed.currency) : null,
+      }));
     }
   } catch (error) {
     // Log unexpected errors
     appLogger.errorX(error, 'parse-instruction-error');
 
+    // Account store failures are not instruction errors; let them reach the caller
+    if (error.isApplicationError) {
+      throw error;
+    }
+
+    collectedErrors = [
+      { code: STATUS_CODES.MALFORMED, message: PaymentMessages.MALFORMED_INSTRUCTION },
+    ];
+
     // Generic error response
     response = {
       type: null,
       amount: null,
+      amount_minor: null,
       currency: null,
       debit_account: null,
       credit_account: null,
       execute_by: null,
+      reference: null,
+      narration: null,
       status: 'failed',
       status_reason: PaymentMessages.MALFORMED_INSTRUCTION,
       status_code: STATUS_CODES.MALFORMED,
@@ -633,6 +946,11 @@ async function parseInstruction(serviceData) {
     };
   }
 
+  // Diagnostics mode: every error, most important first, with the token it points at
+  if (data.diagnostics) {
+    response.errors = describeErrors(collectedErrors, ruleSet.priorities);
+  }
+
   // Single exit point (template requirement)
   return response;
 }
@@ -0,0 +1,151 @@
+/**
+ * Payment Instruction Batch Service
+ * Runs an ordered list of instructions against one shared set of accounts,
+ * carrying balances forward from one instruction to the next.
+ * In atomic mode the list is a bundle: one failure rolls every instruction back
+ */
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { PaymentMessages } = require('@app/messages');
+const parseInstruction = require('./parse-instruction');
+
+/**
+ * VSL spec for input validation
+ * Accounts take the same fields as for a single instruction (see parse-instruction)
+ */
+const spec = `root {
+  accounts[] {
+    id string
+    balance number
+    currency string
+    held_amount? number
+    overdraft_limit? number
+    overdraft_expires_on? string
+    identifier_scheme? string<trim|lowercase>
+    bank_code? string<trim>
+  }
+  instructions[] string
+  atomic? boolean
+  tenant? string
+}`;
+
+// Parse spec once at module level for efficiency
+const parsedSpec = validator.parse(spec);
+
+// Upper bound on instructions accepted in one call
+const MAX_BATCH_SIZE = 1000;
+
+/**
+ * Count results by status code
+ */
+function summarize(results) {
+  const byStatusCode = {};
+
+  results.forEach((result) => {
+    byStatusCode[result.status_code] = (byStatusCode[result.status_code] || 0) + 1;
+  });
+
+  return {
+    total: results.length,
+    by_status_code: byStatusCode,
+  };
+}
+
+/**
+ * Undo every instruction in a bundle after one of them failed.
+ * Executed and pending legs are marked failed with the reason for the rollback,
+ * and all account snapshots go back to the opening balances
+ */
+function rollBack(results, accounts) {
+  const failure = results.find((result) => result.status === 'failed');
+  const rollbackReason = `${PaymentMessages.BUNDLE_ROLLED_BACK}: instruction ${failure.index} failed with ${failure.status_code} (${failure.status_reason})`;
+
+  return results.map((result) => {
+    const openingAccounts = result.accounts.map((processed) => {
+      const { balance } = accounts.find((a) => a.id === processed.id);
+      return { ...processed, balance, balance_before: balance };
+    });
+
+    if (result.status === 'failed') {
+      return { ...result, accounts: openingAccounts, rollback_reason: rollbackReason };
+    }
+
+    return {
+      ...result,
+      status: 'failed',
+      status_reason: rollbackReason,
+      status_code: failure.status_code,
+      accounts: openingAccounts,
+      rollback_reason: rollbackReason,
+    };
+  });
+}
+
+/**
+ * Main service function
+ * Template convention: (serviceData, options = {})
+ */
+async function processBatch(serviceData) {
+  // Validation first (template requirement)
+  const data = validator.validate(serviceData, parsedSpec);
+
+  if (data.instructions.length > MAX_BATCH_SIZE) {
+    throwAppError(`${PaymentMessages.BATCH_TOO_LARGE} (${MAX_BATCH_SIZE})`, ERROR_CODE.INVLDDATA);
+  }
+
+  appLogger.info(
+    {
+      instructions: data.instructions.length,
+      accounts: data.accounts.length,
+    },
+    'process-batch-start'
+  );
+
+  // Working copy of the accounts; balances move forward as instructions execute
+  // Batches only ever run against the accounts they carry, never the account store,
+  // so anonymous callers cannot move stored balances through them
+  const ledger = data.accounts.map((account) => ({ ...account }));
+  const results = [];
+
+  // Instructions must run in order, each one seeing the balances left by the last
+  // eslint-disable-next-line no-restricted-syntax
+  for (const [index, instruction] of data.instructions.entries()) {
+    // eslint-disable-next-line no-await-in-loop
+    const result = await parseInstruction({ accounts: ledger, instruction, tenant: data.tenant });
+
+    result.accounts.forEach((processed) => {
+      const account = ledger.find((a) => a.id === processed.id);
+      account.balance = processed.balance;
+    });
+
+    results.push({ index, instruction, ...result });
+  }
+
+  const rolledBack = !!data.atomic && results.some((result) => result.status === 'failed');
+  const finalResults = rolledBack ? rollBack(results, data.accounts) : results;
+
+  const response = {
+    atomic: !!data.atomic,
+    rolled_back: rolledBack,
+    results: finalResults,
+    accounts: ledger.map((account, index) => ({
+      id: account.id,
+      balance: rolledBack ? data.accounts[index].balance : account.balance,
+      balance_before: data.accounts[index].balance,
+      currency: account.currency.toUpperCase(),
+    })),
+    summary: summarize(finalResults),
+  };
+
+  appLogger.info(
+    { summary: response.summary, rolledBack: response.rolled_back },
+    'process-batch-complete'
+  );
+
+  // Single exit point (template requirement)
+  return response;
+}
+
+// Export the service
+module.exports = processBatch;
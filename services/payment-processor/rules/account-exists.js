@@ -0,0 +1,29 @@
+/**
+ * Account existence: the debit, credit and fee accounts must be among the accounts
+ */
+const { PaymentMessages } = require('@app/messages');
+const STATUS_CODES = require('../helpers/status-codes');
+const { positionOf } = require('../helpers/instruction-accounts');
+
+module.exports = {
+  name: 'account-exists',
+  priorities: { [STATUS_CODES.ACCOUNT_NOT_FOUND]: 8 },
+
+  check(context) {
+    const { parsed } = context;
+    const errors = [];
+
+    // The context holds the account each field names, when it was found
+    ['debitAccount', 'creditAccount', 'feeAccount'].forEach((field) => {
+      if (parsed[field] && !context[field]) {
+        errors.push({
+          code: STATUS_CODES.ACCOUNT_NOT_FOUND,
+          message: `${PaymentMessages.ACCOUNT_NOT_FOUND}: ${parsed[field]}`,
+          ...positionOf(parsed, field),
+        });
+      }
+    });
+
+    return errors;
+  },
+};
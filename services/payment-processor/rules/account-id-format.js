@@ -0,0 +1,29 @@
+/**
+ * Account ID format: the debit, credit and fee accounts must be valid under their
+ * identifier scheme (free-form characters, NUBAN or IBAN check digits, ...)
+ */
+const STATUS_CODES = require('../helpers/status-codes');
+const { positionOf, accountIdError } = require('../helpers/instruction-accounts');
+
+module.exports = {
+  name: 'account-id-format',
+  priorities: { [STATUS_CODES.INVALID_ACCOUNT_ID]: 5 },
+
+  check({ parsed, accounts }) {
+    const errors = [];
+
+    ['debitAccount', 'creditAccount', 'feeAccount'].forEach((field) => {
+      const message = parsed[field] && accountIdError(parsed, accounts, parsed[field]);
+
+      if (message) {
+        errors.push({
+          code: STATUS_CODES.INVALID_ACCOUNT_ID,
+          message,
+          ...positionOf(parsed, field),
+        });
+      }
+    });
+
+    return errors;
+  },
+};
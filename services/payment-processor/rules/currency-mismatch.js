@@ -0,0 +1,58 @@
+/**
+ * Currency mismatch: the debit account holds the instruction currency, and the
+ * credit account holds the same one unless FX mode priced the conversion.
+ * In FX mode the credit currency must still be a supported one.
+ * Holds and releases have a debit side only
+ */
+const { PaymentMessages } = require('@app/messages');
+const { SUPPORTED_CURRENCIES } = require('@app/services/currency/currencies');
+const STATUS_CODES = require('../helpers/status-codes');
+const { positionOf } = require('../helpers/instruction-accounts');
+
+module.exports = {
+  name: 'currency-mismatch',
+  priorities: {
+    [STATUS_CODES.UNSUPPORTED_CURRENCY]: 11,
+    [STATUS_CODES.CURRENCY_MISMATCH]: 12,
+  },
+
+  appliesTo({ parsed, debitAccount, creditAccount }) {
+    return !!debitAccount && (!!creditAccount || !parsed.creditAccount);
+  },
+
+  check({ parsed, debitAccount, creditAccount, allowFx, fxQuote }) {
+    const errors = [];
+
+    if (creditAccount && debitAccount.currency !== creditAccount.currency && !fxQuote) {
+      errors.push({
+        code: STATUS_CODES.CURRENCY_MISMATCH,
+        message: allowFx
+          ? `${PaymentMessages.FX_RATE_UNAVAILABLE}: ${debitAccount.currency.toUpperCase()} to ${creditAccount.currency.toUpperCase()}`
+          : PaymentMessages.CURRENCY_MISMATCH,
+        ...positionOf(parsed, 'creditAccount'),
+      });
+    }
+
+    if (
+      creditAccount &&
+      allowFx &&
+      !SUPPORTED_CURRENCIES.includes(creditAccount.currency.toUpperCase())
+    ) {
+      errors.push({
+        code: STATUS_CODES.UNSUPPORTED_CURRENCY,
+        message: `${PaymentMessages.UNSUPPORTED_CURRENCY}: ${creditAccount.currency}`,
+        ...positionOf(parsed, 'creditAccount'),
+      });
+    }
+
+    if (parsed.currency && debitAccount.currency.toUpperCase() !== parsed.currency) {
+      errors.push({
+        code: STATUS_CODES.CURRENCY_MISMATCH,
+        message: `Currency mismatch: instruction says ${parsed.currency} but account has ${debitAccount.currency.toUpperCase()}`,
+        ...positionOf(parsed, 'currency'),
+      });
+    }
+
+    return errors;
+  },
+};
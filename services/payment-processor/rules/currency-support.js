@@ -0,0 +1,26 @@
+/**
+ * Currency support: the instruction currency must be one the service supports
+ */
+const { PaymentMessages } = require('@app/messages');
+const { SUPPORTED_CURRENCIES } = require('@app/services/currency/currencies');
+const STATUS_CODES = require('../helpers/status-codes');
+const { positionOf } = require('../helpers/instruction-accounts');
+
+module.exports = {
+  name: 'currency-support',
+  priorities: { [STATUS_CODES.UNSUPPORTED_CURRENCY]: 11 },
+
+  check({ parsed }) {
+    const errors = [];
+
+    if (parsed.currency && !SUPPORTED_CURRENCIES.includes(parsed.currency)) {
+      errors.push({
+        code: STATUS_CODES.UNSUPPORTED_CURRENCY,
+        message: PaymentMessages.UNSUPPORTED_CURRENCY,
+        ...positionOf(parsed, 'currency'),
+      });
+    }
+
+    return errors;
+  },
+};
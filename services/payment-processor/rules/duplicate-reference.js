@@ -0,0 +1,26 @@
+/**
+ * Duplicate reference: references are unique per debit account wherever transfers
+ * are persisted. The parser looks the reference up; this reports what it found
+ */
+const { PaymentMessages } = require('@app/messages');
+const STATUS_CODES = require('../helpers/status-codes');
+const { positionOf } = require('../helpers/instruction-accounts');
+
+module.exports = {
+  name: 'duplicate-reference',
+  priorities: { [STATUS_CODES.DUPLICATE_REFERENCE]: 15 },
+
+  appliesTo({ referenceTaken }) {
+    return referenceTaken;
+  },
+
+  check({ parsed }) {
+    return [
+      {
+        code: STATUS_CODES.DUPLICATE_REFERENCE,
+        message: `${PaymentMessages.DUPLICATE_REFERENCE}: ${parsed.reference}`,
+        ...positionOf(parsed, 'reference'),
+      },
+    ];
+  },
+};
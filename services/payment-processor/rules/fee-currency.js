@@ -0,0 +1,29 @@
+/**
+ * Fee currency: fees are charged in the debit currency, so the fee account must hold it
+ */
+const { PaymentMessages } = require('@app/messages');
+const STATUS_CODES = require('../helpers/status-codes');
+const { positionOf } = require('../helpers/instruction-accounts');
+
+module.exports = {
+  name: 'fee-currency',
+  priorities: { [STATUS_CODES.CURRENCY_MISMATCH]: 12 },
+
+  appliesTo({ debitAccount, feeAccount }) {
+    return !!debitAccount && !!feeAccount;
+  },
+
+  check({ parsed, debitAccount, feeAccount }) {
+    const errors = [];
+
+    if (feeAccount.currency.toUpperCase() !== debitAccount.currency.toUpperCase()) {
+      errors.push({
+        code: STATUS_CODES.CURRENCY_MISMATCH,
+        message: `${PaymentMessages.FEE_CURRENCY_MISMATCH}: ${feeAccount.currency.toUpperCase()}`,
+        ...positionOf(parsed, 'feeAccount'),
+      });
+    }
+
+    return errors;
+  },
+};
@@ -0,0 +1,30 @@
+/**
+ * Fee schedule: a fee clause without an amount needs a schedule for the currency
+ */
+const { PaymentMessages } = require('@app/messages');
+const { SUPPORTED_CURRENCIES } = require('@app/services/currency/currencies');
+const STATUS_CODES = require('../helpers/status-codes');
+const { positionOf } = require('../helpers/instruction-accounts');
+
+module.exports = {
+  name: 'fee-schedule',
+  priorities: { [STATUS_CODES.INVALID_AMOUNT]: 4 },
+
+  appliesTo({ parsed }) {
+    return !!parsed.hasFeeClause;
+  },
+
+  check({ parsed, fee }) {
+    const errors = [];
+
+    if (!fee && parsed.amount && SUPPORTED_CURRENCIES.includes(parsed.currency)) {
+      errors.push({
+        code: STATUS_CODES.INVALID_AMOUNT,
+        message: `${PaymentMessages.FEE_SCHEDULE_NOT_FOUND}: ${parsed.currency}`,
+        ...positionOf(parsed, 'feeAccount'),
+      });
+    }
+
+    return errors;
+  },
+};
@@ -0,0 +1,167 @@
+/**
+ * Business rule registry.
+ * A rule is an object with a `name`, the status codes it raises with their priorities
+ * (`priorities`, lower is reported first), an optional `appliesTo(context)` and
+ * `check(context)` returning the errors it finds. The context holds the parsed
+ * instruction, its accounts and what the parser priced and looked up for it.
+ * A rule set picks the rules a product runs, in the rule table:
+ *   rules? (names in order; the built-in rules by default), add? (names run after them),
+ *   disabled? (names skipped) and priorities? ({ code: priority } overrides)
+ * A tenant runs the rule set the table maps it to, else BUSINESS_RULE_SET, else the
+ * table's default. BUSINESS_RULE_SETS_FILE points at a different rule table
+ */
+const fs = require('fs');
+const path = require('path');
+const STATUS_CODES = require('../helpers/status-codes');
+const recurrenceWindow = require('./recurrence-window');
+const valueDate = require('./value-date');
+const accountIdFormat = require('./account-id-format');
+const sameAccount = require('./same-account');
+const duplicateReference = require('./duplicate-reference');
+const feeSchedule = require('./fee-schedule');
+const currencySupport = require('./currency-support');
+const accountExists = require('./account-exists');
+const feeCurrency = require('./fee-currency');
+const currencyMismatch = require('./currency-mismatch');
+const sufficientFunds = require('./sufficient-funds');
+const splitShares = require('./split-shares');
+
+// Built-in rules, in the order they run by default
+const BUILT_IN_RULES = [
+  recurrenceWindow,
+  valueDate,
+  accountIdFormat,
+  sameAccount,
+  duplicateReference,
+  feeSchedule,
+  currencySupport,
+  accountExists,
+  feeCurrency,
+  currencyMismatch,
+  sufficientFunds,
+  splitShares,
+];
+
+/**
+ * Priorities of the codes raised before the rules run: by the grammar, while
+ * resolving reversals and holds, and by the account limits
+ * Syntax > Format > Not Found > Currency > Business
+ */
+const PARSER_PRIORITIES = {
+  [STATUS_CODES.MALFORMED]: 1,
+  [STATUS_CODES.MISSING_KEYWORD]: 2,
+  [STATUS_CODES.INVALID_ORDER]: 3,
+  [STATUS_CODES.INVALID_AMOUNT]: 4,
+  [STATUS_CODES.INVALID_DATE]: 6,
+  [STATUS_CODES.INVALID_REFERENCE]: 7,
+  [STATUS_CODES.TRANSACTION_NOT_FOUND]: 9,
+  [STATUS_CODES.HOLD_NOT_FOUND]: 10,
+  [STATUS_CODES.BLOCKED_COUNTERPARTY]: 14,
+  [STATUS_CODES.REVERSAL_EXCEEDS_ORIGINAL]: 16,
+  [STATUS_CODES.HOLD_NOT_ACTIVE]: 17,
+  [STATUS_CODES.LIMIT_EXCEEDED]: 20,
+  [STATUS_CODES.VELOCITY_EXCEEDED]: 21,
+};
+
+const rules = {};
+BUILT_IN_RULES.forEach((rule) => {
+  rules[rule.name] = rule;
+});
+
+const ruleSetsFile = process.env.BUSINESS_RULE_SETS_FILE || path.join(__dirname, 'rule-sets.json');
+
+let ruleTable;
+const resolvedRuleSets = {};
+
+function forgetResolvedRuleSets() {
+  Object.keys(resolvedRuleSets).forEach((name) => delete resolvedRuleSets[name]);
+}
+
+function loadRuleTable() {
+  if (!ruleTable) {
+    ruleTable = JSON.parse(fs.readFileSync(ruleSetsFile, 'utf-8'));
+  }
+  return ruleTable;
+}
+
+/**
+ * Register (or replace) a rule; rule sets run it once they name it
+ * @param {{name: String, priorities: Object<String, Number>, appliesTo?: function(Object): Boolean, check: function(Object): Object[]}} rule
+ */
+function registerRule(rule) {
+  if (!rule?.name || typeof rule.check !== 'function') {
+    throw new Error('Business rule must have a name and implement check');
+  }
+  rules[rule.name] = rule;
+  forgetResolvedRuleSets();
+}
+
+/**
+ * Register (or replace) a rule set, alongside those in the rule table
+ * @param {String} name
+ * @param {{rules?: String[], add?: String[], disabled?: String[], priorities?: Object<String, Number>}} config
+ * @param {String[]} [tenants] - Tenants that run the rule set
+ */
+function registerRuleSet(name, config, tenants = []) {
+  const table = loadRuleTable();
+
+  table.rule_sets[name] = config;
+  tenants.forEach((tenant) => {
+    table.tenants[tenant] = name;
+  });
+  forgetResolvedRuleSets();
+}
+
+function getRule(name) {
+  const rule = rules[name];
+
+  if (!rule) {
+    throw new Error(`Unknown business rule: ${name}`);
+  }
+  return rule;
+}
+
+/**
+ * Rules a rule set runs, in order, with the priority of every status code
+ * @returns {{name: String, rules: Object[], priorities: Object<String, Number>}}
+ */
+function resolveRuleSet(name) {
+  const config = loadRuleTable().rule_sets[name];
+
+  if (!config) {
+    throw new Error(`Unknown business rule set: ${name}`);
+  }
+
+  const disabled = config.disabled || [];
+  const order = [...(config.rules || BUILT_IN_RULES.map((r) => r.name)), ...(config.add || [])];
+  const priorities = { ...PARSER_PRIORITIES };
+
+  Object.values(rules).forEach((rule) => Object.assign(priorities, rule.priorities));
+
+  return {
+    name,
+    rules: order.filter((ruleName) => !disabled.includes(ruleName)).map(getRule),
+    priorities: { ...priorities, ...config.priorities },
+  };
+}
+
+/**
+ * Rule set a tenant runs
+ * @param {String} [tenant]
+ */
+function getRuleSet(tenant) {
+  const table = loadRuleTable();
+  const name =
+    (tenant && table.tenants[tenant]) || process.env.BUSINESS_RULE_SET || table.default_rule_set;
+
+  if (!resolvedRuleSets[name]) {
+    resolvedRuleSets[name] = resolveRuleSet(name);
+  }
+  return resolvedRuleSets[name];
+}
+
+module.exports = {
+  registerRule,
+  registerRuleSet,
+  getRuleSet,
+};
@@ -0,0 +1,29 @@
+/**
+ * Recurrence window: a standing order must run at least once before it ends
+ */
+const { PaymentMessages } = require('@app/messages');
+const STATUS_CODES = require('../helpers/status-codes');
+const { positionOf } = require('../helpers/instruction-accounts');
+
+module.exports = {
+  name: 'recurrence-window',
+  priorities: { [STATUS_CODES.INVALID_DATE]: 6 },
+
+  appliesTo({ recurrence }) {
+    return !!recurrence && !!recurrence.until;
+  },
+
+  check({ parsed, recurrence }) {
+    const errors = [];
+
+    if (recurrence.until < recurrence.next_run_date) {
+      errors.push({
+        code: STATUS_CODES.INVALID_DATE,
+        message: `${PaymentMessages.RECURRENCE_ENDS_BEFORE_FIRST_RUN}: ${recurrence.next_run_date}`,
+        ...positionOf(parsed, 'recurrenceUntil'),
+      });
+    }
+
+    return errors;
+  },
+};
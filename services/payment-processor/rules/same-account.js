@@ -0,0 +1,34 @@
+/**
+ * Same account: money cannot move from an account to itself, and the debit
+ * account cannot collect its own fee
+ */
+const { PaymentMessages } = require('@app/messages');
+const STATUS_CODES = require('../helpers/status-codes');
+const { positionOf } = require('../helpers/instruction-accounts');
+
+module.exports = {
+  name: 'same-account',
+  priorities: { [STATUS_CODES.SAME_ACCOUNT]: 13 },
+
+  check({ parsed }) {
+    const errors = [];
+
+    if (parsed.debitAccount === parsed.creditAccount) {
+      errors.push({
+        code: STATUS_CODES.SAME_ACCOUNT,
+        message: PaymentMessages.SAME_ACCOUNT_ERROR,
+        ...positionOf(parsed, 'creditAccount'),
+      });
+    }
+
+    if (parsed.feeAccount && parsed.feeAccount === parsed.debitAccount) {
+      errors.push({
+        code: STATUS_CODES.SAME_ACCOUNT,
+        message: PaymentMessages.FEE_ACCOUNT_IS_DEBIT_ACCOUNT,
+        ...positionOf(parsed, 'feeAccount'),
+      });
+    }
+
+    return errors;
+  },
+};
@@ -0,0 +1,122 @@
+/**
+ * Split shares: the first share is the instruction's own account pair, checked with
+ * it; every other share account must be valid, exist, appear once and hold the
+ * instruction currency, a debit share must be covered by its account, and the
+ * shares must add up to the amount
+ */
+const { PaymentMessages } = require('@app/messages');
+const { toMinorUnits, toMajorUnits } = require('@app/services/currency/minor-units');
+const STATUS_CODES = require('../helpers/status-codes');
+const {
+  positionOf,
+  accountIdError,
+  splitSide,
+  availableMinorOf,
+  shortfallError,
+} = require('../helpers/instruction-accounts');
+
+module.exports = {
+  name: 'split-shares',
+  priorities: {
+    [STATUS_CODES.INVALID_AMOUNT]: 4,
+    [STATUS_CODES.INVALID_ACCOUNT_ID]: 5,
+    [STATUS_CODES.ACCOUNT_NOT_FOUND]: 8,
+    [STATUS_CODES.CURRENCY_MISMATCH]: 12,
+    [STATUS_CODES.SAME_ACCOUNT]: 13,
+    [STATUS_CODES.INSUFFICIENT_FUNDS]: 18,
+    [STATUS_CODES.OVERDRAFT_EXCEEDED]: 19,
+  },
+
+  appliesTo({ parsed }) {
+    return !!parsed.splits;
+  },
+
+  check({ parsed, accounts }) {
+    const errors = [];
+    const side = splitSide(parsed);
+    const singleAccount = side === 'credit' ? parsed.debitAccount : parsed.creditAccount;
+    const seen = new Set();
+
+    parsed.splits.forEach((share, index) => {
+      const at = share.positions.account;
+      const account = accounts.find((a) => a.id === share.account);
+
+      if (seen.has(share.account)) {
+        errors.push({
+          code: STATUS_CODES.SAME_ACCOUNT,
+          message: `${PaymentMessages.DUPLICATE_SPLIT_ACCOUNT}: ${share.account}`,
+          ...at,
+        });
+        return;
+      }
+      seen.add(share.account);
+
+      if (index === 0) return;
+
+      const idError = accountIdError(parsed, accounts, share.account);
+      if (idError) {
+        errors.push({ code: STATUS_CODES.INVALID_ACCOUNT_ID, message: idError, ...at });
+        return;
+      }
+
+      if (share.account === singleAccount) {
+        errors.push({
+          code: STATUS_CODES.SAME_ACCOUNT,
+          message: PaymentMessages.SAME_ACCOUNT_ERROR,
+          ...at,
+        });
+      }
+
+      if (side === 'debit' && share.account === parsed.feeAccount) {
+        errors.push({
+          code: STATUS_CODES.SAME_ACCOUNT,
+          message: PaymentMessages.FEE_ACCOUNT_IS_DEBIT_ACCOUNT,
+          ...positionOf(parsed, 'feeAccount'),
+        });
+      }
+
+      if (!account) {
+        errors.push({
+          code: STATUS_CODES.ACCOUNT_NOT_FOUND,
+          message: `${PaymentMessages.ACCOUNT_NOT_FOUND}: ${share.account}`,
+          ...at,
+        });
+        return;
+      }
+
+      if (parsed.currency && account.currency.toUpperCase() !== parsed.currency) {
+        errors.push({
+          code: STATUS_CODES.CURRENCY_MISMATCH,
+          message: `${PaymentMessages.SPLIT_CURRENCY_MISMATCH}: ${share.account} has ${account.currency.toUpperCase()}`,
+          ...at,
+        });
+      } else if (
+        side === 'debit' &&
+        share.amount &&
+        availableMinorOf(account, parsed) < toMinorUnits(share.amount, account.currency)
+      ) {
+        errors.push(
+          shortfallError(account, parsed, share.amount, share.positions.amount, share.account)
+        );
+      }
+    });
+
+    // Shares add up to the amount, compared in minor units
+    if (parsed.amount && parsed.currency && parsed.splits.every((share) => share.amount)) {
+      const sharesMinor = parsed.splits.reduce(
+        (total, share) => total + toMinorUnits(share.amount, parsed.currency),
+        0
+      );
+
+      if (sharesMinor !== toMinorUnits(parsed.amount, parsed.currency)) {
+        errors.push({
+          code: STATUS_CODES.INVALID_AMOUNT,
+          message: `${PaymentMessages.SPLIT_TOTAL_MISMATCH}: shares add up to ${toMajorUnits(sharesMinor, parsed.currency)} of ${parsed.amount}`,
+          ...positionOf(parsed, 'amount'),
+        });
+      }
+    }
+
+    return errors;
+  },
+};
@@ -0,0 +1,45 @@
+/**
+ * Sufficient funds: the debit account's available balance, arranged overdraft
+ * included, covers what it pays plus any fee. Compared in minor units
+ */
+const { toMinorUnits, toMajorUnits } = require('@app/services/currency/minor-units');
+const STATUS_CODES = require('../helpers/status-codes');
+const {
+  positionOf,
+  debitAmountOf,
+  availableMinorOf,
+  shortfallError,
+} = require('../helpers/instruction-accounts');
+
+module.exports = {
+  name: 'sufficient-funds',
+  priorities: {
+    [STATUS_CODES.INSUFFICIENT_FUNDS]: 18,
+    [STATUS_CODES.OVERDRAFT_EXCEEDED]: 19,
+  },
+
+  appliesTo({ parsed, debitAccount, creditAccount }) {
+    return !!debitAccount && (!!creditAccount || !parsed.creditAccount);
+  },
+
+  check({ parsed, debitAccount, fee }) {
+    const errors = [];
+    const { currency } = debitAccount;
+
+    const feeMinor = fee ? fee.amount_minor : 0;
+    const debitAmount = debitAmountOf(parsed);
+
+    if (
+      debitAmount &&
+      availableMinorOf(debitAccount, parsed) < toMinorUnits(debitAmount, currency) + feeMinor
+    ) {
+      const needs = fee
+        ? `${toMajorUnits(toMinorUnits(debitAmount, currency) + feeMinor, currency)} (${debitAmount} + ${fee.amount} fee)`
+        : debitAmount;
+
+      errors.push(shortfallError(debitAccount, parsed, needs, positionOf(parsed, 'amount')));
+    }
+
+    return errors;
+  },
+};
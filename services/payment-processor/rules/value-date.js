@@ -0,0 +1,25 @@
+/**
+ * Value date: a dated instruction must settle on a business day of its currency,
+ * unless the currency's calendar rolls it forward to one
+ */
+const STATUS_CODES = require('../helpers/status-codes');
+const { positionOf } = require('../helpers/instruction-accounts');
+
+module.exports = {
+  name: 'value-date',
+  priorities: { [STATUS_CODES.INVALID_DATE]: 6 },
+
+  appliesTo({ valueDate }) {
+    return !!valueDate && !!valueDate.rejection;
+  },
+
+  check({ parsed, valueDate }) {
+    return [
+      {
+        code: STATUS_CODES.INVALID_DATE,
+        message: valueDate.rejection,
+        ...positionOf(parsed, 'executeBy'),
+      },
+    ];
+  },
+};
@@ -0,0 +1,46 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { StandingOrderMessages } = require('@app/messages');
+const PendingInstruction = require('@app/repository/pending-instruction');
+const changeStandingOrderStatus = require('./helpers/change-standing-order-status');
+const formatStandingOrder = require('./helpers/format-standing-order');
+
+const spec = `root {
+  id string<trim|minLength:1>
+  user_id string<trim|minLength:1>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * End the order for good, along with any occurrence generated but not yet run
+ */
+async function cancelStandingOrder(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const standingOrder = await changeStandingOrderStatus(data, ['active', 'paused'], () => ({
+      status: 'cancelled',
+      next_run_date: null,
+    }));
+
+    // Occurrences the worker has already claimed are left to finish
+    await PendingInstruction.updateMany({
+      query: { standing_order_id: data.id, status: 'pending' },
+      updateValues: {
+        status: 'cancelled',
+        status_reason: StandingOrderMessages.OCCURRENCE_CANCELLED,
+      },
+    });
+
+    result = formatStandingOrder(standingOrder);
+  } catch (error) {
+    appLogger.errorX(error, 'cancel-standing-order-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = cancelStandingOrder;
@@ -0,0 +1,130 @@
+/**
+ * Standing Order Occurrence Service
+ * Turns every run date of an active standing order that has come round into a
+ * pending instruction, which the pending instruction worker then executes and
+ * settles with its own status code
+ * Each run date settles on a business day of the currency, as a dated instruction does;
+ * a run date the calendar rejects is recorded as a failed occurrence
+ */
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { PaymentMessages } = require('@app/messages');
+const PendingInstruction = require('@app/repository/pending-instruction');
+const StandingOrder = require('@app/repository/standing-order');
+const STATUS_CODES = require('@app/services/payment-processor/helpers/status-codes');
+const resolveValueDate = require('@app/services/calendar/resolve-value-date');
+const { SUPPORTED_CURRENCIES } = require('@app/services/currency/currencies');
+const { today, toTimestamp, nextRunDate } = require('./helpers/schedule');
+
+const spec = `root {
+  limit? number<min:1>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Standing orders picked up per run when no limit is given
+const DEFAULT_LIMIT = 500;
+
+/**
+ * Generate the occurrence due on the order's next run date.
+ * Claiming the run date first (moving next_run_date on) keeps a concurrent pause or
+ * a second worker from generating it twice. Returns the updated order, or null when
+ * the claim was lost
+ */
+async function generateOccurrence(standingOrder) {
+  const runDate = standingOrder.next_run_date;
+  const followingDate = nextRunDate(runDate, standingOrder.frequency, standingOrder.day);
+  const isLast = !!standingOrder.until && followingDate > standingOrder.until;
+
+  const claimed = {
+    ...standingOrder,
+    next_run_date: isLast ? null : followingDate,
+    last_run_date: runDate,
+    occurrences: (standingOrder.occurrences || 0) + 1,
+    status: isLast ? 'completed' : 'active',
+  };
+
+  const claim = await StandingOrder.updateOne({
+    query: { _id: standingOrder._id, status: 'active', next_run_date: runDate },
+    updateValues: {
+      next_run_date: claimed.next_run_date,
+      last_run_date: claimed.last_run_date,
+      occurrences: claimed.occurrences,
+      status: claimed.status,
+    },
+  });
+
+  if (claim.modifiedCount !== 1) {
+    return null;
+  }
+
+  const valueDate = SUPPORTED_CURRENCIES.includes(standingOrder.currency)
+    ? await resolveValueDate({ currency: standingOrder.currency, date: runDate })
+    : null;
+  const rejection = valueDate ? valueDate.rejection : null;
+
+  await PendingInstruction.create({
+    instruction: standingOrder.occurrence_instruction,
+    type: standingOrder.type,
+    amount: standingOrder.amount,
+    currency: standingOrder.currency,
+    debit_account: standingOrder.debit_account,
+    credit_account: standingOrder.credit_account,
+    execute_by: runDate,
+    value_date: valueDate ? valueDate.value_date : runDate,
+    narration: standingOrder.narration,
+    due_at: valueDate ? valueDate.due_at : toTimestamp(runDate),
+    status: rejection ? 'failed' : 'pending',
+    status_code: rejection ? STATUS_CODES.INVALID_DATE : STATUS_CODES.PENDING,
+    status_reason: rejection || PaymentMessages.TRANSACTION_PENDING,
+    allow_fx: !!standingOrder.allow_fx,
+    tenant: standingOrder.tenant,
+    owner_id: standingOrder.owner_id,
+    standing_order_id: standingOrder._id,
+  });
+
+  return claimed;
+}
+
+async function generateStandingOrderOccurrences(serviceData = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const runDay = today();
+
+  const summary = { orders: 0, generated: 0, completed: 0, errored: 0 };
+
+  const dueOrders = await StandingOrder.findMany({
+    query: { status: 'active', next_run_date: { $lte: runDay } },
+    options: { sort: { next_run_date: 1, created: 1 }, limit: data.limit || DEFAULT_LIMIT },
+  });
+
+  // An order whose runs were missed (the worker was down) catches up one run date at a time
+  // eslint-disable-next-line no-restricted-syntax
+  for (const dueOrder of dueOrders) {
+    summary.orders += 1;
+
+    try {
+      let standingOrder = dueOrder;
+
+      while (
+        standingOrder &&
+        standingOrder.status === 'active' &&
+        standingOrder.next_run_date <= runDay
+      ) {
+        // eslint-disable-next-line no-await-in-loop
+        standingOrder = await generateOccurrence(standingOrder);
+
+        if (standingOrder) summary.generated += 1;
+        if (standingOrder && standingOrder.status === 'completed') summary.completed += 1;
+      }
+    } catch (error) {
+      summary.errored += 1;
+      appLogger.errorX(error, 'generate-standing-order-occurrence-error');
+    }
+  }
+
+  appLogger.info(summary, 'generate-standing-order-occurrences-complete');
+
+  return summary;
+}
+
+module.exports = generateStandingOrderOccurrences;
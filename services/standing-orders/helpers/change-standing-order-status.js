@@ -0,0 +1,42 @@
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { StandingOrderMessages } = require('@app/messages');
+const StandingOrder = require('@app/repository/standing-order');
+
+/**
+ * Move a standing order on from one of the given statuses.
+ * changes(standingOrder) returns the fields to update. The update only applies while
+ * the order still has the status it was read with, so a concurrent change or
+ * the occurrence worker cannot be overwritten. Only the user who set the order up,
+ * user_id, may change it; to anyone else it is not found. Returns the updated order
+ */
+async function changeStandingOrderStatus({ id, user_id: userId }, fromStatuses, changes) {
+  const standingOrder = await StandingOrder.findOne({ query: { _id: id, owner_id: userId } });
+
+  if (!standingOrder) {
+    throwAppError(StandingOrderMessages.STANDING_ORDER_NOT_FOUND, ERROR_CODE.NOTFOUND);
+  }
+
+  const updateValues = fromStatuses.includes(standingOrder.status) ? changes(standingOrder) : null;
+
+  const update = updateValues
+    ? await StandingOrder.updateOne({
+        query: {
+          _id: id,
+          status: standingOrder.status,
+          next_run_date: standingOrder.next_run_date,
+        },
+        updateValues,
+      })
+    : { modifiedCount: 0 };
+
+  if (update.modifiedCount !== 1) {
+    throwAppError(
+      `${StandingOrderMessages.INVALID_STATUS_CHANGE}: ${standingOrder.status}`,
+      ERROR_CODE.CONFLICTERR
+    );
+  }
+
+  return { ...standingOrder, ...updateValues };
+}
+
+module.exports = changeStandingOrderStatus;
@@ -0,0 +1,27 @@
+/**
+ * Shape a stored standing order for API responses
+ */
+function formatStandingOrder(standingOrder) {
+  return {
+    id: standingOrder._id,
+    instruction: standingOrder.instruction,
+    type: standingOrder.type,
+    amount: standingOrder.amount,
+    currency: standingOrder.currency,
+    debit_account: standingOrder.debit_account,
+    credit_account: standingOrder.credit_account,
+    reference: standingOrder.reference || null,
+    narration: standingOrder.narration || null,
+    frequency: standingOrder.frequency,
+    day: standingOrder.day ?? null,
+    start_date: standingOrder.start_date,
+    until: standingOrder.until || null,
+    next_run_date: standingOrder.next_run_date || null,
+    last_run_date: standingOrder.last_run_date || null,
+    occurrences: standingOrder.occurrences || 0,
+    status: standingOrder.status,
+    created: standingOrder.created,
+  };
+}
+
+module.exports = formatStandingOrder;
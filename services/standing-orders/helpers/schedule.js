@@ -0,0 +1,99 @@
+/**
+ * Standing order schedule
+ * Run dates are UTC calendar dates as YYYY-MM-DD strings, which compare in date order
+ */
+const clock = require('@app/services/calendar/helpers/clock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Midnight UTC of a date string, as a timestamp
+ */
+function toTimestamp(date) {
+  return Date.parse(`${date}T00:00:00Z`);
+}
+
+/**
+ * Date string of a timestamp, in UTC
+ */
+function toDateString(timestamp) {
+  return new Date(timestamp).toISOString().substring(0, 10);
+}
+
+/**
+ * Today's date by the clock, in UTC
+ */
+function today() {
+  return toDateString(clock.now());
+}
+
+function addDays(date, days) {
+  return toDateString(toTimestamp(date) + days * DAY_MS);
+}
+
+/**
+ * ISO weekday of a date: 1 is Monday, 7 is Sunday
+ */
+function isoWeekday(date) {
+  return new Date(toTimestamp(date)).getUTCDay() || 7;
+}
+
+/**
+ * The anchor day of a month, moved back to the month's last day when it has fewer
+ * days (31 runs on 30 April and 28 or 29 February)
+ */
+function dayInMonth(year, monthIndex, day) {
+  const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  return toDateString(Date.UTC(year, monthIndex, Math.min(day, lastDay)));
+}
+
+/**
+ * Day an order is anchored to: the ON DAY number, else the start date's own
+ * weekday or day of the month. Daily orders have none
+ */
+function anchorDay(frequency, startDate, day) {
+  if (frequency === 'DAY') return null;
+  if (day) return day;
+  return frequency === 'WEEK' ? isoWeekday(startDate) : Number(startDate.substring(8, 10));
+}
+
+/**
+ * First run date on or after the start date
+ */
+function firstRunDate(startDate, frequency, day) {
+  let runDate = startDate;
+
+  if (frequency === 'WEEK') {
+    runDate = addDays(startDate, (day - isoWeekday(startDate) + 7) % 7);
+  } else if (frequency === 'MONTH') {
+    const start = new Date(toTimestamp(startDate));
+    runDate = dayInMonth(start.getUTCFullYear(), start.getUTCMonth(), day);
+
+    if (runDate < startDate) {
+      runDate = dayInMonth(start.getUTCFullYear(), start.getUTCMonth() + 1, day);
+    }
+  }
+
+  return runDate;
+}
+
+/**
+ * Run date following the given one
+ */
+function nextRunDate(runDate, frequency, day) {
+  if (frequency === 'DAY') return addDays(runDate, 1);
+  if (frequency === 'WEEK') return addDays(runDate, 7);
+
+  const current = new Date(toTimestamp(runDate));
+  return dayInMonth(current.getUTCFullYear(), current.getUTCMonth() + 1, day);
+}
+
+module.exports = {
+  toTimestamp,
+  toDateString,
+  today,
+  addDays,
+  anchorDay,
+  firstRunDate,
+  nextRunDate,
+};
@@ -0,0 +1,35 @@
+const validator = require('@app-core/validator');
+const StandingOrder = require('@app/repository/standing-order');
+const formatStandingOrder = require('./helpers/format-standing-order');
+
+const spec = `root {
+  user_id string<trim|minLength:1>
+  status? string(active|paused|cancelled|completed)
+  account_id? string
+  limit? number<min:1|max:500>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Standing orders by status (active by default), soonest run first.
+ * Users only see the orders they set up, user_id
+ */
+async function listStandingOrders(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  const query = { owner_id: data.user_id, status: data.status || 'active' };
+
+  if (data.account_id) {
+    query.$or = [{ debit_account: data.account_id }, { credit_account: data.account_id }];
+  }
+
+  const standingOrders = await StandingOrder.findMany({
+    query,
+    options: { sort: { next_run_date: 1, created: 1 }, limit: data.limit || 100 },
+  });
+
+  return standingOrders.map(formatStandingOrder);
+}
+
+module.exports = listStandingOrders;
@@ -0,0 +1,35 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const changeStandingOrderStatus = require('./helpers/change-standing-order-status');
+const formatStandingOrder = require('./helpers/format-standing-order');
+
+const spec = `root {
+  id string<trim|minLength:1>
+  user_id string<trim|minLength:1>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Stop generating occurrences until the order is resumed.
+ * Occurrences already generated still run; cancel them as pending instructions
+ */
+async function pauseStandingOrder(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const standingOrder = await changeStandingOrderStatus(data, ['active'], () => ({
+      status: 'paused',
+    }));
+
+    result = formatStandingOrder(standingOrder);
+  } catch (error) {
+    appLogger.errorX(error, 'pause-standing-order-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = pauseStandingOrder;
@@ -0,0 +1,45 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const changeStandingOrderStatus = require('./helpers/change-standing-order-status');
+const formatStandingOrder = require('./helpers/format-standing-order');
+const { today, addDays, firstRunDate } = require('./helpers/schedule');
+
+const spec = `root {
+  id string<trim|minLength:1>
+  user_id string<trim|minLength:1>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Generate occurrences again from the next run date after today.
+ * Run dates that fell while the order was paused are skipped, not caught up.
+ * An order with no run date left before its end completes instead
+ */
+async function resumeStandingOrder(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const standingOrder = await changeStandingOrderStatus(data, ['paused'], (paused) => {
+      const tomorrow = addDays(today(), 1);
+      const startDate = paused.start_date > tomorrow ? paused.start_date : tomorrow;
+      const runDate = firstRunDate(startDate, paused.frequency, paused.day);
+      const isOver = !!paused.until && runDate > paused.until;
+
+      return {
+        status: isOver ? 'completed' : 'active',
+        next_run_date: isOver ? null : runDate,
+      };
+    });
+
+    result = formatStandingOrder(standingOrder);
+  } catch (error) {
+    appLogger.errorX(error, 'resume-standing-order-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = resumeStandingOrder;
@@ -0,0 +1,163 @@
+/**
+ * Test suite for account transaction history and statements
+ */
+/* eslint-disable no-unused-expressions */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+const useInMemoryModel = require('./helpers/in-memory-model');
+const authHeaders = require('./helpers/auth-headers');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/', 'endpoints/accounts/']);
+
+describe('Account History', () => {
+  let accountStore;
+  let journalStore;
+  let pendingStore;
+
+  const post = (instruction) =>
+    mockServer.post('/payment-instructions', { body: { instruction }, headers: authHeaders() });
+
+  beforeEach(async () => {
+    accountStore = useInMemoryModel('Account', [
+      { account_id: 'a', owner_id: 'test-user', balance: 500, currency: 'USD' },
+      { account_id: 'b', owner_id: 'test-user', balance: 100, currency: 'USD' },
+      { account_id: 'fees', owner_id: 'test-user', balance: 0, currency: 'USD' },
+    ]);
+    journalStore = useInMemoryModel('JournalEntry');
+    pendingStore = useInMemoryModel('PendingInstruction');
+
+    const days = ['2026-10-01', '2026-10-05', '2026-10-10'];
+    const transactions = [
+      await post('DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b REF rent'),
+      await post('DEBIT 50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b WITH FEE 1 TO ACCOUNT fees'),
+      await post('CREDIT 30 USD TO ACCOUNT a FOR DEBIT FROM ACCOUNT b'),
+    ].map((res) => res.data.data.transaction_id);
+    await post('DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2099-01-01');
+
+    // Spread the postings over the month, a few hours into each day
+    for (let i = 0; i < journalStore.records.length; i++) {
+      const day = days[transactions.indexOf(journalStore.records[i].transaction_id)];
+      journalStore.records[i].created = Date.parse(`${day}T09:00:00Z`);
+    }
+  });
+
+  afterEach(() => {
+    accountStore.revert();
+    journalStore.revert();
+    pendingStore.revert();
+  });
+
+  it('should page through the history newest first', async () => {
+    const seen = [];
+    const pageSizes = [];
+    let cursor;
+
+    do {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await mockServer.get('/accounts/a/transactions', {
+        query: { limit: '2', ...(cursor ? { cursor } : {}) },
+        headers: authHeaders(),
+      });
+
+      expect(res.statusCode).to.equal(200);
+      seen.push(...res.data.data.transactions);
+      pageSizes.push(res.data.data.transactions.length);
+      cursor = res.data.data.next_cursor;
+    } while (cursor);
+
+    expect(pageSizes).to.deep.equal([2, 2, 1]);
+    expect(seen.map((line) => [line.type, line.status, line.amount])).to.have.deep.members([
+      ['debit', 'pending', 10],
+      ['credit', 'successful', 30],
+      ['debit', 'successful', 50],
+      ['debit', 'successful', 1],
+      ['debit', 'successful', 100],
+    ]);
+    expect(seen[0]).to.include({ status: 'pending', value_date: '2099-01-01' });
+    expect(seen[4]).to.include({ amount: 100, reference: 'rent', balance_after: 400 });
+    expect(new Set(seen.map((line) => line.id)).size).to.equal(5);
+  });
+
+  it('should filter by date range, type, status and currency', async () => {
+    const list = async (query) => {
+      const res = await mockServer.get('/accounts/a/transactions', {
+        query,
+        headers: authHeaders(),
+      });
+      return res.data.data.transactions;
+    };
+
+    const credits = await list({ type: 'credit' });
+    const pending = await list({ status: 'pending' });
+    const fifth = await list({ status: 'successful', from: '2026-10-04', to: '2026-10-05' });
+    const pounds = await list({ currency: 'gbp' });
+
+    expect(credits.map((line) => line.amount)).to.deep.equal([30]);
+    expect(pending).to.have.lengthOf(1);
+    expect(pending[0]).to.include({ counterparty_account: 'b', transaction_id: null });
+    expect(fifth.map((line) => line.purpose)).to.have.members(['transfer', 'fee']);
+    expect(pounds).to.be.empty;
+  });
+
+  it('should give opening, closing and running balances for a period', async () => {
+    const res = await mockServer.get('/accounts/a/statement', {
+      query: { from: '2026-10-04', to: '2026-10-31' },
+      headers: authHeaders(),
+    });
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.data.data).to.include({
+      account_id: 'a',
+      currency: 'USD',
+      opening_balance: 400,
+      closing_balance: 379,
+    });
+    expect(res.data.data.lines.map((line) => line.running_balance).slice(-1)).to.deep.equal([379]);
+    expect(res.data.data.lines).to.have.lengthOf(3);
+
+    const before = await mockServer.get('/accounts/a/statement', {
+      query: { from: '2026-09-01', to: '2026-09-30' },
+      headers: authHeaders(),
+    });
+    expect(before.data.data).to.include({ opening_balance: 500, closing_balance: 500 });
+    expect(before.data.data.lines).to.be.empty;
+  });
+
+  it('should reject unknown accounts, bad ranges and bad cursors', async () => {
+    const missing = await mockServer.get('/accounts/nope/transactions', { headers: authHeaders() });
+    const statement = await mockServer.get('/accounts/nope/statement', { headers: authHeaders() });
+    const backwards = await mockServer.get('/accounts/a/statement', {
+      query: { from: '2026-10-31', to: '2026-10-01' },
+      headers: authHeaders(),
+    });
+    const cursor = await mockServer.get('/accounts/a/transactions', {
+      query: { cursor: 'not-a-cursor' },
+      headers: authHeaders(),
+    });
+
+    expect(missing.statusCode).to.equal(404);
+    expect(statement.statusCode).to.equal(404);
+    expect(backwards.statusCode).to.equal(400);
+    expect(cursor.statusCode).to.equal(400);
+  });
+
+  it('should only show an account to its owner', async () => {
+    const requests = [
+      ['/accounts/a', {}],
+      ['/accounts/a/transactions', {}],
+      ['/accounts/a/statement', {}],
+      ['/accounts/a/statement', { format: 'csv' }],
+    ];
+    const stranger = authHeaders({ user_id: 'someone-else' });
+
+    const anonymous = await Promise.all(
+      requests.map(([path, query]) => mockServer.get(path, { query }))
+    );
+    const others = await Promise.all(
+      requests.map(([path, query]) => mockServer.get(path, { query, headers: stranger }))
+    );
+
+    expect(anonymous.map((res) => res.statusCode)).to.deep.equal([401, 401, 401, 401]);
+    expect(others.map((res) => res.statusCode)).to.deep.equal([404, 404, 404, 404]);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Test suite for account identifier schemes: NUBAN, IBAN, Ghana and free-form IDs
+ */
+/* eslint-disable no-unused-expressions */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+const {
+  registerIdentifierScheme,
+  checkAccountId,
+} = require('../services/accounts/identifier-schemes');
+const useInMemoryModel = require('./helpers/in-memory-model');
+const authHeaders = require('./helpers/auth-headers');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/', 'endpoints/accounts/']);
+
+describe('Account Identifiers', () => {
+  const transfer = (currency, debit, credit, extra = {}) =>
+    mockServer.post('/payment-instructions', {
+      body: {
+        accounts: [
+          { id: debit, balance: 500, currency, ...extra },
+          { id: credit, balance: 0, currency },
+        ],
+        instruction: `DEBIT 100 ${currency} FROM ACCOUNT ${debit} FOR CREDIT TO ACCOUNT ${credit}`,
+      },
+    });
+
+  it('should check NUBAN check digits on accounts tagged nuban', async () => {
+    const nuban = { identifier_scheme: 'nuban' };
+    const valid = await transfer('NGN', '0580123456785', 'b', nuban);
+    const typo = await transfer('NGN', '0441234567859', 'b', nuban);
+
+    expect(valid.data.data.status_code).to.equal('AP00');
+    expect(typo.data.data.status_code).to.equal('AC04');
+    expect(typo.data.data.status_reason).to.equal(
+      'NUBAN check digit does not match the bank code and account number: 0441234567859'
+    );
+  });
+
+  it('should check 10-digit NUBANs against the bank code of their account', async () => {
+    const gtb = { bank_code: '058' };
+    const valid = await transfer('NGN', '0123456785', 'b', gtb);
+    const typo = await transfer('NGN', '0123456786', 'b', gtb);
+    const otherBank = await transfer('NGN', '0123456785', 'b', { bank_code: '044' });
+    const tagged = await transfer('NGN', '0123456785', 'b', { ...gtb, identifier_scheme: 'nuban' });
+    const noBankCode = await transfer('NGN', '0123456785', 'b', { identifier_scheme: 'nuban' });
+
+    expect(valid.data.data.status_code).to.equal('AP00');
+    expect(typo.data.data.status_code).to.equal('AC04');
+    expect(otherBank.data.data.status_code).to.equal('AC04');
+    expect(tagged.data.data.status_code).to.equal('AP00');
+    expect(noBankCode.data.data.status_reason).to.equal(
+      'NUBAN account numbers are checked against a 3-digit bank code: 0123456785'
+    );
+  });
+
+  it('should check IBANs against their country length and mod-97 checksum', async () => {
+    const valid = await transfer('GBP', 'GB82WEST12345698765432', 'DE89370400440532013000');
+    const checksum = await transfer('GBP', 'GB82WEST12345698765423', 'b');
+    const length = await transfer('GBP', 'GB82WEST1234569876543', 'b');
+
+    expect(valid.data.data.status_code).to.equal('AP00');
+    expect(checksum.data.data.status_code).to.equal('AC04');
+    expect(checksum.data.data.status_reason).to.include('IBAN checksum (mod 97) does not match');
+    expect(length.data.data.status_reason).to.include('GB IBANs have 22 characters');
+  });
+
+  it('should infer schemes from the ID and currency, and honour tags', async () => {
+    const ghana = await transfer('GHS', '1234567890123', 'b', { identifier_scheme: 'ghana' });
+    const shortGhana = await transfer('GHS', '123456789', 'b', { identifier_scheme: 'ghana' });
+    const freeForm = await transfer('NGN', 'wallet-0441234567859', 'b');
+    const tagged = await transfer('NGN', '0123456789', 'b', { identifier_scheme: 'NUBAN' });
+    const unknown = await transfer('NGN', 'a', 'b', { identifier_scheme: 'swift' });
+    const split = await mockServer.post('/payment-instructions', {
+      body: {
+        accounts: [
+          { id: 'a', balance: 500, currency: 'NGN' },
+          { id: '0123456785', balance: 0, currency: 'NGN', bank_code: '058' },
+          { id: '0123456784', balance: 0, currency: 'NGN', bank_code: '058' },
+        ],
+        instruction:
+          'DEBIT 100 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT 0123456785 60, ACCOUNT 0123456784 40',
+      },
+    });
+
+    expect(ghana.data.data.status_code).to.equal('AP00');
+    expect(shortGhana.data.data.status_reason).to.include('10 to 16 digits');
+    expect(freeForm.data.data.status_code).to.equal('AP00');
+    expect(tagged.data.data.status_reason).to.include('3-digit bank code');
+    expect(unknown.data.data.status_reason).to.equal('Unknown account identifier scheme: swift');
+    expect(split.data.data.status_code).to.equal('AC04');
+  });
+
+  it('should keep accepting IDs no scheme can tell apart from free-form ones', async () => {
+    const cases = [
+      ['GHS', '123456789'],
+      ['NGN', '0441234567859'],
+      ['NGN', '0123456786'],
+      ['USD', 'GB82WEST12345698765423'],
+      ['NGN', 'DE89370400440532013001'],
+    ];
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [currency, id] of cases) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await transfer(currency, id, 'b');
+
+      expect(res.data.data.status_code, id).to.equal('AP00');
+      expect(checkAccountId(id, { currency }).scheme).to.equal('free_form');
+    }
+  });
+
+  it('should run registered schemes', () => {
+    registerIdentifierScheme({
+      name: 'test_wallet',
+      infer: (id) => id.startsWith('tw-'),
+      check: (id) => (id.length === 8 ? null : 'Test wallets have 8 characters'),
+    });
+
+    expect(checkAccountId('tw-12345')).to.deep.equal({ scheme: 'test_wallet', reason: null });
+    expect(checkAccountId('tw-1').reason).to.equal('Test wallets have 8 characters');
+    expect(() => registerIdentifierScheme({ name: 'broken' })).to.throw(
+      'Identifier scheme must have a name and implement check'
+    );
+  });
+
+  describe('With the account store', () => {
+    let accountStore;
+
+    beforeEach(() => {
+      accountStore = useInMemoryModel('Account');
+    });
+
+    afterEach(() => {
+      accountStore.revert();
+    });
+
+    it('should check IDs of new accounts against their scheme', async () => {
+      const nuban = await mockServer.post('/accounts', {
+        headers: authHeaders(),
+        body: { id: '0580123456785', currency: 'NGN', identifier_scheme: 'nuban' },
+      });
+      const typo = await mockServer.post('/accounts', {
+        headers: authHeaders(),
+        body: { id: '0123456786', currency: 'NGN', bank_code: '058' },
+      });
+      const tenDigit = await mockServer.post('/accounts', {
+        headers: authHeaders(),
+        body: { id: '0123456785', currency: 'NGN', bank_code: '058' },
+      });
+      const tagged = await mockServer.post('/accounts', {
+        headers: authHeaders(),
+        body: { id: 'acc-1', currency: 'GBP', identifier_scheme: 'iban' },
+      });
+      const unknown = await mockServer.post('/accounts', {
+        headers: authHeaders(),
+        body: { id: 'acc-2', currency: 'GBP', identifier_scheme: 'swift' },
+      });
+
+      expect(nuban.statusCode).to.equal(201);
+      expect(nuban.data.data.identifier_scheme).to.equal('nuban');
+      expect(tenDigit.data.data).to.include({ identifier_scheme: 'nuban', bank_code: '058' });
+      expect(typo.statusCode).to.equal(400);
+      expect(tagged.statusCode).to.equal(400);
+      expect(unknown.statusCode).to.equal(400);
+      expect(accountStore.records).to.have.lengthOf(2);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Test suite for running payment instructions against the account store
+ */
+/* eslint-disable no-unused-expressions */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+const postTransaction = require('../services/ledger/post-transaction');
+const useInMemoryModel = require('./helpers/in-memory-model');
+const authHeaders = require('./helpers/auth-headers');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/', 'endpoints/accounts/']);
+
+describe('Account Ledger', () => {
+  let accountStore;
+  let journalStore;
+
+  beforeEach(() => {
+    accountStore = useInMemoryModel('Account', [
+      { account_id: 'a', owner_id: 'test-user', balance: 500, currency: 'USD' },
+      { account_id: 'b', owner_id: 'test-user', balance: 100, currency: 'USD' },
+    ]);
+    journalStore = useInMemoryModel('JournalEntry');
+  });
+
+  afterEach(() => {
+    accountStore.revert();
+    journalStore.revert();
+  });
+
+  it('should execute against stored balances and write both journal legs', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: { instruction: 'DEBIT 200 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b' },
+      headers: authHeaders(),
+    });
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.data.data.status_code).to.equal('AP00');
+    expect(res.data.data.transaction_id).to.be.a('string');
+    expect(res.data.data.accounts.map((a) => a.balance)).to.deep.equal([300, 300]);
+
+    expect(accountStore.records.map((a) => a.balance)).to.deep.equal([300, 300]);
+
+    const legs = journalStore.records;
+    expect(legs).to.have.lengthOf(2);
+    expect(legs[0]).to.include({
+      transaction_id: res.data.data.transaction_id,
+      account_id: 'a',
+      entry_type: 'debit',
+      amount: 200,
+      balance_before: 500,
+      balance_after: 300,
+    });
+    expect(legs[1]).to.include({
+      account_id: 'b',
+      entry_type: 'credit',
+      balance_before: 100,
+      balance_after: 300,
+    });
+  });
+
+  it('should validate against stored balances', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: { instruction: 'DEBIT 900 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b' },
+      headers: authHeaders(),
+    });
+
+    expect(res.statusCode).to.equal(400);
+    expect(res.data.data.status_code).to.equal('AC01');
+    expect(journalStore.records).to.be.empty;
+  });
+
+  it('should not let concurrent debits spend the same balance twice', async () => {
+    const debit = 'DEBIT 500 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b';
+    const results = await Promise.all([
+      mockServer.post('/payment-instructions', {
+        body: { instruction: debit },
+        headers: authHeaders(),
+      }),
+      mockServer.post('/payment-instructions', {
+        body: { instruction: debit },
+        headers: authHeaders(),
+      }),
+    ]);
+
+    expect(results.filter((res) => res.statusCode === 200)).to.have.lengthOf(1);
+    expect(accountStore.records.map((a) => a.balance)).to.deep.equal([0, 600]);
+    expect(journalStore.records).to.have.lengthOf(2);
+  });
+
+  it('should check funds again when posting, held amounts and overdraft included', async () => {
+    // Validated at 500, but another posting has since spent the balance
+    const posting = {
+      debit_account: 'a',
+      credit_account: 'b',
+      amount: 500,
+      currency: 'USD',
+      instruction: 'DEBIT 500 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    };
+    await postTransaction(posting);
+
+    const spent = await postTransaction(posting).catch((e) => e);
+
+    expect(spent.message).to.include('Available balance no longer covers the transaction');
+    expect(accountStore.records.map((a) => a.balance)).to.deep.equal([0, 600]);
+
+    // An arranged overdraft covers the posting; an amount on hold does not
+    accountStore.records[1].overdraft_limits = [{ currency: 'USD', limit: 50 }];
+    accountStore.records[1].held_amount = 600;
+    await postTransaction({ ...posting, debit_account: 'b', credit_account: 'a', amount: 40 });
+    const held = await postTransaction({
+      ...posting,
+      debit_account: 'b',
+      credit_account: 'a',
+      amount: 20,
+    }).catch((e) => e);
+
+    expect(held.message).to.include('Available balance no longer covers the transaction');
+    expect(accountStore.records.map((a) => a.balance)).to.deep.equal([40, 560]);
+  });
+
+  it('should only move stored balances for the owner of the debit account', async () => {
+    const instruction = 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b';
+
+    const anonymous = await mockServer.post('/payment-instructions', { body: { instruction } });
+    const stranger = await mockServer.post('/payment-instructions', {
+      body: { instruction },
+      headers: authHeaders({ user_id: 'someone-else' }),
+    });
+    const credit = await mockServer.post('/payment-instructions', {
+      body: { instruction: 'CREDIT 100 USD TO ACCOUNT b FOR DEBIT FROM ACCOUNT a' },
+      headers: authHeaders({ user_id: 'someone-else' }),
+    });
+
+    expect(anonymous.statusCode).to.equal(401);
+    expect(stranger.statusCode).to.equal(401);
+    expect(credit.statusCode).to.equal(401);
+    expect(accountStore.records.map((a) => a.balance)).to.deep.equal([500, 100]);
+    expect(journalStore.records).to.be.empty;
+  });
+
+  it('should report unknown stored accounts as AC03', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: { instruction: 'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT zzz' },
+      headers: authHeaders(),
+    });
+
+    expect(res.statusCode).to.equal(400);
+    expect(res.data.data.status_code).to.equal('AC03');
+  });
+
+  it('should not post pending instructions', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: { instruction: 'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2099-01-01' },
+      headers: authHeaders(),
+    });
+
+    expect(res.data.data.status_code).to.equal('AP02');
+    expect(journalStore.records).to.be.empty;
+    expect(accountStore.records[0].balance).to.equal(500);
+  });
+
+  it('should open and fetch accounts', async () => {
+    const created = await mockServer.post('/accounts', {
+      headers: authHeaders(),
+      body: { id: 'c', currency: 'ngn', balance: 50 },
+    });
+
+    expect(created.statusCode).to.equal(201);
+    expect(created.data.data).to.include({ id: 'c', currency: 'NGN', balance: 50 });
+    expect(accountStore.records.find((account) => account.account_id === 'c').owner_id).to.equal(
+      'test-user'
+    );
+
+    const anonymous = await mockServer.post('/accounts', {
+      body: { id: 'd', currency: 'NGN', balance: 1000000 },
+    });
+    expect(anonymous.statusCode).to.equal(401);
+    expect(accountStore.records.find((account) => account.account_id === 'd')).to.be.undefined;
+
+    const duplicate = await mockServer.post('/accounts', {
+      headers: authHeaders(),
+      body: { id: 'c', currency: 'NGN' },
+    });
+    expect(duplicate.statusCode).to.equal(409);
+
+    const fetched = await mockServer.get('/accounts/c', { headers: authHeaders() });
+    expect(fetched.statusCode).to.equal(200);
+    expect(fetched.data.data.balance).to.equal(50);
+
+    const missing = await mockServer.get('/accounts/none', { headers: authHeaders() });
+    expect(missing.statusCode).to.equal(404);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Test suite for per-currency business-day calendars, cut-off times and value dates
+ */
+/* eslint-disable no-unused-expressions */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+const { setClock, resetClock } = require('../services/calendar/helpers/clock');
+const useInMemoryModel = require('./helpers/in-memory-model');
+const authHeaders = require('./helpers/auth-headers');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/']);
+
+// Thursday 24 December 2026: 15:30 in Lagos, 14:30 in London
+const NOW = Date.parse('2026-12-24T14:30:00Z');
+
+describe('Business Calendars', () => {
+  beforeEach(() => {
+    setClock(() => NOW);
+  });
+
+  afterEach(() => {
+    resetClock();
+  });
+
+  const post = (currency, date) =>
+    mockServer.post('/payment-instructions', {
+      body: {
+        accounts: [
+          { id: 'a', balance: 500, currency },
+          { id: 'b', balance: 0, currency },
+        ],
+        instruction: `DEBIT 100 ${currency} FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON ${date}`,
+      },
+    });
+
+  it('should run today-dated instructions before the cut-off', async () => {
+    const res = await post('GBP', '2026-12-24');
+
+    expect(res.data.data).to.include({
+      status_code: 'AP00',
+      execute_by: '2026-12-24',
+      value_date: '2026-12-24',
+    });
+    expect(res.data.data.accounts[0].balance).to.equal(400);
+  });
+
+  it('should roll past the cut-off, holidays and weekends to the next business day', async () => {
+    const afterCutOff = await post('NGN', '2026-12-24');
+    const saturday = await post('USD', '2026-12-26');
+    const businessDay = await post('USD', '2026-12-29');
+
+    expect(afterCutOff.data.data).to.include({ status_code: 'AP02', value_date: '2026-12-28' });
+    expect(afterCutOff.data.data.accounts[0].balance).to.equal(500);
+    expect(saturday.data.data).to.include({ status_code: 'AP02', value_date: '2026-12-28' });
+    expect(businessDay.data.data.value_date).to.equal('2026-12-29');
+  });
+
+  it('should reject non-business days where the currency does not roll them', async () => {
+    const holiday = await post('GBP', '2026-12-25');
+    const saturday = await post('GBP', '2026-12-26');
+    const past = await post('GBP', '2024-01-15');
+
+    expect(holiday.data.data.status_code).to.equal('DT01');
+    expect(holiday.data.data.status_reason).to.include('not a business day');
+    expect(holiday.data.data).to.not.have.property('value_date');
+    expect(saturday.data.data.status_code).to.equal('DT01');
+    expect(past.data.data.status_code).to.equal('AP00');
+  });
+
+  it("should read dates in the currency's timezone and give past dates a value date", async () => {
+    // 21:00 on Monday 2 November in New York
+    setClock(() => Date.parse('2026-11-03T02:00:00Z'));
+
+    const tomorrow = await post('USD', '2026-11-03');
+    const today = await post('USD', '2026-11-02');
+    const past = await post('USD', '2026-10-30');
+
+    expect(tomorrow.data.data).to.include({ status_code: 'AP02', value_date: '2026-11-03' });
+    expect(today.data.data).to.include({ status_code: 'AP00', value_date: '2026-11-02' });
+    expect(past.data.data).to.include({ status_code: 'AP00', value_date: '2026-11-02' });
+  });
+
+  it('should run past dates at once, on weekends and after the cut-off too', async () => {
+    // Saturday 7 November 2026, noon UTC
+    setClock(() => Date.parse('2026-11-07T12:00:00Z'));
+    const weekend = await post('USD', '2024-01-15');
+
+    // Tuesday 10 November 2026, 17:00 in Lagos
+    setClock(() => Date.parse('2026-11-10T16:00:00Z'));
+    const afterCutOff = await post('NGN', '2024-01-15');
+
+    expect(weekend.data.data).to.include({ status_code: 'AP00', value_date: '2026-11-07' });
+    expect(weekend.data.data.accounts[0].balance).to.equal(400);
+    expect(afterCutOff.data.data).to.include({ status_code: 'AP00', value_date: '2026-11-10' });
+  });
+
+  describe('With the account store', () => {
+    let accountStore;
+    let journalStore;
+    let pendingStore;
+
+    beforeEach(() => {
+      accountStore = useInMemoryModel('Account', [
+        { account_id: 'a', owner_id: 'test-user', balance: 500, currency: 'NGN' },
+        { account_id: 'b', owner_id: 'test-user', balance: 0, currency: 'NGN' },
+      ]);
+      journalStore = useInMemoryModel('JournalEntry');
+      pendingStore = useInMemoryModel('PendingInstruction');
+    });
+
+    afterEach(() => {
+      accountStore.revert();
+      journalStore.revert();
+      pendingStore.revert();
+    });
+
+    it('should hold rolled instructions until their value date', async () => {
+      const res = await mockServer.post('/payment-instructions', {
+        body: { instruction: 'DEBIT 100 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2026-12-25' },
+        headers: authHeaders(),
+      });
+
+      expect(res.data.data).to.include({ status_code: 'AP02', value_date: '2026-12-28' });
+      expect(pendingStore.records[0]).to.include({
+        execute_by: '2026-12-25',
+        value_date: '2026-12-28',
+        due_at: Date.parse('2026-12-28T00:00:00+01:00'),
+      });
+      expect(journalStore.records).to.be.empty;
+    });
+
+    it("should fall due at the start of the value date in the currency's timezone", async () => {
+      setClock(() => Date.parse('2026-11-03T02:00:00Z'));
+      accountStore.records[0].currency = 'USD';
+      accountStore.records[1].currency = 'USD';
+
+      await mockServer.post('/payment-instructions', {
+        body: { instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2026-11-03' },
+        headers: authHeaders(),
+      });
+
+      expect(pendingStore.records[0]).to.include({
+        value_date: '2026-11-03',
+        due_at: Date.parse('2026-11-03T00:00:00-05:00'),
+      });
+      expect(pendingStore.records[0].due_at).to.be.above(Date.parse('2026-11-03T02:00:00Z'));
+    });
+  });
+});
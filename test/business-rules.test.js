@@ -0,0 +1,114 @@
+/**
+ * Test suite for the business rule registry and per-tenant rule sets
+ */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+const { registerRule, registerRuleSet } = require('../services/payment-processor/rules');
+const authHeaders = require('./helpers/auth-headers');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/']);
+
+const accounts = [
+  { id: 'a', balance: 100, currency: 'USD' },
+  { id: 'b', balance: 0, currency: 'GBP' },
+];
+const instruction = 'DEBIT 500 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b';
+
+registerRule({
+  name: 'no-round-amounts',
+  priorities: { RL01: 30 },
+  appliesTo: ({ parsed }) => parsed.type === 'DEBIT',
+  check({ parsed }) {
+    return parsed.amount % 100 === 0
+      ? [{ code: 'RL01', message: 'Round amounts are not accepted', ...parsed.positions.amount }]
+      : [];
+  },
+});
+
+registerRuleSet('wallet', { disabled: ['sufficient-funds'] }, ['wallet-co']);
+registerRuleSet('strict', { add: ['no-round-amounts'], priorities: { RL01: 1, AC01: 2 } }, [
+  'strict-co',
+]);
+
+describe('Business Rules', () => {
+  const post = (tenant, body = { accounts, instruction }, headers = {}) =>
+    mockServer.post('/payment-instructions', {
+      body,
+      headers: tenant ? { ...headers, ...authHeaders({ tenant_id: tenant }) } : headers,
+    });
+
+  it('should report the most important error of the default rule set', async () => {
+    const res = await post(null, { accounts, instruction }, { 'x-diagnostics': 'true' });
+
+    expect(res.data.data.status_code).to.equal('CU01');
+    expect(res.data.data.errors.map((e) => e.code)).to.deep.equal(['CU01', 'AC01']);
+  });
+
+  it("should skip the rules a tenant's rule set disables", async () => {
+    const res = await post('wallet-co', {
+      accounts: [accounts[0], { id: 'b', balance: 0, currency: 'USD' }],
+      instruction,
+    });
+
+    expect(res.data.data.status_code).to.equal('AP00');
+    expect(res.data.data.accounts[0].balance).to.equal(-400);
+  });
+
+  it('should run added rules and read priorities from the rule set', async () => {
+    const res = await post('strict-co');
+    const unknownTenant = await post('someone-else');
+
+    expect(res.data.data.status_code).to.equal('RL01');
+    expect(res.data.data.status_reason).to.equal('Round amounts are not accepted');
+    expect(unknownTenant.data.data.status_code).to.equal('CU01');
+
+    const funds = await post('strict-co', {
+      accounts,
+      instruction: 'DEBIT 150 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    });
+    expect(funds.data.data.status_code).to.equal('AC01');
+  });
+
+  it('should only take the tenant from a verified token', async () => {
+    const walletBody = {
+      accounts: [accounts[0], { id: 'b', balance: 0, currency: 'USD' }],
+      instruction,
+    };
+
+    const claimed = await post(null, walletBody, { 'x-tenant-id': 'wallet-co' });
+    const forged = await post(null, walletBody, { authorization: 'Bearer forged.token.value' });
+    const batch = await mockServer.post('/payment-instructions/batch', {
+      body: { accounts: walletBody.accounts, instructions: [instruction] },
+      headers: { 'x-tenant-id': 'wallet-co' },
+    });
+
+    expect(claimed.data.data.status_code).to.equal('AC01');
+    expect(forged.statusCode).to.equal(401);
+    expect(batch.data.data.results[0].status_code).to.equal('AC01');
+
+    const tenantBatch = await mockServer.post('/payment-instructions/batch', {
+      body: { accounts: walletBody.accounts, instructions: [instruction] },
+      headers: authHeaders({ tenant_id: 'wallet-co' }),
+    });
+    expect(tenantBatch.data.data.results[0].status_code).to.equal('AP00');
+  });
+
+  it('should pick the rule set of the environment when the tenant has none', async () => {
+    process.env.BUSINESS_RULE_SET = 'wallet';
+
+    try {
+      const res = await post(null, {
+        accounts: [accounts[0], { id: 'b', balance: 0, currency: 'USD' }],
+        instruction,
+      });
+
+      expect(res.data.data.status_code).to.equal('AP00');
+    } finally {
+      delete process.env.BUSINESS_RULE_SET;
+    }
+  });
+
+  it('should refuse rules without a check', () => {
+    expect(() => registerRule({ name: 'broken' })).to.throw('implement check');
+  });
+});
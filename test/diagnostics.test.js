@@ -0,0 +1,90 @@
+/**
+ * Test suite for diagnostics mode: every error with its token position
+ */
+/* eslint-disable no-unused-expressions */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/']);
+
+describe('Diagnostics Mode', () => {
+  const accounts = [
+    { id: 'a', balance: 100, currency: 'USD' },
+    { id: 'b', balance: 500, currency: 'USD' },
+  ];
+
+  it('should leave the response unchanged without diagnostics', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: { accounts, instruction: 'DEBIT 500 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b' },
+    });
+
+    expect(res.data.data.errors).to.be.undefined;
+  });
+
+  it('should return every error with token positions, most important first', async () => {
+    const instruction = 'DEBIT  500 EUR FROM ACCOUNT a FOR CREDIT TO ACCOUNT x!y';
+    const res = await mockServer.post('/payment-instructions', {
+      body: { accounts, instruction },
+      query: { diagnostics: 'true' },
+    });
+
+    expect(res.statusCode).to.equal(400);
+    expect(res.data.data.status_code).to.equal('AC04');
+    expect(res.data.data.errors.map((e) => e.code)).to.deep.equal(['AC04', 'AC03', 'CU02']);
+
+    const [invalidAccount, , unsupportedCurrency] = res.data.data.errors;
+    expect(invalidAccount).to.deep.include({ token_index: 10, start: 52, end: 55 });
+    expect(instruction.substring(invalidAccount.start, invalidAccount.end)).to.equal('x!y');
+    expect(instruction.substring(unsupportedCurrency.start, unsupportedCurrency.end)).to.equal(
+      'EUR'
+    );
+  });
+
+  it('should point syntax errors at the offending word', async () => {
+    const instruction = 'DEBIT 100 USD FROM ACCOUNT a TO CREDIT TO ACCOUNT b';
+    const res = await mockServer.post('/payment-instructions', {
+      body: { accounts, instruction },
+      headers: { 'x-diagnostics': 'true' },
+    });
+
+    const [error] = res.data.data.errors;
+    expect(error).to.deep.include({ code: 'SY01', token_index: 6 });
+    expect(instruction.substring(error.start, error.end)).to.equal('TO');
+  });
+
+  it('should point at the end of the instruction when a word is missing', async () => {
+    const instruction = 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ';
+    const res = await mockServer.post('/payment-instructions', {
+      body: { accounts, instruction },
+      query: { diagnostics: 'true' },
+    });
+
+    expect(res.data.data.errors[0]).to.deep.include({
+      code: 'SY03',
+      token_index: null,
+      start: 42,
+      end: 42,
+    });
+  });
+
+  it('should keep offsets of quoted narrations', async () => {
+    const instruction = 'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b NARRATION "" REF r#1';
+    const res = await mockServer.post('/payment-instructions', {
+      body: { accounts, instruction },
+      query: { diagnostics: 'true' },
+    });
+
+    const positions = res.data.data.errors.map((e) => instruction.substring(e.start, e.end));
+    expect(positions).to.deep.equal(['""', 'r#1']);
+  });
+
+  it('should return an empty list for a valid instruction', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: { accounts, instruction: 'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b' },
+      query: { diagnostics: 'true' },
+    });
+
+    expect(res.data.data.status_code).to.equal('AP00');
+    expect(res.data.data.errors).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Test suite for ON clause dates and date-times, checked against a pinned clock
+ */
+/* eslint-disable no-unused-expressions */
+const { expect } = require('chai');
+const cronParser = require('cron-parser');
+const createMockServer = require('@app-core/mock-server');
+const executePendingInstructions = require('../workers/execute-pending-instructions');
+const { setClock, resetClock } = require('../services/calendar/helpers/clock');
+const useInMemoryModel = require('./helpers/in-memory-model');
+const authHeaders = require('./helpers/auth-headers');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/']);
+
+// Monday 2 November 2026, 07:30 UTC
+const NOW = Date.parse('2026-11-02T07:30:00Z');
+
+describe('Execution Dates', () => {
+  const transfer = 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b';
+  const accounts = [
+    { id: 'a', balance: 500, currency: 'USD' },
+    { id: 'b', balance: 0, currency: 'USD' },
+  ];
+
+  const post = (instruction) =>
+    mockServer.post('/payment-instructions', { body: { accounts, instruction } });
+
+  beforeEach(() => {
+    setClock(() => NOW);
+  });
+
+  afterEach(() => {
+    resetClock();
+  });
+
+  it('should accept real calendar dates only, leap days included', async () => {
+    const cases = [
+      ['2027-02-31', 'DT01'],
+      ['2027-02-29', 'DT01'],
+      ['2100-02-29', 'DT01'],
+      ['2027-04-31', 'DT01'],
+      ['2028-02-29', 'AP02'],
+      ['2000-02-29', 'AP00'],
+    ];
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [date, statusCode] of cases) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await post(`${transfer} ON ${date}`);
+
+      expect(res.data.data.status_code, date).to.equal(statusCode);
+    }
+
+    const invalid = await post(`${transfer} ON 2027-02-31`);
+    expect(invalid.data.data.status_reason).to.equal('Date does not exist: 2027-02-31');
+
+    const until = await post(`${transfer} EVERY MONTH UNTIL 2027-02-29`);
+    expect(until.data.data.status_code).to.equal('DT01');
+  });
+
+  it('should run date-times with offsets once their instant has passed', async () => {
+    const due = await post(`${transfer} ON 2026-11-02T08:00:00+01:00`);
+    const later = await post(`${transfer} ON 2026-11-02T09:00:00+01:00`);
+    const utc = await post(`${transfer} ON 2026-11-02T07:29Z`);
+
+    expect(due.data.data).to.include({
+      status_code: 'AP00',
+      execute_by: '2026-11-02T08:00:00+01:00',
+      value_date: '2026-11-02',
+    });
+    expect(later.data.data.status_code).to.equal('AP02');
+    expect(utc.data.data.status_code).to.equal('AP00');
+  });
+
+  it('should reject date-times without an offset or with impossible parts', async () => {
+    const cases = [
+      '2026-11-02T09:00:00',
+      '2026-11-02T24:00Z',
+      '2026-11-02T09:60Z',
+      '2026-11-02T09:00+15:00',
+      '2026-11-02T9:00Z',
+      '2026-02-30T09:00Z',
+    ];
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const date of cases) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await post(`${transfer} ON ${date}`);
+
+      expect(res.data.data.status_code, date).to.equal('DT01');
+    }
+  });
+
+  describe('With the account store', () => {
+    let accountStore;
+    let journalStore;
+    let pendingStore;
+
+    beforeEach(() => {
+      accountStore = useInMemoryModel('Account', [
+        { account_id: 'a', owner_id: 'test-user', balance: 500, currency: 'NGN' },
+        { account_id: 'b', owner_id: 'test-user', balance: 0, currency: 'NGN' },
+      ]);
+      journalStore = useInMemoryModel('JournalEntry');
+      pendingStore = useInMemoryModel('PendingInstruction');
+    });
+
+    afterEach(() => {
+      accountStore.revert();
+      journalStore.revert();
+      pendingStore.revert();
+    });
+
+    it('should hold timed instructions until their instant, on the local day', async () => {
+      const res = await mockServer.post('/payment-instructions', {
+        body: {
+          instruction:
+            'DEBIT 100 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2026-11-04T00:30:00+01:00',
+        },
+        headers: authHeaders(),
+      });
+
+      expect(res.data.data).to.include({ status_code: 'AP02', value_date: '2026-11-04' });
+      expect(pendingStore.records[0]).to.include({
+        execute_by: '2026-11-04T00:30:00+01:00',
+        value_date: '2026-11-04',
+        due_at: Date.parse('2026-11-03T23:30:00Z'),
+      });
+
+      setClock(() => Date.parse('2026-11-03T23:00:00Z'));
+      await executePendingInstructions.processor({ id: 'job-1', data: {} });
+      expect(pendingStore.records[0].status).to.equal('pending');
+
+      setClock(() => Date.parse('2026-11-03T23:30:00Z'));
+      await executePendingInstructions.processor({ id: 'job-2', data: {} });
+      expect(pendingStore.records[0]).to.include({ status: 'successful', status_code: 'AP00' });
+      expect(accountStore.records.map((a) => a.balance)).to.deep.equal([400, 100]);
+    });
+
+    it('should execute timed instructions within a minute of their instant, on the worker schedule', async () => {
+      await mockServer.post('/payment-instructions', {
+        body: {
+          instruction:
+            'DEBIT 100 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2026-11-04T14:45:30+01:00',
+        },
+        headers: authHeaders(),
+      });
+      const dueAt = pendingStore.records[0].due_at;
+
+      // Runs of the schedule the worker repeats on, either side of the instant
+      const { repeat } = executePendingInstructions.scheduler_options;
+      expect(executePendingInstructions.scheduler_options).to.include({ removeOnComplete: true });
+      const runs = cronParser.parseExpression(repeat.cron, {
+        currentDate: new Date(dueAt),
+        tz: repeat.tz,
+      });
+      const nextRun = runs.next().getTime();
+      const previousRun = runs.prev().getTime();
+
+      setClock(() => previousRun);
+      await executePendingInstructions.processor({ id: 'job-1', data: {} });
+      expect(pendingStore.records[0].status).to.equal('pending');
+
+      setClock(() => nextRun);
+      await executePendingInstructions.processor({ id: 'job-2', data: {} });
+      expect(pendingStore.records[0].status).to.equal('successful');
+      expect(nextRun - dueAt).to.be.below(60 * 1000);
+    });
+
+    it('should execute an instruction due at local midnight once, ahead of UTC midnight', async () => {
+      await mockServer.post('/payment-instructions', {
+        body: { instruction: 'DEBIT 100 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2026-11-04' },
+        headers: authHeaders(),
+      });
+      expect(pendingStore.records[0].due_at).to.equal(Date.parse('2026-11-03T23:00:00Z'));
+
+      // eslint-disable-next-line no-restricted-syntax
+      for (const at of ['2026-11-03T23:00:00Z', '2026-11-03T23:01:00Z', '2026-11-04T00:01:00Z']) {
+        setClock(() => Date.parse(at));
+        // eslint-disable-next-line no-await-in-loop
+        await executePendingInstructions.processor({ id: at, data: {} });
+      }
+
+      expect(pendingStore.records).to.have.lengthOf(1);
+      expect(pendingStore.records[0]).to.include({ status: 'successful', status_code: 'AP00' });
+      expect(journalStore.records).to.have.lengthOf(2);
+      expect(accountStore.records.map((a) => a.balance)).to.deep.equal([400, 100]);
+    });
+  });
+});
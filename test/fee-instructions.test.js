@@ -0,0 +1,162 @@
+/**
+ * Test suite for fee clauses in payment instructions
+ */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+const calculateFee = require('@app/services/fees/calculate-fee');
+const useInMemoryModel = require('./helpers/in-memory-model');
+const authHeaders = require('./helpers/auth-headers');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/']);
+
+describe('Fee Clauses', () => {
+  const accounts = [
+    { id: 'a', balance: 500, currency: 'USD' },
+    { id: 'b', balance: 100, currency: 'USD' },
+    { id: 'fees', balance: 0, currency: 'USD' },
+  ];
+
+  it('should charge an explicit fee to the fee account', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: {
+        accounts,
+        instruction:
+          'DEBIT 200 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b WITH FEE 50 TO ACCOUNT fees',
+      },
+    });
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.data.data.status_code).to.equal('AP00');
+    expect(res.data.data.fee).to.deep.equal({
+      amount: 50,
+      amount_minor: 5000,
+      currency: 'USD',
+      account: 'fees',
+      source: 'instruction',
+    });
+    expect(res.data.data.accounts.map((a) => [a.id, a.balance_before, a.balance])).to.deep.equal([
+      ['a', 500, 250],
+      ['b', 100, 300],
+      ['fees', 0, 50],
+    ]);
+  });
+
+  it('should price the fee from the schedule when the clause has no amount', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: {
+        accounts,
+        instruction:
+          'DEBIT 200 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b WITH FEE TO ACCOUNT fees',
+      },
+    });
+
+    // USD schedule: 1%, at least 0.50
+    expect(res.data.data.fee).to.include({ amount: 2, source: 'schedule', schedule: 'percentage' });
+    expect(res.data.data.accounts[0].balance).to.equal(298);
+    expect(res.data.data.accounts[2].balance).to.equal(2);
+  });
+
+  it('should accept the fee clause before or after the date', async () => {
+    const instructions = [
+      'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b WITH FEE 1 TO ACCOUNT fees ON 2099-01-01',
+      'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2099-01-01 WITH FEE 1 TO ACCOUNT fees',
+    ];
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const instruction of instructions) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await mockServer.post('/payment-instructions', {
+        body: { accounts, instruction },
+      });
+
+      expect(res.data.data.status_code).to.equal('AP02');
+      expect(res.data.data.fee.amount).to.equal(1);
+    }
+  });
+
+  it('should require the debit account to cover amount plus fee', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: {
+        accounts,
+        instruction:
+          'DEBIT 480 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b WITH FEE 50 TO ACCOUNT fees',
+      },
+    });
+
+    expect(res.statusCode).to.equal(400);
+    expect(res.data.data.status_code).to.equal('AC01');
+    expect(res.data.data.status_reason).to.include('needs 530 (480 + 50 fee)');
+  });
+
+  it('should validate the fee clause', async () => {
+    const cases = [
+      ['WITH FEE 50 TO ACCOUNT nowhere', 'AC03'],
+      ['WITH FEE 50 TO ACCOUNT a', 'AC02'],
+      ['WITH FEE 0.001 TO ACCOUNT fees', 'AM01'],
+      ['WITH FEE 50 ACCOUNT fees', 'SY01'],
+      ['WITH FEE 50 TO ACCOUNT fees EXTRA', 'SY03'],
+    ];
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [clause, statusCode] of cases) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await mockServer.post('/payment-instructions', {
+        body: {
+          accounts,
+          instruction: `DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ${clause}`,
+        },
+      });
+
+      expect(res.data.data.status_code, clause).to.equal(statusCode);
+    }
+  });
+
+  it('should post the fee legs against the account store', async () => {
+    const accountStore = useInMemoryModel('Account', [
+      { account_id: 'a', owner_id: 'test-user', balance: 500, currency: 'USD' },
+      { account_id: 'b', owner_id: 'test-user', balance: 100, currency: 'USD' },
+      { account_id: 'fees', owner_id: 'test-user', balance: 0, currency: 'USD' },
+    ]);
+    const journalStore = useInMemoryModel('JournalEntry');
+
+    try {
+      const res = await mockServer.post('/payment-instructions', {
+        body: {
+          instruction:
+            'DEBIT 200 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b WITH FEE 5 TO ACCOUNT fees',
+        },
+        headers: authHeaders(),
+      });
+
+      expect(res.data.data.status_code).to.equal('AP00');
+      expect(accountStore.records.map((a) => a.balance)).to.deep.equal([295, 300, 5]);
+      expect(
+        journalStore.records.map((leg) => [leg.account_id, leg.entry_type, leg.balance_after])
+      ).to.deep.equal([
+        ['a', 'debit', 300],
+        ['b', 'credit', 300],
+        ['a', 'debit', 295],
+        ['fees', 'credit', 5],
+      ]);
+    } finally {
+      accountStore.revert();
+      journalStore.revert();
+    }
+  });
+
+  describe('Fee schedules', () => {
+    it('should price flat, percentage and tiered schedules in minor units', async () => {
+      expect((await calculateFee({ currency: 'GHS', amount: 999 })).amount).to.equal(1);
+      expect((await calculateFee({ currency: 'USD', amount: 10 })).amount).to.equal(0.5);
+      expect((await calculateFee({ currency: 'USD', amount: 123.45 })).amount).to.equal(1.23);
+      expect((await calculateFee({ currency: 'USD', amount: 100000 })).amount).to.equal(25);
+      expect((await calculateFee({ currency: 'NGN', amount: 5000 })).amount).to.equal(10);
+      expect((await calculateFee({ currency: 'NGN', amount: 5000.01 })).amount).to.equal(25);
+      expect((await calculateFee({ currency: 'NGN', amount: 1000000 })).amount).to.equal(50);
+    });
+
+    it('should return null for currencies without a schedule', async () => {
+      expect(await calculateFee({ currency: 'EUR', amount: 10 })).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Test suite for the instruction formatter (structured JSON to instruction text)
+ */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/']);
+
+describe('Instruction Formatter', () => {
+  it('should render a DEBIT instruction', async () => {
+    const res = await mockServer.post('/payment-instructions/format', {
+      body: {
+        type: 'debit',
+        amount: 30,
+        currency: 'usd',
+        debit_account: 'a',
+        credit_account: 'b',
+      },
+    });
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.data.data.instruction).to.equal(
+      'DEBIT 30 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b'
+    );
+    expect(res.data.data.round_trip).to.include({ status_code: 'AP00', amount: 30 });
+  });
+
+  it('should render a CREDIT instruction with every trailing clause', async () => {
+    const res = await mockServer.post('/payment-instructions/format', {
+      body: {
+        type: 'CREDIT',
+        amount: 10.5,
+        currency: 'GHS',
+        debit_account: 'src',
+        credit_account: 'dst',
+        execute_by: '2099-12-31',
+        fee_amount: 1,
+        fee_account: 'fees',
+        reference: 'INV-1',
+        narration: 'School fees',
+      },
+    });
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.data.data.instruction).to.equal(
+      'CREDIT 10.50 GHS TO ACCOUNT dst FOR DEBIT FROM ACCOUNT src WITH FEE 1 TO ACCOUNT fees ON 2099-12-31 REF INV-1 NARRATION "School fees"'
+    );
+    expect(res.data.data.round_trip).to.include({
+      status_code: 'AP02',
+      execute_by: '2099-12-31',
+      reference: 'INV-1',
+      narration: 'School fees',
+    });
+    expect(res.data.data.round_trip.fee).to.include({ amount: 1, account: 'fees' });
+  });
+
+  it('should reject fields that do not survive the round trip', async () => {
+    const cases = [
+      [{ debit_account: 'a!b' }, 'AC04'],
+      [{ amount: 10.005 }, 'AM01'],
+      [{ currency: 'EUR' }, 'CU02'],
+      [{ execute_by: '2026/01/01' }, 'DT01'],
+      [{ credit_account: 'a' }, 'AC02'],
+      [{ narration: 'say "hi"' }, 'SY03'],
+    ];
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [overrides, statusCode] of cases) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await mockServer.post('/payment-instructions/format', {
+        body: {
+          type: 'DEBIT',
+          amount: 10,
+          currency: 'USD',
+          debit_account: 'a',
+          credit_account: 'b',
+          ...overrides,
+        },
+      });
+
+      expect(res.statusCode, statusCode).to.equal(400);
+      expect(res.data.data.status_code).to.equal(statusCode);
+      expect(res.data.message).to.include('does not parse back');
+    }
+  });
+
+  it('should reject a fee amount without a fee account', async () => {
+    const res = await mockServer.post('/payment-instructions/format', {
+      body: {
+        type: 'DEBIT',
+        amount: 10,
+        currency: 'USD',
+        debit_account: 'a',
+        credit_account: 'b',
+        fee_amount: 1,
+      },
+    });
+
+    expect(res.statusCode).to.equal(400);
+    expect(res.data.message).to.include('fee_account is required');
+  });
+});
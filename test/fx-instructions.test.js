@@ -0,0 +1,103 @@
+/**
+ * Test suite for cross-currency (FX mode) payment instructions
+ */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+const { registerRateProvider } = require('@app/services/fx/rate-providers');
+const useInMemoryModel = require('./helpers/in-memory-model');
+const authHeaders = require('./helpers/auth-headers');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/']);
+
+describe('FX Payment Instructions', () => {
+  const accounts = [
+    { id: 'usd-wallet', balance: 500, currency: 'USD' },
+    { id: 'ngn-wallet', balance: 1000, currency: 'NGN' },
+  ];
+  const instruction = 'DEBIT 100 USD FROM ACCOUNT usd-wallet FOR CREDIT TO ACCOUNT ngn-wallet';
+
+  it('should keep rejecting cross-currency pairs outside FX mode', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: { accounts, instruction },
+    });
+
+    expect(res.statusCode).to.equal(400);
+    expect(res.data.data.status_code).to.equal('CU01');
+  });
+
+  it('should credit the converted amount at the configured rate', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: { accounts, instruction, allow_fx: true },
+    });
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.data.data.status_code).to.equal('AP00');
+    expect(res.data.data.fx).to.deep.equal({
+      from_currency: 'USD',
+      to_currency: 'NGN',
+      rate: 1500,
+      converted_amount: 150000,
+      converted_amount_minor: 15000000,
+      rounding: 'half_up',
+      source: 'json',
+    });
+    expect(res.data.data.accounts.map((a) => a.balance)).to.deep.equal([400, 151000]);
+  });
+
+  it('should round the converted amount to the minor unit of the credit currency', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: {
+        accounts: [
+          { id: 'ngn', balance: 500, currency: 'NGN' },
+          { id: 'usd', balance: 0, currency: 'USD' },
+        ],
+        instruction: 'DEBIT 100 NGN FROM ACCOUNT ngn FOR CREDIT TO ACCOUNT usd',
+        allow_fx: true,
+      },
+    });
+
+    // 100 * 0.000667 = 0.0667 USD = 6.67 cents
+    expect(res.data.data.fx.converted_amount).to.equal(0.07);
+    expect(res.data.data.fx.converted_amount_minor).to.equal(7);
+    expect(res.data.data.accounts[1].balance).to.equal(0.07);
+  });
+
+  it('should fail with CU01 when no rate exists for the pair', async () => {
+    registerRateProvider('empty', { getRate: async () => null });
+    process.env.FX_RATE_PROVIDER = 'empty';
+
+    try {
+      const res = await mockServer.post('/payment-instructions', {
+        body: { accounts, instruction, allow_fx: true },
+      });
+
+      expect(res.statusCode).to.equal(400);
+      expect(res.data.data.status_code).to.equal('CU01');
+      expect(res.data.data.status_reason).to.include('No FX rate available for: USD to NGN');
+    } finally {
+      delete process.env.FX_RATE_PROVIDER;
+    }
+  });
+
+  it('should post both currencies to the ledger', async () => {
+    const accountStore = useInMemoryModel('Account', [
+      { account_id: 'usd-wallet', owner_id: 'test-user', balance: 500, currency: 'USD' },
+      { account_id: 'ngn-wallet', owner_id: 'test-user', balance: 1000, currency: 'NGN' },
+    ]);
+    const journalStore = useInMemoryModel('JournalEntry');
+
+    try {
+      await mockServer.post('/payment-instructions', {
+        body: { instruction, allow_fx: true },
+        headers: authHeaders(),
+      });
+
+      expect(accountStore.records.map((a) => a.balance)).to.deep.equal([400, 151000]);
+      expect(journalStore.records[0]).to.include({ amount: 100, currency: 'USD', fx_rate: 1500 });
+      expect(journalStore.records[1]).to.include({ amount: 150000, currency: 'NGN' });
+    } finally {
+      accountStore.revert();
+      journalStore.revert();
+    }
+  });
+});
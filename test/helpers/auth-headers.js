@@ -0,0 +1,16 @@
+/**
+ * Authorization headers for endpoints behind the userAuth middleware
+ */
+const { sign } = require('@app-core/jwt');
+
+/**
+ * Headers of an authenticated request, with a token signed with the test secret
+ * The user is test-user, the owner of the accounts tests seed, unless claims say otherwise
+ * @param {Object} [claims] - What the token says about the user, e.g. their tenant_id
+ * @returns {{authorization: String}}
+ */
+function authHeaders(claims = {}) {
+  return { authorization: `Bearer ${sign({ data: { user_id: 'test-user', ...claims } })}` };
+}
+
+module.exports = authHeaders;
@@ -0,0 +1,143 @@
+/* eslint-disable no-param-reassign */
+/**
+ * Backs a mocked model with an in-memory collection, so services that
+ * read back what they wrote can be tested end to end.
+ * Supports the query and update operators the services use.
+ */
+const { ulid } = require('@app-core/randomness');
+const { MockModelStubs } = require('@app/mock-models');
+
+const QUERY_OPERATORS = {
+  $in: (value, expected) => expected.includes(value),
+  $nin: (value, expected) => !expected.includes(value),
+  $ne: (value, expected) => value !== expected,
+  $gt: (value, expected) => value > expected,
+  $gte: (value, expected) => value >= expected,
+  $lt: (value, expected) => value < expected,
+  $lte: (value, expected) => value <= expected,
+  $exists: (value, expected) => (value !== undefined) === expected,
+};
+
+function matchesCondition(value, condition) {
+  if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+    return Object.entries(condition).every(([operator, expected]) =>
+      QUERY_OPERATORS[operator](value, expected)
+    );
+  }
+
+  return value === condition;
+}
+
+function matches(record, query = {}) {
+  return Object.entries(query).every(([field, condition]) => {
+    if (field === '$or') {
+      return condition.some((subQuery) => matches(record, subQuery));
+    }
+
+    if (field === '$and') {
+      return condition.every((subQuery) => matches(record, subQuery));
+    }
+
+    return matchesCondition(record[field], condition);
+  });
+}
+
+function applyUpdate(record, updateValues) {
+  Object.entries(updateValues).forEach(([field, value]) => {
+    if (field === '$inc') {
+      Object.entries(value).forEach(([key, amount]) => {
+        record[key] = (record[key] || 0) + amount;
+      });
+    } else if (field === '$set') {
+      Object.assign(record, value);
+    } else {
+      record[field] = value;
+    }
+  });
+}
+
+function sortRecords(records, sort) {
+  const fields = Object.entries(sort);
+
+  return [...records].sort((a, b) => {
+    for (let i = 0; i < fields.length; i++) {
+      const [field, direction] = fields[i];
+      if (a[field] < b[field]) return -direction;
+      if (a[field] > b[field]) return direction;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Back a mocked model with an in-memory collection.
+ * @param {String} modelName - Name of the model as exported from @app/models
+ * @param {Object[]} [seed] - Records the collection starts with
+ * @returns {{records: Object[], revert: function():void}}
+ */
+function useInMemoryModel(modelName, seed = []) {
+  const stubs = MockModelStubs[modelName];
+  const now = Date.now();
+  const records = seed.map((record) => ({ _id: ulid(), created: now, updated: now, ...record }));
+
+  // Stamped like the repository's create and createMany
+  const insert = (entry) => {
+    const created = Date.now();
+    const record = { _id: ulid(), ...entry, created, updated: created };
+    records.push(record);
+    return { ...record };
+  };
+
+  // Stamped like the repository's updateOne and updateMany
+  const update = ({ query, updateValues }, many) => {
+    const targets = records.filter((record) => matches(record, query));
+    const modified = many ? targets : targets.slice(0, 1);
+    modified.forEach((record) => applyUpdate(record, { ...updateValues, updated: Date.now() }));
+    return { acknowledged: true, modifiedCount: modified.length };
+  };
+
+  const stubConfigs = [
+    { method: 'create', overrideFn: (entry) => insert(entry) },
+    { method: 'createMany', overrideFn: ({ entries }) => entries.map(insert) },
+    {
+      method: 'findOne',
+      overrideFn: ({ query, options = {} }) => {
+        const found = sortRecords(records, options.sort || {}).find((r) => matches(r, query));
+        return found ? { ...found } : null;
+      },
+    },
+    {
+      method: 'findMany',
+      overrideFn: ({ query, options = {} }) => {
+        const found = sortRecords(
+          records.filter((record) => matches(record, query)),
+          options.sort || {}
+        );
+        const skipped = found.slice(options.skip || 0);
+        const limited = options.limit ? skipped.slice(0, options.limit) : skipped;
+        return limited.map((record) => ({ ...record }));
+      },
+    },
+    { method: 'updateOne', overrideFn: (data) => update(data, false) },
+    { method: 'updateMany', overrideFn: (data) => update(data, true) },
+    {
+      method: 'deleteOne',
+      overrideFn: ({ query }) => {
+        const index = records.findIndex((record) => matches(record, query));
+        if (index !== -1) records.splice(index, 1);
+        return { deletedCount: index === -1 ? 0 : 1 };
+      },
+    },
+  ];
+
+  const configured = stubConfigs.map((stubConfig) => stubs.configureStubs(stubConfig));
+
+  return {
+    records,
+    revert() {
+      configured.reverse().forEach((stub) => stub.revert());
+    },
+  };
+}
+
+module.exports = useInMemoryModel;
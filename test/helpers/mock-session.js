@@ -0,0 +1,19 @@
+/**
+ * Stands in for Mongoose sessions while models are mocked, so services keep their
+ * transaction flow without a database. Installed by setup-env.js, before any
+ * service takes its reference to createSession
+ */
+const mongooseCore = require('@app-core/mongoose');
+
+const mockedSession = {
+  startTransaction: () => undefined,
+  commitTransaction: () => Promise.resolve(),
+  abortTransaction: () => Promise.resolve(),
+  endSession: () => Promise.resolve(),
+};
+
+function useMockSession() {
+  mongooseCore.createSession = async () => mockedSession;
+}
+
+module.exports = useMockSession;
@@ -0,0 +1,9 @@
+/**
+ * Loaded before any test file (see the test script in package.json).
+ * `set USE_MOCK_MODEL=1 &&` only sets the variable on Windows shells,
+ * so default it here to keep every platform on the mocked models
+ */
+process.env.USE_MOCK_MODEL = process.env.USE_MOCK_MODEL || '1';
+
+// Services open sessions for their transactions; there is no database to hold them
+require('./mock-session')();
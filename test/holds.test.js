@@ -0,0 +1,221 @@
+/**
+ * Test suite for holds: reserving funds, then capturing, releasing or expiring them
+ */
+/* eslint-disable no-unused-expressions */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+const expireHolds = require('../workers/expire-holds');
+const { setClock, resetClock } = require('../services/calendar/helpers/clock');
+const useInMemoryModel = require('./helpers/in-memory-model');
+const authHeaders = require('./helpers/auth-headers');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/', 'endpoints/accounts/']);
+
+describe('Holds', () => {
+  let accountStore;
+  let journalStore;
+  let pendingStore;
+  let holdStore;
+
+  const post = (instruction) =>
+    mockServer.post('/payment-instructions', { body: { instruction }, headers: authHeaders() });
+
+  const accountOf = (id) => accountStore.records.find((a) => a.account_id === id);
+
+  beforeEach(() => {
+    accountStore = useInMemoryModel('Account', [
+      { account_id: 'a', owner_id: 'test-user', balance: 500, held_amount: 0, currency: 'USD' },
+      { account_id: 'b', owner_id: 'test-user', balance: 100, currency: 'USD' },
+    ]);
+    journalStore = useInMemoryModel('JournalEntry');
+    pendingStore = useInMemoryModel('PendingInstruction');
+    holdStore = useInMemoryModel('Hold');
+  });
+
+  afterEach(() => {
+    accountStore.revert();
+    journalStore.revert();
+    pendingStore.revert();
+    holdStore.revert();
+  });
+
+  it('should reserve funds without moving the ledger balance', async () => {
+    const res = await post('HOLD 200 USD ON ACCOUNT a EXPIRES 2099-01-31 REF auth-1');
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.data.data).to.deep.include({
+      type: 'HOLD',
+      status_code: 'AP00',
+      debit_account: 'a',
+      credit_account: null,
+      reference: 'auth-1',
+    });
+    expect(res.data.data.accounts[0]).to.include({ balance: 500, available_balance: 300 });
+    expect(res.data.data.hold).to.include({
+      account: 'a',
+      amount: 200,
+      status: 'active',
+      expires_on: '2099-01-31',
+    });
+    expect(holdStore.records[0].expires_at).to.equal(Date.parse('2099-02-01T00:00:00Z'));
+    expect(accountOf('a')).to.include({ balance: 500, held_amount: 200 });
+    expect(journalStore.records).to.be.empty;
+
+    const account = await mockServer.get('/accounts/a', { headers: authHeaders() });
+    expect(account.data.data).to.include({
+      balance: 500,
+      held_amount: 200,
+      available_balance: 300,
+    });
+  });
+
+  it('should check funds against the available balance', async () => {
+    await post('HOLD 450 USD ON ACCOUNT a');
+
+    const transfer = await post('DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+    const secondHold = await post('HOLD 100 USD ON ACCOUNT a');
+
+    expect(transfer.data.data.status_code).to.equal('AC01');
+    expect(transfer.data.data.status_reason).to.include('has 50 USD');
+    expect(secondHold.data.data.status_code).to.equal('AC01');
+    expect(accountOf('a')).to.include({ balance: 500, held_amount: 450 });
+  });
+
+  it('should capture part of a hold and make the rest available again', async () => {
+    const hold = await post('HOLD 200 USD ON ACCOUNT a');
+    const holdId = hold.data.data.hold.id;
+
+    const res = await post(`CAPTURE 150 OF HOLD ${holdId} TO ACCOUNT b REF order-9`);
+
+    expect(res.data.data).to.deep.include({
+      type: 'CAPTURE',
+      status_code: 'AP00',
+      debit_account: 'a',
+      credit_account: 'b',
+      amount: 150,
+    });
+    expect(res.data.data.hold).to.include({
+      status: 'captured',
+      captured_amount: 150,
+      transaction_id: res.data.data.transaction_id,
+    });
+    expect(accountOf('a')).to.include({ balance: 350, held_amount: 0 });
+    expect(accountOf('b').balance).to.equal(250);
+    expect(holdStore.records[0]).to.include({ status: 'captured', captured_amount: 150 });
+
+    const again = await post(`CAPTURE HOLD ${holdId} TO ACCOUNT b`);
+    expect(again.data.data.status_code).to.equal('HD02');
+  });
+
+  it('should let a capture spend the funds its hold reserved', async () => {
+    const hold = await post('HOLD 500 USD ON ACCOUNT a');
+
+    const res = await post(`CAPTURE HOLD ${hold.data.data.hold.id} TO ACCOUNT b`);
+
+    expect(res.data.data.status_code).to.equal('AP00');
+    expect(accountOf('a')).to.include({ balance: 0, held_amount: 0 });
+  });
+
+  it("should only let the owner of a hold's account capture or release it", async () => {
+    const hold = await post('HOLD 200 USD ON ACCOUNT a');
+    const holdId = hold.data.data.hold.id;
+
+    const anonymous = await mockServer.post('/payment-instructions', {
+      body: { instruction: `CAPTURE HOLD ${holdId} TO ACCOUNT b` },
+    });
+    const capture = await mockServer.post('/payment-instructions', {
+      body: { instruction: `CAPTURE HOLD ${holdId} TO ACCOUNT b` },
+      headers: authHeaders({ user_id: 'someone-else' }),
+    });
+    const release = await mockServer.post('/payment-instructions', {
+      body: { instruction: `RELEASE HOLD ${holdId}` },
+      headers: authHeaders({ user_id: 'someone-else' }),
+    });
+
+    expect(anonymous.statusCode).to.equal(401);
+    expect(capture.statusCode).to.equal(401);
+    expect(release.statusCode).to.equal(401);
+    expect(accountOf('a')).to.include({ balance: 500, held_amount: 200 });
+    expect(holdStore.records[0].status).to.equal('active');
+    expect(journalStore.records).to.be.empty;
+  });
+
+  it('should release holds on request and once they lapse', async () => {
+    const released = await post('HOLD 100 USD ON ACCOUNT a');
+    await post('HOLD 50 USD ON ACCOUNT a');
+
+    const res = await post(`RELEASE HOLD ${released.data.data.hold.id}`);
+    expect(res.data.data).to.deep.include({ type: 'RELEASE', status_code: 'AP00', amount: 100 });
+    expect(res.data.data.hold.status).to.equal('released');
+    expect(accountOf('a').held_amount).to.equal(50);
+
+    holdStore.records[1].expires_at = Date.now() - 1;
+    const summary = await expireHolds.processor({ id: 'job-1', data: {} });
+
+    expect(summary).to.deep.equal({ expired: 1, errored: 0 });
+    expect(holdStore.records.map((h) => h.status)).to.deep.equal(['released', 'expired']);
+    expect(accountOf('a')).to.include({ balance: 500, held_amount: 0 });
+  });
+
+  it('should expire holds by the same clock that decides they have lapsed', async () => {
+    const hold = await post('HOLD 100 USD ON ACCOUNT a EXPIRES 2099-01-31');
+
+    setClock(() => Date.parse('2099-02-01T00:00:00Z'));
+    const summary = await expireHolds.processor({ id: 'job-1', data: {} }).finally(resetClock);
+
+    expect(summary).to.deep.equal({ expired: 1, errored: 0 });
+    expect(holdStore.records[0]).to.include({ _id: hold.data.data.hold.id, status: 'expired' });
+  });
+
+  it('should reject holds that cannot be placed or used', async () => {
+    const hold = await post('HOLD 100 USD ON ACCOUNT a');
+    const holdId = hold.data.data.hold.id;
+
+    const cases = [
+      [`CAPTURE 100.01 OF HOLD ${holdId} TO ACCOUNT b`, 'HD02'],
+      [`CAPTURE 10.001 OF HOLD ${holdId} TO ACCOUNT b`, 'AM01'],
+      [`CAPTURE HOLD ${holdId} TO ACCOUNT x`, 'AC03'],
+      ['CAPTURE HOLD missing TO ACCOUNT b', 'HD01'],
+      ['RELEASE HOLD missing', 'HD01'],
+      ['HOLD 10 USD ON ACCOUNT x', 'AC03'],
+      ['HOLD 10 GBP ON ACCOUNT a', 'CU01'],
+      ['HOLD 10 USD ON ACCOUNT a EXPIRES 2020-01-01', 'DT01'],
+      ['HOLD 10 USD ON ACCOUNT a ON 2099-01-01', 'SY03'],
+      ['DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b EXPIRES 2099-01-01', 'SY03'],
+      [`RELEASE HOLD ${holdId} REF r-1`, 'SY03'],
+      [`CAPTURE HOLD ${holdId} FOR ACCOUNT b`, 'SY01'],
+    ];
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [instruction, statusCode] of cases) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await post(instruction);
+
+      expect(res.data.data.status_code, instruction).to.equal(statusCode);
+    }
+
+    const supplied = await mockServer.post('/payment-instructions', {
+      body: {
+        instruction: 'HOLD 10 USD ON ACCOUNT a',
+        accounts: [{ id: 'a', balance: 100, currency: 'USD' }],
+      },
+    });
+    expect(supplied.data.data.status_code).to.equal('HD01');
+    expect(accountOf('a').held_amount).to.equal(100);
+  });
+
+  it('should honour held amounts on supplied accounts', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: {
+        instruction: 'DEBIT 60 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+        accounts: [
+          { id: 'a', balance: 100, held_amount: 50, currency: 'USD' },
+          { id: 'b', balance: 0, currency: 'USD' },
+        ],
+      },
+    });
+
+    expect(res.data.data.status_code).to.equal('AC01');
+    expect(res.data.data.accounts[0]).to.include({ balance: 100, available_balance: 50 });
+  });
+});
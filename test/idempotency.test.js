@@ -0,0 +1,149 @@
+/**
+ * Test suite for Idempotency-Key handling on payment instruction submissions
+ */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+const { hash } = require('@app-core/security');
+const useInMemoryModel = require('./helpers/in-memory-model');
+const authHeaders = require('./helpers/auth-headers');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/']);
+
+describe('Idempotent Payment Instructions', () => {
+  let accountStore;
+  let journalStore;
+  let keyStore;
+
+  const body = { instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b' };
+
+  beforeEach(() => {
+    accountStore = useInMemoryModel('Account', [
+      { account_id: 'a', owner_id: 'test-user', balance: 500, currency: 'USD' },
+      { account_id: 'b', owner_id: 'test-user', balance: 100, currency: 'USD' },
+    ]);
+    journalStore = useInMemoryModel('JournalEntry');
+    keyStore = useInMemoryModel('IdempotencyKey');
+  });
+
+  afterEach(() => {
+    accountStore.revert();
+    journalStore.revert();
+    keyStore.revert();
+  });
+
+  it('should apply a retried debit once and replay the first response', async () => {
+    const headers = { ...authHeaders(), 'idempotency-key': 'retry-1' };
+
+    const first = await mockServer.post('/payment-instructions', { body, headers });
+    const retry = await mockServer.post('/payment-instructions', {
+      body: { ...body },
+      headers: { ...authHeaders(), 'idempotency-key': 'retry-1' },
+    });
+
+    expect(first.statusCode).to.equal(200);
+    expect(retry.statusCode).to.equal(200);
+    expect(retry.data.data).to.deep.equal(first.data.data);
+
+    expect(accountStore.records[0].balance).to.equal(400);
+    expect(journalStore.records).to.have.lengthOf(2);
+    expect(keyStore.records[0]).to.include({ status: 'completed', http_status: 200 });
+  });
+
+  it('should replay failed responses with their original status', async () => {
+    const failing = { instruction: 'DEBIT 900 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b' };
+
+    await mockServer.post('/payment-instructions', {
+      body: failing,
+      headers: { ...authHeaders(), 'idempotency-key': 'retry-2' },
+    });
+    accountStore.records[0].balance = 1000;
+
+    const retry = await mockServer.post('/payment-instructions', {
+      body: failing,
+      headers: { ...authHeaders(), 'idempotency-key': 'retry-2' },
+    });
+
+    expect(retry.statusCode).to.equal(400);
+    expect(retry.data.data.status_code).to.equal('AC01');
+  });
+
+  it('should reject a reused key with a different body', async () => {
+    await mockServer.post('/payment-instructions', {
+      body,
+      headers: { ...authHeaders(), 'idempotency-key': 'retry-3' },
+    });
+
+    const res = await mockServer.post('/payment-instructions', {
+      body: { instruction: 'DEBIT 200 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b' },
+      headers: { ...authHeaders(), 'idempotency-key': 'retry-3' },
+    });
+
+    expect(res.statusCode).to.equal(422);
+    expect(res.data.message).to.include('different request body');
+    expect(accountStore.records[0].balance).to.equal(400);
+  });
+
+  it('should reject a key whose first request is still running', async () => {
+    keyStore.records.push({
+      scope: 'POST /payment-instructions:test-user',
+      key: 'retry-4',
+      // single-key body, so its sorted serialization is plain JSON
+      request_hash: hash.create(JSON.stringify(body), { algo: 'sha256' }),
+      status: 'processing',
+    });
+
+    const res = await mockServer.post('/payment-instructions', {
+      body,
+      headers: { ...authHeaders(), 'idempotency-key': 'retry-4' },
+    });
+
+    expect(res.statusCode).to.equal(409);
+    expect(journalStore.records).to.have.lengthOf(0);
+  });
+
+  it('should never rerun a request whose first attempt did not finish', async () => {
+    keyStore.records.push({
+      scope: 'POST /payment-instructions:test-user',
+      key: 'retry-5',
+      request_hash: hash.create(JSON.stringify(body), { algo: 'sha256' }),
+      status: 'processing',
+      updated: Date.now() - 3 * 60 * 1000,
+    });
+
+    const res = await mockServer.post('/payment-instructions', {
+      body,
+      headers: { ...authHeaders(), 'idempotency-key': 'retry-5' },
+    });
+
+    expect(res.statusCode).to.equal(409);
+    expect(journalStore.records).to.have.lengthOf(0);
+    expect(keyStore.records[0].status).to.equal('processing');
+  });
+
+  it("should keep each user's keys apart", async () => {
+    accountStore.records.push({
+      account_id: 'c',
+      owner_id: 'someone-else',
+      balance: 500,
+      currency: 'USD',
+    });
+
+    const mine = await mockServer.post('/payment-instructions', {
+      body,
+      headers: { ...authHeaders(), 'idempotency-key': 'shared' },
+    });
+    const theirs = await mockServer.post('/payment-instructions', {
+      body: { instruction: 'DEBIT 100 USD FROM ACCOUNT c FOR CREDIT TO ACCOUNT b' },
+      headers: { ...authHeaders({ user_id: 'someone-else' }), 'idempotency-key': 'shared' },
+    });
+
+    expect(mine.statusCode).to.equal(200);
+    expect(theirs.statusCode).to.equal(200);
+    expect(theirs.data.data.debit_account).to.equal('c');
+    expect(keyStore.records.map((k) => k.scope)).to.deep.equal([
+      'POST /payment-instructions:test-user',
+      'POST /payment-instructions:someone-else',
+    ]);
+    expect(accountStore.records.map((a) => a.balance)).to.deep.equal([400, 300, 400]);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Test suite for the declarative instruction grammar and its engine
+ */
+const { expect } = require('chai');
+const runGrammar = require('@app/services/payment-processor/grammar/run-grammar');
+const instructionGrammar = require('@app/services/payment-processor/grammar/instruction-grammar');
+const { tokenize } = require('@app/services/payment-processor/grammar/tokens');
+
+describe('Instruction Grammar', () => {
+  const parse = (instruction, grammar = instructionGrammar) =>
+    runGrammar(grammar, tokenize(instruction));
+
+  it('should mirror the accounts of DEBIT and CREDIT instructions', () => {
+    const debit = parse('DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+    const credit = parse('CREDIT 10 USD TO ACCOUNT b FOR DEBIT FROM ACCOUNT a');
+
+    expect(debit).to.include({ type: 'DEBIT', debitAccount: 'a', creditAccount: 'b' });
+    expect(credit).to.include({ type: 'CREDIT', debitAccount: 'a', creditAccount: 'b' });
+    expect(debit.errors).to.deep.equal([]);
+    expect(credit.errors).to.deep.equal([]);
+  });
+
+  it('should report the expected keywords of the state that failed', () => {
+    const { errors } = parse('CREDIT 10 USD FROM ACCOUNT a FOR DEBIT FROM ACCOUNT b');
+
+    expect(errors).to.have.lengthOf(1);
+    expect(errors[0]).to.deep.include({ code: 'SY02', expected: ['TO'], token_index: 3 });
+  });
+
+  it('should run a clause added to the table without engine changes', () => {
+    const grammar = {
+      ...instructionGrammar,
+      initial: { ...instructionGrammar.initial, priority: null },
+      states: {
+        ...instructionGrammar.states,
+        PRIORITY: {
+          keywords: ['HIGH', 'NORMAL'],
+          capture: 'priority',
+          next: 'PRIORITY_LEVEL',
+          error: { code: 'SY01', message: 'Missing keyword' },
+        },
+        PRIORITY_LEVEL: { final: true },
+      },
+      clauses: { ...instructionGrammar.clauses, PRIORITY: { start: 'PRIORITY' } },
+    };
+
+    const parsed = parse(
+      'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b PRIORITY high REF r-1',
+      grammar
+    );
+
+    expect(parsed).to.include({ priority: 'HIGH', reference: 'r-1' });
+    expect(parsed.errors).to.deep.equal([]);
+    expect(
+      parse('DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b PRIORITY').errors[0]
+    ).to.include({ code: 'SY03' });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Test suite for "did you mean" keyword suggestions
+ */
+/* eslint-disable no-unused-expressions */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+const suggestKeyword = require('@app/services/payment-processor/helpers/suggest-keyword');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/']);
+
+describe('Keyword Suggestions', () => {
+  const accounts = [
+    { id: 'a', balance: 500, currency: 'USD' },
+    { id: 'b', balance: 100, currency: 'USD' },
+  ];
+
+  it('should suggest the expected keyword and a corrected instruction', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: { accounts, instruction: 'DEBT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b' },
+    });
+
+    expect(res.statusCode).to.equal(400);
+    expect(res.data.data.status_code).to.equal('SY01');
+    expect(res.data.data.suggestions).to.deep.equal([
+      { token_index: 0, start: 0, end: 4, found: 'DEBT', suggestion: 'DEBIT' },
+    ]);
+    expect(res.data.data.corrected_instruction).to.equal(
+      'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b'
+    );
+  });
+
+  it('should correct every mistyped keyword, with offsets in the original instruction', async () => {
+    const instruction = 'debit 10 usd form acount a FOR CRDIT TO ACCOUNT b';
+    const res = await mockServer.post('/payment-instructions', {
+      body: { accounts, instruction },
+    });
+
+    const { suggestions } = res.data.data;
+    expect(suggestions.map((s) => [s.found, s.suggestion])).to.deep.equal([
+      ['form', 'FROM'],
+      ['acount', 'ACCOUNT'],
+      ['CRDIT', 'CREDIT'],
+    ]);
+    suggestions.forEach((s) => {
+      expect(instruction.substring(s.start, s.end)).to.equal(s.found);
+    });
+    expect(res.data.data.corrected_instruction).to.equal(
+      'debit 10 usd FROM ACCOUNT a FOR CREDIT TO ACCOUNT b'
+    );
+  });
+
+  it('should suggest trailing clause keywords', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: {
+        accounts,
+        instruction: 'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b REFF r-1',
+      },
+    });
+
+    expect(res.data.data.status_code).to.equal('SY03');
+    expect(res.data.data.suggestions[0].suggestion).to.equal('REF');
+  });
+
+  it('should not suggest words that are not close to a keyword', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: { accounts, instruction: 'SEND 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b' },
+    });
+
+    expect(res.data.data.suggestions).to.deep.equal([]);
+    expect(res.data.data.corrected_instruction).to.be.null;
+  });
+
+  it('should match within a small edit distance', () => {
+    expect(suggestKeyword('FORM', ['FROM'])).to.equal('FROM');
+    expect(suggestKeyword('acount', ['ACCOUNT'])).to.equal('ACCOUNT');
+    expect(suggestKeyword('CREDT', ['DEBIT', 'CREDIT'])).to.equal('CREDIT');
+    expect(suggestKeyword('TOO', ['TO'])).to.equal('TO');
+    expect(suggestKeyword('X', ['TO'])).to.be.null;
+    expect(suggestKeyword('ACC', ['ACCOUNT'])).to.be.null;
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Test suite for tiered account limits, velocity rules and blocked counterparties
+ */
+/* eslint-disable no-unused-expressions */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+const useInMemoryModel = require('./helpers/in-memory-model');
+const authHeaders = require('./helpers/auth-headers');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/', 'endpoints/accounts/']);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function debitEntry(transactionId, amount, overrides) {
+  return {
+    transaction_id: transactionId,
+    account_id: 'a',
+    counterparty_account_id: 'b',
+    entry_type: 'debit',
+    purpose: 'transfer',
+    amount,
+    currency: 'USD',
+    ...overrides,
+  };
+}
+
+describe('Account Limits', () => {
+  let accountStore;
+  let journalStore;
+  let pendingStore;
+
+  const post = (instruction) =>
+    mockServer.post('/payment-instructions', { body: { instruction }, headers: authHeaders() });
+
+  beforeEach(() => {
+    accountStore = useInMemoryModel('Account', [
+      {
+        account_id: 'a',
+        owner_id: 'test-user',
+        balance: 5000,
+        currency: 'USD',
+        kyc_tier: 'tier_1',
+      },
+      { account_id: 'untiered', owner_id: 'test-user', balance: 5000, currency: 'USD' },
+      { account_id: 'b', owner_id: 'test-user', balance: 0, currency: 'USD' },
+      {
+        account_id: 'c',
+        owner_id: 'test-user',
+        balance: 0,
+        currency: 'USD',
+        blocked_counterparties: ['a'],
+      },
+      {
+        account_id: 'vip',
+        owner_id: 'test-user',
+        balance: 50000,
+        currency: 'USD',
+        kyc_tier: 'tier_3',
+      },
+    ]);
+    journalStore = useInMemoryModel('JournalEntry');
+    pendingStore = useInMemoryModel('PendingInstruction');
+  });
+
+  afterEach(() => {
+    accountStore.revert();
+    journalStore.revert();
+    pendingStore.revert();
+  });
+
+  it('should cap single transfers by the account tier', async () => {
+    const capped = await post('DEBIT 500.01 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+    const allowed = await post('DEBIT 500 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+    const unlimited = await post('DEBIT 20000 USD FROM ACCOUNT vip FOR CREDIT TO ACCOUNT b');
+
+    expect(capped.data.data.status_code).to.equal('LM01');
+    expect(capped.data.data.status_reason).to.include('tier_1 allows 500 USD');
+    expect(allowed.data.data.status_code).to.equal('AP00');
+    expect(unlimited.data.data.status_code).to.equal('AP00');
+  });
+
+  it('should not limit accounts that have no tier', async () => {
+    const transfers = [];
+    for (let i = 0; i < 11; i++) {
+      // eslint-disable-next-line no-await-in-loop
+      transfers.push(await post('DEBIT 450 USD FROM ACCOUNT untiered FOR CREDIT TO ACCOUNT b'));
+    }
+
+    expect(transfers.map((res) => res.data.data.status_code)).to.deep.equal(Array(11).fill('AP00'));
+    expect(accountStore.records[1].balance).to.equal(50);
+  });
+
+  it('should count transfer debits towards daily and monthly limits', async () => {
+    const startOfDay = Date.parse(`${new Date().toISOString().substring(0, 10)}T00:00:00Z`);
+    journalStore.records.push(
+      debitEntry('t1', 400, { created: startOfDay }),
+      debitEntry('t2', 450, { created: startOfDay }),
+      debitEntry('t2', 20, { purpose: 'fee', created: startOfDay }),
+      debitEntry('t3', 300, { reversal_of: 't0', created: startOfDay }),
+      debitEntry('t4', 400, { account_id: 'b', created: startOfDay })
+    );
+
+    const over = await post('DEBIT 150.01 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+    const within = await post('DEBIT 150 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+
+    expect(over.data.data.status_code).to.equal('LM01');
+    expect(over.data.data.status_reason).to.include('1000 USD daily');
+    expect(over.data.data.status_reason).to.include('850 already used');
+    expect(within.data.data.status_code).to.equal('AP00');
+
+    const startOfMonth = Date.parse(`${new Date().toISOString().substring(0, 8)}01T00:00:00Z`);
+    journalStore.records.splice(
+      0,
+      journalStore.records.length,
+      debitEntry('t5', 4950, { created: startOfMonth }),
+      debitEntry('t6', 4000, { created: startOfMonth - 1 })
+    );
+
+    const monthly = await post('DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+    expect(monthly.data.data.status_code).to.equal('LM01');
+  });
+
+  it('should limit how many transfers an account makes in an hour', async () => {
+    const now = Date.now();
+    for (let i = 0; i < 10; i++) {
+      journalStore.records.push(debitEntry(`t${i}`, 1, { created: now - i * 60 * 1000 }));
+    }
+    journalStore.records[9].created = now - 2 * HOUR_MS;
+
+    const tenth = await post('DEBIT 1 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+    const eleventh = await post('DEBIT 1 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+
+    expect(tenth.data.data.status_code).to.equal('AP00');
+    expect(eleventh.data.data.status_code).to.equal('LM02');
+    expect(eleventh.data.data.status_reason).to.include('10 transfers an hour');
+  });
+
+  it('should block transfers between blocked counterparties both ways', async () => {
+    const out = await post('DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT c');
+    const back = await post('CREDIT 10 USD TO ACCOUNT a FOR DEBIT FROM ACCOUNT c');
+
+    expect(out.data.data.status_code).to.equal('LM03');
+    expect(back.data.data.status_code).to.equal('LM03');
+    expect(journalStore.records).to.be.empty;
+  });
+
+  it('should check scheduled transfers when they run, not when they are booked', async () => {
+    const res = await post('DEBIT 900 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2099-01-01');
+
+    expect(res.data.data.status_code).to.equal('AP02');
+  });
+
+  it('should set tiers and blocked counterparties on new accounts', async () => {
+    const created = await mockServer.post('/accounts', {
+      headers: authHeaders(),
+      body: { id: 'd', currency: 'USD', kyc_tier: 'tier_2', blocked_counterparties: ['a'] },
+    });
+    const unknown = await mockServer.post('/accounts', {
+      headers: authHeaders(),
+      body: { id: 'e', currency: 'USD', kyc_tier: 'tier_9' },
+    });
+
+    expect(created.data.data).to.include({ kyc_tier: 'tier_2' });
+    expect(created.data.data.blocked_counterparties).to.deep.equal(['a']);
+    expect(unknown.statusCode).to.equal(400);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Test suite for arranged overdrafts: debits below zero, down to the overdraft limit
+ */
+/* eslint-disable no-unused-expressions */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+const useInMemoryModel = require('./helpers/in-memory-model');
+const authHeaders = require('./helpers/auth-headers');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/', 'endpoints/accounts/']);
+
+describe('Overdrafts', () => {
+  const transfer = (amount) => `DEBIT ${amount} USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b`;
+
+  it('should let supplied accounts go below zero down to their overdraft', async () => {
+    const accounts = [
+      { id: 'a', balance: 100, currency: 'USD', overdraft_limit: 250 },
+      { id: 'b', balance: 0, currency: 'USD' },
+    ];
+
+    const res = await mockServer.post('/payment-instructions', {
+      body: { accounts, instruction: transfer(300) },
+    });
+
+    expect(res.data.data.status_code).to.equal('AP00');
+    expect(res.data.data.accounts[0]).to.deep.include({
+      balance: -200,
+      overdraft_limit: 250,
+      overdraft_used: 200,
+    });
+    expect(res.data.data.accounts[1]).to.not.have.property('overdraft_used');
+  });
+
+  it('should tell an exceeded overdraft apart from insufficient funds', async () => {
+    const post = (account, amount) =>
+      mockServer.post('/payment-instructions', {
+        body: {
+          accounts: [
+            { id: 'a', balance: 100, currency: 'USD', ...account },
+            { id: 'b', balance: 0, currency: 'USD' },
+          ],
+          instruction: transfer(amount),
+        },
+      });
+
+    const exceeded = await post({ overdraft_limit: 250 }, 350.01);
+    const plain = await post({}, 350.01);
+    const expired = await post({ overdraft_limit: 250, overdraft_expires_on: '2020-01-31' }, 150);
+    const lastDay = await post(
+      { overdraft_limit: 250, overdraft_expires_on: new Date().toISOString().substring(0, 10) },
+      150
+    );
+
+    expect(exceeded.data.data.status_code).to.equal('AC05');
+    expect(exceeded.data.data.status_reason).to.include(
+      'has 350 USD including a 250 USD overdraft, needs 350.01'
+    );
+    expect(exceeded.data.data.accounts[0]).to.include({ overdraft_used: 0 });
+    expect(plain.data.data.status_code).to.equal('AC01');
+    expect(expired.data.data.status_code).to.equal('AC01');
+    expect(lastDay.data.data.status_code).to.equal('AP00');
+  });
+
+  describe('With the account store', () => {
+    let accountStore;
+    let journalStore;
+    let pendingStore;
+    let holdStore;
+
+    beforeEach(() => {
+      accountStore = useInMemoryModel('Account', [
+        {
+          account_id: 'a',
+          owner_id: 'test-user',
+          balance: 100,
+          currency: 'USD',
+          overdraft_limits: [
+            { currency: 'NGN', limit: 90000 },
+            { currency: 'USD', limit: 400 },
+          ],
+        },
+        { account_id: 'b', owner_id: 'test-user', balance: 0, currency: 'USD' },
+      ]);
+      journalStore = useInMemoryModel('JournalEntry');
+      pendingStore = useInMemoryModel('PendingInstruction');
+      holdStore = useInMemoryModel('Hold');
+    });
+
+    afterEach(() => {
+      accountStore.revert();
+      journalStore.revert();
+      pendingStore.revert();
+      holdStore.revert();
+    });
+
+    it("should draw on the overdraft set for the account's currency", async () => {
+      const res = await mockServer.post('/payment-instructions', {
+        body: { instruction: transfer(300) },
+        headers: authHeaders(),
+      });
+
+      expect(res.data.data.status_code).to.equal('AP00');
+      expect(res.data.data.accounts[0]).to.include({ overdraft_limit: 400, overdraft_used: 200 });
+      expect(accountStore.records[0].balance).to.equal(-200);
+      expect(journalStore.records[0]).to.include({ balance_before: 100, balance_after: -200 });
+
+      const hold = await mockServer.post('/payment-instructions', {
+        body: { instruction: 'HOLD 250 USD ON ACCOUNT a' },
+        headers: authHeaders(),
+      });
+      expect(hold.data.data.status_code).to.equal('AC05');
+
+      const account = await mockServer.get('/accounts/a', { headers: authHeaders() });
+      expect(account.data.data).to.include({
+        balance: -200,
+        overdraft_limit: 400,
+        overdraft_used: 200,
+        overdraft_expires_on: null,
+      });
+    });
+
+    it('should create accounts with an arranged overdraft', async () => {
+      const created = await mockServer.post('/accounts', {
+        headers: authHeaders(),
+        body: {
+          id: 'c',
+          currency: 'USD',
+          overdraft_limits: [{ currency: 'usd', limit: 1000 }],
+          overdraft_expires_on: '2099-12-31',
+        },
+      });
+      const invalid = await mockServer.post('/accounts', {
+        headers: authHeaders(),
+        body: { id: 'd', currency: 'USD', overdraft_expires_on: '2099-13-45' },
+      });
+
+      expect(created.statusCode).to.equal(201);
+      expect(created.data.data).to.include({
+        overdraft_limit: 1000,
+        overdraft_used: 0,
+        overdraft_expires_on: '2099-12-31',
+      });
+      expect(invalid.statusCode).to.equal(400);
+    });
+  });
+});
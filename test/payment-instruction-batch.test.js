@@ -0,0 +1,159 @@
+/**
+ * Test suite for batch payment instruction processing
+ */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+const useInMemoryModel = require('./helpers/in-memory-model');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/']);
+
+describe('Payment Instruction Batch', () => {
+  it('should carry balances forward between instructions', async () => {
+    const request = {
+      accounts: [
+        { id: 'a', balance: 100, currency: 'USD' },
+        { id: 'b', balance: 0, currency: 'USD' },
+      ],
+      instructions: [
+        'DEBIT 60 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+        'DEBIT 60 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+        'CREDIT 40 USD TO ACCOUNT a FOR DEBIT FROM ACCOUNT b',
+      ],
+    };
+
+    const res = await mockServer.post('/payment-instructions/batch', { body: request });
+
+    expect(res.statusCode).to.equal(200);
+
+    const { results, accounts, summary } = res.data.data;
+    expect(results.map((r) => r.status_code)).to.deep.equal(['AP00', 'AC01', 'AP00']);
+    expect(results[1].index).to.equal(1);
+    expect(results[2].accounts[0]).to.include({ id: 'a', balance_before: 40, balance: 80 });
+
+    expect(accounts).to.deep.equal([
+      { id: 'a', balance: 80, balance_before: 100, currency: 'USD' },
+      { id: 'b', balance: 20, balance_before: 0, currency: 'USD' },
+    ]);
+    expect(summary).to.deep.equal({ total: 3, by_status_code: { AP00: 2, AC01: 1 } });
+  });
+
+  it('should leave balances untouched for pending instructions', async () => {
+    const request = {
+      accounts: [
+        { id: 'a', balance: 100, currency: 'NGN' },
+        { id: 'b', balance: 0, currency: 'NGN' },
+      ],
+      instructions: ['DEBIT 60 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2099-01-01'],
+    };
+
+    const res = await mockServer.post('/payment-instructions/batch', { body: request });
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.data.data.summary.by_status_code).to.deep.equal({ AP02: 1 });
+    expect(res.data.data.accounts[0].balance).to.equal(100);
+  });
+
+  it('should honour held amounts, overdrafts and identifier schemes like single instructions', async () => {
+    const request = {
+      accounts: [
+        { id: 'a', balance: 100, held_amount: 50, currency: 'USD' },
+        { id: 'b', balance: 0, overdraft_limit: 100, currency: 'USD' },
+        { id: '0581234567890', balance: 0, identifier_scheme: 'free_form', currency: 'NGN' },
+        { id: 'c', balance: 10, currency: 'NGN' },
+      ],
+      instructions: [
+        'DEBIT 60 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+        'DEBIT 80 USD FROM ACCOUNT b FOR CREDIT TO ACCOUNT a',
+        'CREDIT 10 NGN TO ACCOUNT 0581234567890 FOR DEBIT FROM ACCOUNT c',
+      ],
+    };
+
+    const res = await mockServer.post('/payment-instructions/batch', { body: request });
+
+    const { results, accounts } = res.data.data;
+    expect(results[0].status_code).to.equal('AC01');
+    expect(results[1].status_code).to.equal('AP00');
+    expect(results[2].status_code).to.equal('AP00');
+    expect(accounts.map((account) => account.balance)).to.deep.equal([180, -80, 10, 0]);
+  });
+
+  it('should reject instructions that are not a list', async () => {
+    const res = await mockServer.post('/payment-instructions/batch', {
+      body: {
+        accounts: [{ id: 'a', balance: 100, currency: 'USD' }],
+        instructions: 'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      },
+    });
+
+    expect(res.statusCode).to.equal(400);
+  });
+
+  it('should never move stored balances', async () => {
+    const accountStore = useInMemoryModel('Account', [
+      { account_id: 'a', owner_id: 'test-user', balance: 500, currency: 'USD' },
+      { account_id: 'b', owner_id: 'test-user', balance: 100, currency: 'USD' },
+    ]);
+
+    try {
+      const res = await mockServer.post('/payment-instructions/batch', {
+        body: { instructions: ['DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b'] },
+      });
+
+      expect(res.statusCode).to.equal(400);
+      expect(accountStore.records.map((a) => a.balance)).to.deep.equal([500, 100]);
+    } finally {
+      accountStore.revert();
+    }
+  });
+
+  describe('Atomic Bundles', () => {
+    const accounts = [
+      { id: 'payroll', balance: 1000, currency: 'NGN' },
+      { id: 'emp-1', balance: 0, currency: 'NGN' },
+      { id: 'emp-2', balance: 0, currency: 'NGN' },
+    ];
+
+    it('should apply every leg when all of them succeed', async () => {
+      const res = await mockServer.post('/payment-instructions/batch', {
+        body: {
+          accounts,
+          atomic: true,
+          instructions: [
+            'DEBIT 400 NGN FROM ACCOUNT payroll FOR CREDIT TO ACCOUNT emp-1',
+            'DEBIT 500 NGN FROM ACCOUNT payroll FOR CREDIT TO ACCOUNT emp-2',
+          ],
+        },
+      });
+
+      expect(res.statusCode).to.equal(200);
+      expect(res.data.data.rolled_back).to.equal(false);
+      expect(res.data.data.accounts.map((a) => a.balance)).to.deep.equal([100, 400, 500]);
+    });
+
+    it('should roll back every leg when one fails', async () => {
+      const res = await mockServer.post('/payment-instructions/batch', {
+        body: {
+          accounts,
+          atomic: true,
+          instructions: [
+            'DEBIT 400 NGN FROM ACCOUNT payroll FOR CREDIT TO ACCOUNT emp-1',
+            'DEBIT 700 NGN FROM ACCOUNT payroll FOR CREDIT TO ACCOUNT emp-2',
+          ],
+        },
+      });
+
+      expect(res.statusCode).to.equal(200);
+
+      const { results, summary } = res.data.data;
+      expect(res.data.data.rolled_back).to.equal(true);
+      expect(res.data.data.accounts.map((a) => a.balance)).to.deep.equal([1000, 0, 0]);
+
+      expect(results.every((r) => r.status === 'failed')).to.equal(true);
+      expect(results[0].status_code).to.equal('AC01');
+      expect(results[0].rollback_reason).to.include('instruction 1 failed with AC01');
+      expect(results[0].accounts[0]).to.include({ id: 'payroll', balance: 1000 });
+      expect(results[1].status_code).to.equal('AC01');
+      expect(summary.by_status_code).to.deep.equal({ AC01: 2 });
+    });
+  });
+});
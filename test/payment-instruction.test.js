@@ -77,6 +77,7 @@ describe('Payment Instruction Parser TDD', () => {
       expect(res.data.data.status).to.equal('successful');
       expect(res.data.data.status_code).to.equal('AP00');
       expect(res.data.data.execute_by).to.equal('2024-01-15');
+      expect(res.data.data.value_date).to.be.a('string');
     });
   });
 
@@ -127,6 +128,68 @@ describe('Payment Instruction Parser TDD', () => {
     });
   });
 
+  /**
+   * Test decimal amounts in minor units
+   */
+  describe('Decimal Amounts', () => {
+    it('should accept decimals within the currency precision', async () => {
+      const request = {
+        accounts: [
+          { id: 'a', balance: 100.1, currency: 'USD' },
+          { id: 'b', balance: 0.2, currency: 'USD' },
+        ],
+        instruction: 'DEBIT 10.50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      };
+
+      const res = await mockServer.post('/payment-instructions', {
+        body: request,
+      });
+
+      expect(res.statusCode).to.equal(200);
+      expect(res.data.data.amount).to.equal(10.5);
+      expect(res.data.data.amount_minor).to.equal(1050);
+      expect(res.data.data.accounts[0]).to.include({ balance: 89.6, balance_minor: 8960 });
+      expect(res.data.data.accounts[1]).to.include({ balance: 10.7, balance_minor: 1070 });
+    });
+
+    it('should not drift through floating point', async () => {
+      const request = {
+        accounts: [
+          { id: 'a', balance: 0.3, currency: 'NGN' },
+          { id: 'b', balance: 0.1, currency: 'NGN' },
+        ],
+        instruction: 'DEBIT 0.1 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      };
+
+      const res = await mockServer.post('/payment-instructions', {
+        body: request,
+      });
+
+      expect(res.data.data.accounts[0].balance).to.equal(0.2);
+      expect(res.data.data.accounts[1].balance).to.equal(0.2);
+    });
+
+    it('should return AM01 for amounts that are not plain decimals', async () => {
+      const amounts = ['10.5.0', '12abc', '10.', '1e3'];
+
+      // eslint-disable-next-line no-restricted-syntax
+      for (const amount of amounts) {
+        // eslint-disable-next-line no-await-in-loop
+        const res = await mockServer.post('/payment-instructions', {
+          body: {
+            accounts: [
+              { id: 'a', balance: 5000, currency: 'USD' },
+              { id: 'b', balance: 200, currency: 'USD' },
+            ],
+            instruction: `DEBIT ${amount} USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b`,
+          },
+        });
+
+        expect(res.data.data.status_code).to.equal('AM01');
+      }
+    });
+  });
+
   /**
    * Test prioritized error handling
    */
@@ -169,13 +232,13 @@ describe('Payment Instruction Parser TDD', () => {
       expect(res.data.data.status_code).to.equal('AM01');
     });
 
-    it('should return AM01 for decimal amount', async () => {
+    it('should return AM01 for more decimal places than the currency allows', async () => {
       const request = {
         accounts: [
           { id: 'a', balance: 500, currency: 'USD' },
           { id: 'b', balance: 200, currency: 'USD' },
         ],
-        instruction: 'DEBIT 100.50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+        instruction: 'DEBIT 100.505 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
       };
 
       const res = await mockServer.post('/payment-instructions', {
@@ -0,0 +1,156 @@
+/**
+ * Test suite for stored pending (AP02) instructions and their scheduled execution
+ */
+/* eslint-disable no-unused-expressions */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+const executePendingInstructions = require('../workers/execute-pending-instructions');
+const useInMemoryModel = require('./helpers/in-memory-model');
+const authHeaders = require('./helpers/auth-headers');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/']);
+
+function duePendingInstruction(overrides) {
+  return {
+    instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2024-01-15',
+    type: 'DEBIT',
+    amount: 100,
+    currency: 'USD',
+    debit_account: 'a',
+    credit_account: 'b',
+    execute_by: '2024-01-15',
+    due_at: Date.parse('2024-01-15T00:00:00Z'),
+    status: 'pending',
+    status_code: 'AP02',
+    owner_id: 'test-user',
+    ...overrides,
+  };
+}
+
+describe('Pending Instructions', () => {
+  let accountStore;
+  let journalStore;
+  let pendingStore;
+
+  beforeEach(() => {
+    accountStore = useInMemoryModel('Account', [
+      { account_id: 'a', owner_id: 'test-user', balance: 500, currency: 'USD' },
+      { account_id: 'b', owner_id: 'test-user', balance: 100, currency: 'USD' },
+    ]);
+    journalStore = useInMemoryModel('JournalEntry');
+    pendingStore = useInMemoryModel('PendingInstruction');
+  });
+
+  afterEach(() => {
+    accountStore.revert();
+    journalStore.revert();
+    pendingStore.revert();
+  });
+
+  it('should store future-dated instructions run against the account store', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: { instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2099-01-01' },
+      headers: authHeaders(),
+    });
+
+    expect(res.data.data.status_code).to.equal('AP02');
+    expect(res.data.data.pending_instruction_id).to.be.a('string');
+    expect(pendingStore.records).to.have.lengthOf(1);
+    expect(pendingStore.records[0]).to.include({
+      status: 'pending',
+      execute_by: '2099-01-01',
+      owner_id: 'test-user',
+      due_at: Date.parse('2099-01-01T00:00:00-05:00'),
+    });
+  });
+
+  it('should execute due instructions against current balances', async () => {
+    pendingStore.records.push(
+      { _id: 'p1', ...duePendingInstruction() },
+      { _id: 'p2', ...duePendingInstruction({ status: 'cancelled' }) },
+      { _id: 'p3', ...duePendingInstruction({ due_at: Date.parse('2099-01-01T00:00:00Z') }) }
+    );
+
+    const summary = await executePendingInstructions.processor({ id: 'job-1', data: {} });
+
+    expect(summary).to.deep.equal({ processed: 1, successful: 1, failed: 0, errored: 0 });
+    expect(pendingStore.records[0]).to.include({ status: 'successful', status_code: 'AP00' });
+    expect(pendingStore.records[0].transaction_id).to.be.a('string');
+    expect(pendingStore.records[1].status).to.equal('cancelled');
+    expect(pendingStore.records[2].status).to.equal('pending');
+    expect(accountStore.records.map((a) => a.balance)).to.deep.equal([400, 200]);
+    expect(journalStore.records).to.have.lengthOf(2);
+  });
+
+  it('should fail due instructions that no longer pass the business rules', async () => {
+    accountStore.records[0].balance = 50;
+    pendingStore.records.push({ _id: 'p1', ...duePendingInstruction() });
+
+    const summary = await executePendingInstructions.processor({ id: 'job-2', data: {} });
+
+    expect(summary.failed).to.equal(1);
+    expect(pendingStore.records[0]).to.include({ status: 'failed', status_code: 'AC01' });
+    expect(journalStore.records).to.be.empty;
+  });
+
+  it('should list, inspect and cancel pending instructions', async () => {
+    pendingStore.records.push(
+      { _id: 'p1', ...duePendingInstruction() },
+      { _id: 'p2', ...duePendingInstruction({ debit_account: 'c', credit_account: 'd' }) },
+      { _id: 'p3', ...duePendingInstruction({ status: 'successful' }) }
+    );
+
+    const list = await mockServer.get('/payment-instructions/pending', {
+      query: { account_id: 'a' },
+      headers: authHeaders(),
+    });
+    expect(list.statusCode).to.equal(200);
+    expect(list.data.data.map((p) => p.id)).to.deep.equal(['p1']);
+
+    const inspected = await mockServer.get('/payment-instructions/pending/p2', {
+      headers: authHeaders(),
+    });
+    expect(inspected.data.data).to.include({ id: 'p2', debit_account: 'c', status: 'pending' });
+
+    const cancelled = await mockServer.post('/payment-instructions/pending/p1/cancel', {
+      headers: authHeaders(),
+    });
+    expect(cancelled.statusCode).to.equal(200);
+    expect(cancelled.data.data.status).to.equal('cancelled');
+    expect(pendingStore.records[0].status).to.equal('cancelled');
+
+    const settled = await mockServer.post('/payment-instructions/pending/p3/cancel', {
+      headers: authHeaders(),
+    });
+    expect(settled.statusCode).to.equal(409);
+
+    const missing = await mockServer.get('/payment-instructions/pending/nope', {
+      headers: authHeaders(),
+    });
+    expect(missing.statusCode).to.equal(404);
+  });
+
+  it('should only show and cancel pending instructions for the user who booked them', async () => {
+    pendingStore.records.push({ _id: 'p1', ...duePendingInstruction() });
+    const stranger = authHeaders({ user_id: 'someone-else' });
+
+    const anonymous = await Promise.all([
+      mockServer.get('/payment-instructions/pending'),
+      mockServer.get('/payment-instructions/pending/p1'),
+      mockServer.post('/payment-instructions/pending/p1/cancel'),
+    ]);
+    const list = await mockServer.get('/payment-instructions/pending', { headers: stranger });
+    const inspected = await mockServer.get('/payment-instructions/pending/p1', {
+      headers: stranger,
+    });
+    const cancelled = await mockServer.post('/payment-instructions/pending/p1/cancel', {
+      headers: stranger,
+    });
+
+    expect(anonymous.map((res) => res.statusCode)).to.deep.equal([401, 401, 401]);
+    expect(list.data.data).to.be.empty;
+    expect(inspected.statusCode).to.equal(404);
+    expect(cancelled.statusCode).to.equal(404);
+    expect(pendingStore.records[0].status).to.equal('pending');
+  });
+});
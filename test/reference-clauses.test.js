@@ -0,0 +1,216 @@
+/**
+ * Test suite for REF and NARRATION clauses on payment instructions
+ */
+/* eslint-disable no-unused-expressions */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+const { MockModelStubs } = require('@app/mock-models');
+const executePendingInstructions = require('../workers/execute-pending-instructions');
+const useInMemoryModel = require('./helpers/in-memory-model');
+const authHeaders = require('./helpers/auth-headers');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/']);
+
+describe('Reference and Narration Clauses', () => {
+  const accounts = [
+    { id: 'a', balance: 500, currency: 'USD' },
+    { id: 'b', balance: 100, currency: 'USD' },
+    { id: 'fees', balance: 0, currency: 'USD' },
+  ];
+  const transfer = 'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b';
+
+  it('should echo the reference and narration', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: {
+        accounts,
+        instruction: `${transfer} REF INV-2024/001 NARRATION "March rent,  flat 4"`,
+      },
+    });
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.data.data).to.deep.include({
+      reference: 'INV-2024/001',
+      narration: 'March rent,  flat 4',
+      status_code: 'AP00',
+    });
+  });
+
+  it('should accept the clauses in any order after the accounts, date or fee', async () => {
+    const instructions = [
+      `${transfer} NARRATION "Rent" REF r-1 ON 2099-01-01`,
+      `${transfer} ON 2099-01-01 REF r-1 NARRATION "Rent"`,
+      `${transfer} WITH FEE 1 TO ACCOUNT fees NARRATION "Rent" ON 2099-01-01 REF r-1`,
+    ];
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const instruction of instructions) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await mockServer.post('/payment-instructions', {
+        body: { accounts, instruction },
+      });
+
+      expect(res.data.data, instruction).to.deep.include({
+        reference: 'r-1',
+        narration: 'Rent',
+        status_code: 'AP02',
+      });
+    }
+  });
+
+  it('should return null reference and narration when the clauses are absent', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: { accounts, instruction: transfer },
+    });
+
+    expect(res.data.data.reference).to.be.null;
+    expect(res.data.data.narration).to.be.null;
+  });
+
+  it('should validate the clauses', async () => {
+    const cases = [
+      ['REF inv#1', 'RF01'],
+      [`REF ${'x'.repeat(36)}`, 'RF01'],
+      [`NARRATION "${'x'.repeat(141)}"`, 'RF01'],
+      ['NARRATION ""', 'RF01'],
+      ['NARRATION "unterminated', 'SY03'],
+      ['NARRATION unquoted', 'SY03'],
+      ['REF r-1 REF r-2', 'SY03'],
+      ['REF', 'SY03'],
+    ];
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [clause, statusCode] of cases) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await mockServer.post('/payment-instructions', {
+        body: { accounts, instruction: `${transfer} ${clause}` },
+      });
+
+      expect(res.data.data.status_code, clause).to.equal(statusCode);
+    }
+  });
+
+  describe('With the account store', () => {
+    let accountStore;
+    let journalStore;
+    let pendingStore;
+
+    beforeEach(() => {
+      accountStore = useInMemoryModel('Account', [
+        { account_id: 'a', owner_id: 'test-user', balance: 500, currency: 'USD' },
+        { account_id: 'b', owner_id: 'test-user', balance: 100, currency: 'USD' },
+      ]);
+      journalStore = useInMemoryModel('JournalEntry');
+      pendingStore = useInMemoryModel('PendingInstruction');
+    });
+
+    afterEach(() => {
+      accountStore.revert();
+      journalStore.revert();
+      pendingStore.revert();
+    });
+
+    it('should record the reference and narration on the journal legs', async () => {
+      await mockServer.post('/payment-instructions', {
+        body: { instruction: `${transfer} REF r-1 NARRATION "Rent"` },
+        headers: authHeaders(),
+      });
+
+      expect(journalStore.records).to.have.lengthOf(2);
+      journalStore.records.forEach((leg) => {
+        expect(leg).to.include({ reference: 'r-1', narration: 'Rent' });
+      });
+    });
+
+    it('should reject a reference the debit account already used', async () => {
+      const first = await mockServer.post('/payment-instructions', {
+        body: { instruction: `${transfer} REF r-1` },
+        headers: authHeaders(),
+      });
+      const second = await mockServer.post('/payment-instructions', {
+        body: { instruction: `${transfer} REF r-1` },
+        headers: authHeaders(),
+      });
+      const otherDebitAccount = await mockServer.post('/payment-instructions', {
+        body: { instruction: 'DEBIT 10 USD FROM ACCOUNT b FOR CREDIT TO ACCOUNT a REF r-1' },
+        headers: authHeaders(),
+      });
+
+      expect(first.data.data.status_code).to.equal('AP00');
+      expect(second.statusCode).to.equal(400);
+      expect(second.data.data.status_code).to.equal('RF02');
+      expect(otherDebitAccount.data.data.status_code).to.equal('AP00');
+    });
+
+    it('should count pending instructions as using the reference, except when executing them', async () => {
+      pendingStore.records.push({
+        _id: 'p1',
+        instruction: `${transfer} ON 2024-01-15 REF r-1`,
+        debit_account: 'a',
+        credit_account: 'b',
+        reference: 'r-1',
+        due_at: Date.parse('2024-01-15T00:00:00Z'),
+        status: 'pending',
+      });
+
+      const duplicate = await mockServer.post('/payment-instructions', {
+        body: { instruction: `${transfer} REF r-1` },
+        headers: authHeaders(),
+      });
+      expect(duplicate.data.data.status_code).to.equal('RF02');
+
+      const summary = await executePendingInstructions.processor({ id: 'job-1', data: {} });
+
+      expect(summary.successful).to.equal(1);
+      expect(pendingStore.records[0].status).to.equal('successful');
+      expect(journalStore.records[0].reference).to.equal('r-1');
+    });
+
+    it('should fail with RF02 when another request claims the reference first', async () => {
+      // Both requests pass the lookup; the unique reference indexes refuse the later write
+      const journalRace = MockModelStubs.JournalEntry.configureStubs({
+        method: 'createMany',
+        mockDuplicateRecord: true,
+      });
+      const pendingRace = MockModelStubs.PendingInstruction.configureStubs({
+        method: 'create',
+        mockDuplicateRecord: true,
+      });
+
+      let executed;
+      let pending;
+      try {
+        executed = await mockServer.post('/payment-instructions', {
+          body: { instruction: `${transfer} REF r-1` },
+          headers: authHeaders(),
+        });
+        pending = await mockServer.post('/payment-instructions', {
+          body: { instruction: `${transfer} ON 2099-01-01 REF r-2` },
+          headers: authHeaders(),
+        });
+      } finally {
+        pendingRace.revert();
+        journalRace.revert();
+      }
+
+      expect(executed.statusCode).to.equal(400);
+      expect(executed.data.data).to.deep.include({ status: 'failed', status_code: 'RF02' });
+      expect(executed.data.data.accounts.find((account) => account.id === 'a').balance).to.equal(
+        500
+      );
+      expect(pending.statusCode).to.equal(400);
+      expect(pending.data.data.status_code).to.equal('RF02');
+      expect(pending.data.data.pending_instruction_id).to.be.undefined;
+    });
+
+    it('should claim the reference on one debit leg only', async () => {
+      await mockServer.post('/payment-instructions', {
+        body: { instruction: `${transfer} REF r-1` },
+        headers: authHeaders(),
+      });
+
+      const claims = journalStore.records.filter((leg) => leg.holds_reference);
+      expect(claims).to.have.lengthOf(1);
+      expect(claims[0]).to.include({ account_id: 'a', entry_type: 'debit', reference: 'r-1' });
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Test suite for REVERSE instructions against executed transactions
+ */
+/* eslint-disable no-unused-expressions */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+const useInMemoryModel = require('./helpers/in-memory-model');
+const authHeaders = require('./helpers/auth-headers');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/']);
+
+describe('Reversals', () => {
+  let accountStore;
+  let journalStore;
+  let pendingStore;
+
+  const post = (instruction, extra = {}) =>
+    mockServer.post('/payment-instructions', {
+      body: { instruction, ...extra },
+      headers: authHeaders(),
+    });
+
+  const balances = () =>
+    Object.fromEntries(accountStore.records.map((a) => [a.account_id, a.balance]));
+
+  beforeEach(() => {
+    accountStore = useInMemoryModel('Account', [
+      { account_id: 'a', owner_id: 'test-user', balance: 500, currency: 'USD' },
+      { account_id: 'b', owner_id: 'test-user', balance: 100, currency: 'USD' },
+      { account_id: 'fees', owner_id: 'test-user', balance: 0, currency: 'USD' },
+      { account_id: 'g', owner_id: 'test-user', balance: 0, currency: 'GBP' },
+    ]);
+    journalStore = useInMemoryModel('JournalEntry');
+    pendingStore = useInMemoryModel('PendingInstruction');
+  });
+
+  afterEach(() => {
+    accountStore.revert();
+    journalStore.revert();
+    pendingStore.revert();
+  });
+
+  it('should reverse a transaction in full with opposite legs linked to it', async () => {
+    const original = await post('DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+    const transactionId = original.data.data.transaction_id;
+
+    const res = await post(`REVERSE TRANSACTION ${transactionId} REF undo-1`);
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.data.data).to.deep.include({
+      type: 'REVERSE',
+      status_code: 'AP00',
+      debit_account: 'b',
+      credit_account: 'a',
+      amount: 100,
+      reference: 'undo-1',
+    });
+    expect(res.data.data.reversal).to.deep.equal({
+      transaction_id: transactionId,
+      amount: 100,
+      amount_minor: 10000,
+      currency: 'USD',
+      remaining_amount: 0,
+    });
+    expect(balances()).to.include({ a: 500, b: 100 });
+
+    const reversalLegs = journalStore.records.filter((e) => e.reversal_of === transactionId);
+    expect(reversalLegs.map((e) => [e.account_id, e.entry_type, e.amount])).to.deep.equal([
+      ['b', 'debit', 100],
+      ['a', 'credit', 100],
+    ]);
+    expect(reversalLegs[0].transaction_id).to.equal(res.data.data.transaction_id);
+  });
+
+  it('should only let the owner of the credited account reverse a transaction', async () => {
+    const original = await post('DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+    const instruction = `REVERSE TRANSACTION ${original.data.data.transaction_id}`;
+
+    const anonymous = await mockServer.post('/payment-instructions', { body: { instruction } });
+    const stranger = await mockServer.post('/payment-instructions', {
+      body: { instruction },
+      headers: authHeaders({ user_id: 'someone-else' }),
+    });
+
+    expect(anonymous.statusCode).to.equal(401);
+    expect(stranger.statusCode).to.equal(401);
+    expect(stranger.data.message).to.include('Only the owner of an account');
+    expect(balances()).to.include({ a: 400, b: 200 });
+    expect(journalStore.records).to.have.lengthOf(2);
+  });
+
+  it('should never reverse beyond the original amount', async () => {
+    const original = await post('DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+    const transactionId = original.data.data.transaction_id;
+
+    const partial = await post(`REVERSE 30 OF TRANSACTION ${transactionId}`);
+    const tooMuch = await post(`REVERSE 70.01 OF TRANSACTION ${transactionId}`);
+    const rest = await post(`REVERSE TRANSACTION ${transactionId}`);
+    const again = await post(`REVERSE TRANSACTION ${transactionId}`);
+
+    expect(partial.data.data.status_code).to.equal('AP00');
+    expect(partial.data.data.reversal).to.include({ amount: 30, remaining_amount: 70 });
+    expect(tooMuch.statusCode).to.equal(400);
+    expect(tooMuch.data.data.status_code).to.equal('RV02');
+    expect(rest.data.data.reversal).to.include({ amount: 70, remaining_amount: 0 });
+    expect(again.data.data.status_code).to.equal('RV02');
+    expect(balances()).to.include({ a: 500, b: 100 });
+  });
+
+  it('should leave fees in place and refuse to reverse a reversal', async () => {
+    const original = await post(
+      'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b WITH FEE 2 TO ACCOUNT fees'
+    );
+    const reversal = await post(`REVERSE TRANSACTION ${original.data.data.transaction_id}`);
+    const reversalOfReversal = await post(
+      `REVERSE TRANSACTION ${reversal.data.data.transaction_id}`
+    );
+
+    expect(reversal.data.data.amount).to.equal(100);
+    expect(balances()).to.include({ a: 498, b: 100, fees: 2 });
+    expect(reversalOfReversal.data.data.status_code).to.equal('RV01');
+  });
+
+  it('should convert cross-currency reversals back at the original rate', async () => {
+    const original = await post('DEBIT 10.01 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT g', {
+      allow_fx: true,
+    });
+    const transactionId = original.data.data.transaction_id;
+    expect(balances().g).to.equal(7.91);
+
+    const first = await post(`REVERSE 5 OF TRANSACTION ${transactionId}`);
+    const second = await post(`REVERSE TRANSACTION ${transactionId}`);
+
+    expect(first.data.data).to.deep.include({ amount: 3.95, currency: 'GBP' });
+    expect(first.data.data.fx).to.include({ converted_amount: 5, source: 'reversal' });
+    expect(second.data.data).to.deep.include({ amount: 3.96, currency: 'GBP' });
+    expect(balances()).to.include({ a: 500, g: 0 });
+  });
+
+  it('should reject unknown transactions, supplied accounts and other clauses', async () => {
+    const cases = [
+      [{ instruction: 'REVERSE TRANSACTION missing' }, 'RV01'],
+      [
+        {
+          instruction: 'REVERSE TRANSACTION t1',
+          accounts: [{ id: 'a', balance: 1, currency: 'USD' }],
+        },
+        'RV01',
+      ],
+      [{ instruction: 'REVERSE TRANSACTION t1 ON 2099-01-01' }, 'SY03'],
+      [{ instruction: 'REVERSE 10 TRANSACTION t1' }, 'SY01'],
+      [{ instruction: 'REVERSE 0 OF TRANSACTION t1' }, 'AM01'],
+    ];
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [body, statusCode] of cases) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await mockServer.post('/payment-instructions', { body, headers: authHeaders() });
+
+      expect(res.data.data.status_code, body.instruction).to.equal(statusCode);
+    }
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Test suite for split payments: one debit to many credits, or many debits to one credit
+ */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+const useInMemoryModel = require('./helpers/in-memory-model');
+const authHeaders = require('./helpers/auth-headers');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/']);
+
+describe('Split Payments', () => {
+  const accounts = [
+    { id: 'a', balance: 500, currency: 'USD' },
+    { id: 'b', balance: 100, currency: 'USD' },
+    { id: 'c', balance: 0, currency: 'USD' },
+    { id: 'g', balance: 0, currency: 'GBP' },
+  ];
+
+  const balancesOf = (res) =>
+    Object.fromEntries(res.data.data.accounts.map((a) => [a.id, a.balance]));
+
+  it('should fan one debit out to several credit accounts', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: {
+        accounts,
+        instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b 60, ACCOUNT c 40',
+      },
+    });
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.data.data).to.deep.include({
+      status_code: 'AP00',
+      debit_account: 'a',
+      credit_account: 'b',
+    });
+    expect(res.data.data.splits).to.deep.equal([
+      { account: 'b', amount: 60, amount_minor: 6000 },
+      { account: 'c', amount: 40, amount_minor: 4000 },
+    ]);
+    expect(balancesOf(res)).to.deep.equal({ a: 400, b: 160, c: 40 });
+  });
+
+  it('should gather several debits into one credit account', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: {
+        accounts,
+        instruction: 'CREDIT 100.50 USD TO ACCOUNT c FOR DEBIT FROM ACCOUNT a 60.50, ACCOUNT b 40',
+      },
+    });
+
+    expect(res.data.data.status_code).to.equal('AP00');
+    expect(balancesOf(res)).to.deep.equal({ a: 439.5, b: 60, c: 100.5 });
+  });
+
+  it('should check every share', async () => {
+    const transfer = 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b';
+    const cases = [
+      [`${transfer} 60, ACCOUNT c 30`, 'AM01'],
+      [`${transfer} 60, ACCOUNT c 40.001`, 'AM01'],
+      [`${transfer} 60, ACCOUNT x 40`, 'AC03'],
+      [`${transfer} 60, ACCOUNT x!y 40`, 'AC04'],
+      [`${transfer} 60, ACCOUNT g 40`, 'CU01'],
+      [`${transfer} 60, ACCOUNT b 40`, 'AC02'],
+      [`${transfer} 60, ACCOUNT a 40`, 'AC02'],
+      ['CREDIT 200 USD TO ACCOUNT c FOR DEBIT FROM ACCOUNT a 60, ACCOUNT b 140', 'AC01'],
+      ['DEBIT 600 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b 300, ACCOUNT c 300', 'AC01'],
+      [`${transfer} 60, c 40`, 'SY01'],
+      [`${transfer} 60, ACCOUNT c`, 'SY03'],
+      [`${transfer} 60,`, 'SY03'],
+    ];
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [instruction, statusCode] of cases) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await mockServer.post('/payment-instructions', {
+        body: { accounts, instruction },
+      });
+
+      expect(res.data.data.status_code, instruction).to.equal(statusCode);
+    }
+  });
+
+  it('should take trailing clauses after the shares', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: {
+        accounts,
+        instruction:
+          'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b 60, ACCOUNT c 40 WITH FEE 1 TO ACCOUNT c REF payout-7',
+      },
+    });
+
+    expect(res.data.data).to.deep.include({ status_code: 'AP00', reference: 'payout-7' });
+    expect(balancesOf(res)).to.deep.equal({ a: 399, b: 160, c: 41 });
+  });
+
+  describe('With the account store', () => {
+    let accountStore;
+    let journalStore;
+    let pendingStore;
+
+    beforeEach(() => {
+      accountStore = useInMemoryModel(
+        'Account',
+        accounts.map((a) => ({
+          account_id: a.id,
+          owner_id: 'test-user',
+          balance: a.balance,
+          currency: a.currency,
+        }))
+      );
+      journalStore = useInMemoryModel('JournalEntry');
+      pendingStore = useInMemoryModel('PendingInstruction');
+    });
+
+    afterEach(() => {
+      accountStore.revert();
+      journalStore.revert();
+      pendingStore.revert();
+    });
+
+    it('should post every share under one transaction', async () => {
+      const res = await mockServer.post('/payment-instructions', {
+        body: {
+          instruction: 'CREDIT 100 USD TO ACCOUNT c FOR DEBIT FROM ACCOUNT a 60, ACCOUNT b 40',
+        },
+        headers: authHeaders(),
+      });
+
+      expect(journalStore.records.map((e) => [e.account_id, e.entry_type, e.amount])).to.deep.equal(
+        [
+          ['a', 'debit', 60],
+          ['c', 'credit', 60],
+          ['b', 'debit', 40],
+          ['c', 'credit', 40],
+        ]
+      );
+      journalStore.records.forEach((entry) => {
+        expect(entry.transaction_id).to.equal(res.data.data.transaction_id);
+      });
+
+      const reversal = await mockServer.post('/payment-instructions', {
+        body: { instruction: `REVERSE TRANSACTION ${res.data.data.transaction_id}` },
+        headers: authHeaders(),
+      });
+      expect(reversal.data.data.status_code).to.equal('RV01');
+    });
+
+    it('should post nothing when one share fails', async () => {
+      const res = await mockServer.post('/payment-instructions', {
+        body: {
+          instruction: 'CREDIT 200 USD TO ACCOUNT c FOR DEBIT FROM ACCOUNT a 60, ACCOUNT b 140',
+        },
+        headers: authHeaders(),
+      });
+
+      expect(res.statusCode).to.equal(400);
+      expect(journalStore.records).to.have.lengthOf(0);
+      expect(accountStore.records.map((a) => a.balance)).to.deep.equal([500, 100, 0, 0]);
+    });
+  });
+});
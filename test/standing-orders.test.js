@@ -0,0 +1,303 @@
+/**
+ * Test suite for recurring standing orders, their occurrences and status changes
+ */
+/* eslint-disable no-unused-expressions */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+const generateStandingOrderOccurrences = require('../workers/generate-standing-order-occurrences');
+const executePendingInstructions = require('../workers/execute-pending-instructions');
+const { firstRunDate, nextRunDate } = require('../services/standing-orders/helpers/schedule');
+const { setClock, resetClock } = require('../services/calendar/helpers/clock');
+const useInMemoryModel = require('./helpers/in-memory-model');
+const authHeaders = require('./helpers/auth-headers');
+
+const mockServer = createMockServer([
+  'endpoints/payment-instructions/',
+  'endpoints/standing-orders/',
+]);
+
+function storedStandingOrder(overrides) {
+  return {
+    instruction:
+      'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2024-01-15 EVERY MONTH UNTIL 2024-03-31 REF rent',
+    occurrence_instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    type: 'DEBIT',
+    amount: 100,
+    currency: 'USD',
+    debit_account: 'a',
+    credit_account: 'b',
+    reference: 'rent',
+    frequency: 'MONTH',
+    day: 15,
+    start_date: '2024-01-15',
+    until: '2024-03-31',
+    next_run_date: '2024-01-15',
+    last_run_date: null,
+    occurrences: 0,
+    status: 'active',
+    owner_id: 'test-user',
+    ...overrides,
+  };
+}
+
+describe('Standing Orders', () => {
+  it('should keep monthly run dates on their anchor day, within short months', () => {
+    expect(firstRunDate('2027-01-20', 'MONTH', 25)).to.equal('2027-01-25');
+    expect(firstRunDate('2027-01-26', 'MONTH', 25)).to.equal('2027-02-25');
+    expect(firstRunDate('2027-02-01', 'MONTH', 31)).to.equal('2027-02-28');
+    expect(nextRunDate('2027-02-28', 'MONTH', 31)).to.equal('2027-03-31');
+    expect(firstRunDate('2027-01-01', 'WEEK', 1)).to.equal('2027-01-04');
+    expect(nextRunDate('2027-12-31', 'DAY', null)).to.equal('2028-01-01');
+  });
+
+  it('should schedule without moving balances when accounts are supplied', async () => {
+    const res = await mockServer.post('/payment-instructions', {
+      body: {
+        accounts: [
+          { id: 'a', balance: 500, currency: 'USD' },
+          { id: 'b', balance: 0, currency: 'USD' },
+        ],
+        instruction:
+          'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2099-01-20 EVERY MONTH ON DAY 31 UNTIL 2099-12-31',
+      },
+    });
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.data.data).to.deep.include({ status: 'scheduled', status_code: 'AP03' });
+    expect(res.data.data.recurrence).to.deep.equal({
+      frequency: 'MONTH',
+      day: 31,
+      start_date: '2099-01-20',
+      until: '2099-12-31',
+      next_run_date: '2099-01-31',
+    });
+    expect(res.data.data.accounts.map((a) => a.balance)).to.deep.equal([500, 0]);
+  });
+
+  it('should reject recurrences that cannot run', async () => {
+    const transfer = 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b';
+    const accounts = [
+      { id: 'a', balance: 500, currency: 'USD' },
+      { id: 'b', balance: 0, currency: 'USD' },
+    ];
+    const cases = [
+      [`${transfer} EVERY WEEK ON DAY 8`, 'DT01'],
+      [`${transfer} EVERY MONTH ON DAY 0`, 'DT01'],
+      [`${transfer} EVERY DAY ON DAY 3`, 'DT01'],
+      [`${transfer} EVERY MONTH UNTIL 2027-13-01`, 'DT01'],
+      [`${transfer} ON 2099-02-10 EVERY MONTH ON DAY 5 UNTIL 2099-02-28`, 'DT01'],
+      [`${transfer} EVERY YEAR`, 'SY01'],
+      [`${transfer} EVERY MONTH ON 2099-01-01`, 'SY01'],
+      [`${transfer} EVERY`, 'SY03'],
+    ];
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [instruction, statusCode] of cases) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await mockServer.post('/payment-instructions', {
+        body: { accounts, instruction },
+      });
+
+      expect(res.data.data.status_code, instruction).to.equal(statusCode);
+    }
+  });
+
+  describe('With the account store', () => {
+    let accountStore;
+    let journalStore;
+    let pendingStore;
+    let standingOrderStore;
+
+    beforeEach(() => {
+      accountStore = useInMemoryModel('Account', [
+        { account_id: 'a', owner_id: 'test-user', balance: 500, currency: 'USD' },
+        { account_id: 'b', owner_id: 'test-user', balance: 0, currency: 'USD' },
+      ]);
+      journalStore = useInMemoryModel('JournalEntry');
+      pendingStore = useInMemoryModel('PendingInstruction');
+      standingOrderStore = useInMemoryModel('StandingOrder');
+    });
+
+    afterEach(() => {
+      accountStore.revert();
+      journalStore.revert();
+      pendingStore.revert();
+      standingOrderStore.revert();
+      resetClock();
+    });
+
+    it('should store the order with the instruction each occurrence runs', async () => {
+      const res = await mockServer.post('/payment-instructions', {
+        body: {
+          instruction:
+            'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2099-01-01 EVERY WEEK REF savings NARRATION "Weekly savings"',
+        },
+        headers: authHeaders(),
+      });
+
+      expect(res.data.data.status_code).to.equal('AP03');
+      expect(res.data.data.standing_order_id).to.be.a('string');
+      expect(standingOrderStore.records).to.have.lengthOf(1);
+      expect(standingOrderStore.records[0]).to.include({
+        occurrence_instruction:
+          'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b NARRATION "Weekly savings"',
+        frequency: 'WEEK',
+        day: 4,
+        next_run_date: '2099-01-01',
+        reference: 'savings',
+        status: 'active',
+        owner_id: 'test-user',
+      });
+      expect(pendingStore.records).to.be.empty;
+      expect(journalStore.records).to.be.empty;
+    });
+
+    it('should run every due occurrence as its own instruction until the order ends', async () => {
+      // Tuesday 3 November 2026, 10:00 in New York: missed run dates settle today
+      setClock(() => Date.parse('2026-11-03T15:00:00Z'));
+      accountStore.records[0].balance = 250;
+      standingOrderStore.records.push({ _id: 's1', ...storedStandingOrder() });
+
+      const summary = await generateStandingOrderOccurrences.processor({ id: 'job-1', data: {} });
+
+      expect(summary).to.deep.equal({ orders: 1, generated: 3, completed: 1, errored: 0 });
+      expect(standingOrderStore.records[0]).to.include({
+        status: 'completed',
+        next_run_date: null,
+        last_run_date: '2024-03-15',
+        occurrences: 3,
+      });
+      expect(pendingStore.records.map((p) => p.execute_by)).to.deep.equal([
+        '2024-01-15',
+        '2024-02-15',
+        '2024-03-15',
+      ]);
+      pendingStore.records.forEach((pending) => {
+        expect(pending).to.include({
+          standing_order_id: 's1',
+          status: 'pending',
+          value_date: '2026-11-03',
+          owner_id: 'test-user',
+        });
+      });
+
+      await executePendingInstructions.processor({ id: 'job-2', data: {} });
+
+      expect(pendingStore.records.map((p) => p.status_code)).to.deep.equal([
+        'AP00',
+        'AP00',
+        'AC01',
+      ]);
+      expect(accountStore.records.map((a) => a.balance)).to.deep.equal([50, 200]);
+    });
+
+    it("should settle each run date on a business day of the order's currency", async () => {
+      // Friday 25 December 2026, just after midnight UTC
+      setClock(() => Date.parse('2026-12-25T00:01:00Z'));
+      standingOrderStore.records.push(
+        {
+          _id: 's1',
+          ...storedStandingOrder({ until: '2099-12-31', next_run_date: '2026-12-25', day: 25 }),
+        },
+        {
+          _id: 's2',
+          ...storedStandingOrder({
+            currency: 'GBP',
+            until: '2099-12-31',
+            next_run_date: '2026-12-25',
+            day: 25,
+          }),
+        }
+      );
+
+      await generateStandingOrderOccurrences.processor({ id: 'job-1', data: {} });
+
+      // USD rolls the holiday to Monday, from midnight in New York; GBP rejects it
+      expect(pendingStore.records[0]).to.include({
+        standing_order_id: 's1',
+        execute_by: '2026-12-25',
+        value_date: '2026-12-28',
+        due_at: Date.parse('2026-12-28T00:00:00-05:00'),
+        status: 'pending',
+      });
+      expect(pendingStore.records[1]).to.include({
+        standing_order_id: 's2',
+        status: 'failed',
+        status_code: 'DT01',
+      });
+      expect(pendingStore.records[1].status_reason).to.include('not a business day');
+      expect(standingOrderStore.records[1]).to.include({ next_run_date: '2027-01-25' });
+    });
+
+    it('should pause, resume and cancel standing orders', async () => {
+      standingOrderStore.records.push(
+        { _id: 's1', ...storedStandingOrder({ until: '2099-12-31' }) },
+        { _id: 's2', ...storedStandingOrder({ debit_account: 'c', credit_account: 'd' }) }
+      );
+      pendingStore.records.push({
+        _id: 'p1',
+        instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+        status: 'pending',
+        standing_order_id: 's1',
+      });
+
+      const list = await mockServer.get('/standing-orders', {
+        query: { account_id: 'a' },
+        headers: authHeaders(),
+      });
+      expect(list.statusCode).to.equal(200);
+      expect(list.data.data.map((s) => s.id)).to.deep.equal(['s1']);
+
+      const paused = await mockServer.post('/standing-orders/s1/pause', { headers: authHeaders() });
+      expect(paused.data.data.status).to.equal('paused');
+
+      const summary = await generateStandingOrderOccurrences.processor({ id: 'job-3', data: {} });
+      expect(summary.orders).to.equal(1);
+      expect(standingOrderStore.records[0].occurrences).to.equal(0);
+
+      const resumed = await mockServer.post('/standing-orders/s1/resume', {
+        headers: authHeaders(),
+      });
+      expect(resumed.data.data.status).to.equal('active');
+      expect(resumed.data.data.next_run_date > new Date().toISOString().substring(0, 10)).to.be
+        .true;
+      expect(resumed.data.data.next_run_date.substring(8)).to.equal('15');
+
+      const cancelled = await mockServer.post('/standing-orders/s1/cancel', {
+        headers: authHeaders(),
+      });
+      expect(cancelled.data.data).to.include({ status: 'cancelled', next_run_date: null });
+      expect(pendingStore.records[0].status).to.equal('cancelled');
+
+      const again = await mockServer.post('/standing-orders/s1/resume', { headers: authHeaders() });
+      expect(again.statusCode).to.equal(409);
+
+      const missing = await mockServer.post('/standing-orders/nope/pause', {
+        headers: authHeaders(),
+      });
+      expect(missing.statusCode).to.equal(404);
+    });
+
+    it('should only show and change standing orders for the user who set them up', async () => {
+      standingOrderStore.records.push({ _id: 's1', ...storedStandingOrder() });
+      const stranger = authHeaders({ user_id: 'someone-else' });
+      const actions = ['pause', 'resume', 'cancel'];
+
+      const anonymous = await Promise.all([
+        mockServer.get('/standing-orders'),
+        ...actions.map((action) => mockServer.post(`/standing-orders/s1/${action}`)),
+      ]);
+      const list = await mockServer.get('/standing-orders', { headers: stranger });
+      const changes = await Promise.all(
+        actions.map((action) =>
+          mockServer.post(`/standing-orders/s1/${action}`, { headers: stranger })
+        )
+      );
+
+      expect(anonymous.map((res) => res.statusCode)).to.deep.equal([401, 401, 401, 401]);
+      expect(list.data.data).to.be.empty;
+      expect(changes.map((res) => res.statusCode)).to.deep.equal([404, 404, 404]);
+      expect(standingOrderStore.records[0].status).to.equal('active');
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Test suite for exporting account statements as CSV and camt.053 XML
+ */
+/* eslint-disable no-unused-expressions */
+const { expect } = require('chai');
+const createMockServer = require('@app-core/mock-server');
+const useInMemoryModel = require('./helpers/in-memory-model');
+const authHeaders = require('./helpers/auth-headers');
+
+const mockServer = createMockServer(['endpoints/payment-instructions/', 'endpoints/accounts/']);
+
+describe('Statement Export', () => {
+  let accountStore;
+  let journalStore;
+  let pendingStore;
+
+  const post = (instruction) =>
+    mockServer.post('/payment-instructions', { body: { instruction }, headers: authHeaders() });
+
+  const statement = (query, headers) =>
+    mockServer.get('/accounts/a/statement', {
+      query: { from: '2026-10-01', to: '2026-10-31', ...query },
+      headers: { ...authHeaders(), ...headers },
+    });
+
+  beforeEach(async () => {
+    accountStore = useInMemoryModel('Account', [
+      { account_id: 'a', owner_id: 'test-user', balance: 150, currency: 'USD' },
+      { account_id: 'b', owner_id: 'test-user', balance: 100, currency: 'USD' },
+    ]);
+    journalStore = useInMemoryModel('JournalEntry');
+    pendingStore = useInMemoryModel('PendingInstruction');
+
+    await post('DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+    await post('CREDIT 20.5 USD TO ACCOUNT a FOR DEBIT FROM ACCOUNT b');
+
+    // Both postings of a transfer on one day, with text that needs escaping
+    for (let i = 0; i < journalStore.records.length; i++) {
+      journalStore.records[i].created = Date.parse(`2026-10-0${i < 2 ? 2 : 3}T09:00:00Z`);
+    }
+    const entryOf = (type) =>
+      journalStore.records.find((entry) => entry.account_id === 'a' && entry.entry_type === type);
+    entryOf('debit').reference = 'inv, 7';
+    entryOf('credit').narration = 'Say "hi" & <go>';
+  });
+
+  afterEach(() => {
+    accountStore.revert();
+    journalStore.revert();
+    pendingStore.revert();
+  });
+
+  it('should export RFC 4180 CSV with quoted fields and CRLF line breaks', async () => {
+    const res = await statement({ format: 'csv' });
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.headers['content-type']).to.include('text/csv');
+    expect(res.headers['content-disposition']).to.equal(
+      'attachment; filename="statement-a-2026-10-01-2026-10-31.csv"'
+    );
+
+    const rows = res.data.split('\r\n');
+    expect(rows).to.have.lengthOf(4);
+    expect(rows[3]).to.equal('');
+    expect(rows[0]).to.match(/^booking_date,transaction_id,entry_id,type,/);
+    expect(rows[1]).to.match(/^2026-10-02T09:00:00.000Z,/);
+    expect(rows[1]).to.include(',debit,transfer,100.00,USD,50.00,b,"inv, 7",,');
+    expect(rows[2]).to.include(',credit,transfer,20.50,USD,70.50,b,,"Say ""hi"" & <go>",');
+  });
+
+  it('should keep CSV references and narrations from opening as formulas', async () => {
+    journalStore.records.forEach((entry) => {
+      Object.assign(entry, { reference: '=HYPERLINK("x")', narration: '-2+3' });
+    });
+
+    const res = await statement({ format: 'csv' });
+    const rows = res.data.split('\r\n');
+
+    expect(rows[1]).to.include(',50.00,b,"\'=HYPERLINK(""x"")",\'-2+3,');
+    expect(rows[2]).to.include(',70.50,b,"\'=HYPERLINK(""x"")",\'-2+3,');
+  });
+
+  it('should export camt.053 XML with booked balances and entries', async () => {
+    const res = await statement({}, { accept: 'application/xml' });
+    const xml = res.data.replace(/>\s+</g, '><');
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.headers['content-type']).to.include('application/xml');
+    expect(res.headers['content-disposition']).to.include('.xml"');
+    expect(xml).to.match(
+      /^<\?xml version="1.0" encoding="UTF-8"\?><Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02"><BkToCstmrStmt><GrpHdr>/
+    );
+    expect(xml).to.include('<Acct><Id><Othr><Id>a</Id></Othr></Id><Ccy>USD</Ccy></Acct>');
+    expect(xml).to.include(
+      '<Cd>OPBD</Cd></CdOrPrtry></Tp><Amt Ccy="USD">150.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2026-10-01</Dt>'
+    );
+    expect(xml).to.include(
+      '<Cd>CLBD</Cd></CdOrPrtry></Tp><Amt Ccy="USD">70.50</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2026-10-31</Dt>'
+    );
+    expect(xml.match(/<Ntry>/g)).to.have.lengthOf(2);
+    expect(xml).to.include(
+      '<Amt Ccy="USD">100.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>BOOK</Sts><BookgDt><DtTm>2026-10-02T09:00:00.000Z</DtTm></BookgDt>'
+    );
+    expect(xml).to.include('<EndToEndId>inv, 7</EndToEndId>');
+    expect(xml).to.include('<CdtrAcct><Id><Othr><Id>b</Id></Othr></Id></CdtrAcct>');
+    expect(xml).to.include('<Ustrd>Say &quot;hi&quot; &amp; &lt;go&gt;</Ustrd>');
+    expect(xml).to.include('<NbOfNtries>2</NbOfNtries>');
+  });
+
+  it('should report balances below zero as debit balances and IBANs by IBAN', async () => {
+    accountStore.records[0].balance = -30;
+    accountStore.records[0].identifier_scheme = 'iban';
+
+    const res = await statement({ format: 'camt053' });
+    const xml = res.data.replace(/>\s+</g, '><');
+
+    expect(xml).to.include('<Acct><Id><IBAN>a</IBAN></Id>');
+    expect(xml).to.include(
+      '<Cd>OPBD</Cd></CdOrPrtry></Tp><Amt Ccy="USD">49.50</Amt><CdtDbtInd>CRDT'
+    );
+    expect(xml).to.include(
+      '<Cd>CLBD</Cd></CdOrPrtry></Tp><Amt Ccy="USD">30.00</Amt><CdtDbtInd>DBIT'
+    );
+  });
+
+  it('should keep JSON as the default and reject unknown formats', async () => {
+    const json = await statement({}, { accept: 'application/json, text/csv' });
+    const unknown = await statement({ format: 'pdf' });
+
+    expect(json.data.data).to.include({ opening_balance: 150, closing_balance: 70.5 });
+    expect(json.data.data.lines).to.have.lengthOf(2);
+    expect(unknown.statusCode).to.equal(400);
+    expect(unknown.data.message).to.include('Unknown statement format: pdf');
+  });
+});
@@ -0,0 +1,21 @@
+const { appLogger } = require('@app-core/logger');
+const { defaultSchedulerOpts } = require('@app-core/queue/config');
+const executeDueInstructions = require('@app/services/payment-processor/execute-due-instructions');
+
+module.exports = {
+  concurrency: 1,
+  queue_options: {},
+  // Every minute: timed instructions fall due at their exact time, not only at midnight.
+  // Scheduler options replace the queue defaults, so they are spread in
+  scheduler_options: {
+    ...defaultSchedulerOpts,
+    jobId: 'execute-pending-instructions',
+    repeat: { cron: '* * * * *', tz: 'Etc/UTC' },
+  },
+  processor_name: 'execute-pending-instructions',
+  async processor(job) {
+    const summary = await executeDueInstructions(job.data || {});
+    appLogger.info({ label: 'PENDING INSTRUCTIONS', jobId: job.id, summary }, 'Due run complete');
+    return summary;
+  },
+};
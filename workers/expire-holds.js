@@ -0,0 +1,20 @@
+const { appLogger } = require('@app-core/logger');
+const { defaultSchedulerOpts } = require('@app-core/queue/config');
+const expireHolds = require('@app/services/ledger/expire-holds');
+
+module.exports = {
+  concurrency: 1,
+  queue_options: {},
+  // At the top of every hour
+  scheduler_options: {
+    ...defaultSchedulerOpts,
+    jobId: 'expire-holds',
+    repeat: { cron: '0 * * * *', tz: 'Etc/UTC' },
+  },
+  processor_name: 'expire-holds',
+  async processor(job) {
+    const summary = await expireHolds(job.data || {});
+    appLogger.info({ label: 'HOLDS', jobId: job.id, summary }, 'Lapsed holds released');
+    return summary;
+  },
+};
@@ -0,0 +1,20 @@
+const { appLogger } = require('@app-core/logger');
+const { defaultSchedulerOpts } = require('@app-core/queue/config');
+const generateStandingOrderOccurrences = require('@app/services/standing-orders/generate-standing-order-occurrences');
+
+module.exports = {
+  concurrency: 1,
+  queue_options: {},
+  // Shortly after each UTC midnight, so the day's occurrences are pending before they fall due
+  scheduler_options: {
+    ...defaultSchedulerOpts,
+    jobId: 'generate-standing-order-occurrences',
+    repeat: { cron: '1 0 * * *', tz: 'Etc/UTC' },
+  },
+  processor_name: 'generate-standing-order-occurrences',
+  async processor(job) {
+    const summary = await generateStandingOrderOccurrences(job.data || {});
+    appLogger.info({ label: 'STANDING ORDERS', jobId: job.id, summary }, 'Occurrences generated');
+    return summary;
+  },
+};
@@ -1,6 +1,12 @@
 const { createWorker } = require('../core/queue');
 const echoLoginValidation = require('./echo-login-validation');
+const executePendingInstructions = require('./execute-pending-instructions');
+const expireHolds = require('./expire-holds');
+const generateStandingOrderOccurrences = require('./generate-standing-order-occurrences');
 
 module.exports = {
   echoLoginValidation: createWorker(echoLoginValidation),
+  executePendingInstructions: createWorker(executePendingInstructions),
+  expireHolds: createWorker(expireHolds),
+  generateStandingOrderOccurrences: createWorker(generateStandingOrderOccurrences),
 };